@@ -1,6 +1,6 @@
 const API_URL = 'https://api.openai.com/v1/chat/completions';
 const TRANSCRIPTION_API_URL = 'https://api.openai.com/v1/audio/transcriptions';
-const API_KEY = 'INSERT_API_KEY';
+const PROXY_BASE_URL = '/api';
 const API_CONFIG = {
     maxRetries: 3,
     retryDelay: 1000,
@@ -15,1990 +15,7443 @@ const API_CONFIG = {
     fallbackModel: 'gpt-4o-mini'
 };
 
-const apiUsageMonitor = {
-    usageLog: [],
-    maxLogSize: 100,
-    
-    logApiCall(endpoint, model, success, errorCode = null) {
-        const timestamp = new Date().toISOString();
-        const entry = {
-            timestamp,
-            endpoint,
-            model,
-            success,
-            errorCode
-        };
-        
-        this.usageLog.unshift(entry);
-        if (this.usageLog.length > this.maxLogSize) {
-            this.usageLog.pop();
-        }
-        
-        this.checkForSuspiciousActivity();
-        
-        console.log(`API Call: ${endpoint} | Model: ${model} | Success: ${success} | ${timestamp}`);
+const CIRCUIT_BREAKER_CONFIG = {
+    failureThreshold: 3,
+    coolDownMs: 60000,
+    maxCoolDownMs: 600000,
+    ignoredStatusCodes: [400, 401, 403, 413, 429]
+};
+
+const LLM_PROVIDER_CONFIG = {
+    provider: 'proxy',
+    proxy: {
+        baseUrl: PROXY_BASE_URL
     },
-    
-    checkForSuspiciousActivity() {
-        const recentCalls = this.usageLog.slice(0, 20);
-        
-        const failedCalls = recentCalls.filter(call => !call.success);
-        if (recentCalls.length >= 5 && failedCalls.length / recentCalls.length > 0.7) {
-            console.warn('Security Alert: High API failure rate detected. Possible API abuse or invalid credentials.');
-        }
-        
-        if (recentCalls.length >= 5) {
-            const timestamps = recentCalls.map(call => new Date(call.timestamp).getTime());
-            const timeDiffs = [];
-            for (let i = 1; i < timestamps.length; i++) {
-                timeDiffs.push(timestamps[i-1] - timestamps[i]);
-            }
-            
-            const avgTimeBetweenCalls = timeDiffs.reduce((sum, diff) => sum + diff, 0) / timeDiffs.length;
-            if (avgTimeBetweenCalls < 500) {
-                console.warn('Security Alert: Unusually rapid API calls detected. Possible automated abuse.');
-            }
+    openai: {
+        chatUrl: API_URL,
+        transcriptionUrl: TRANSCRIPTION_API_URL,
+        apiKey: ''
+    },
+    azure: {
+        endpoint: '',
+        apiKey: '',
+        apiVersion: '2024-10-21',
+        deployments: {}
+    },
+    anthropic: {
+        baseUrl: 'https://api.anthropic.com/v1',
+        apiKey: '',
+        version: '2023-06-01',
+        models: {
+            'gpt-5': 'claude-3-5-sonnet-latest',
+            'gpt-5-mini': 'claude-3-5-haiku-latest',
+            'gpt-4o': 'claude-3-5-sonnet-latest',
+            'gpt-4o-mini': 'claude-3-5-haiku-latest',
+            'gpt-3.5-turbo': 'claude-3-5-haiku-latest'
         }
     },
-    
-    getUsageStats() {
-        if (this.usageLog.length === 0) return { total: 0, success: 0, failure: 0 };
-        
-        const total = this.usageLog.length;
-        const success = this.usageLog.filter(call => call.success).length;
-        const failure = total - success;
-        
-        return {
-            total,
-            success,
-            failure,
-            successRate: (success / total * 100).toFixed(1) + '%'
-        };
+    local: {
+        baseUrl: 'http://localhost:11434/v1',
+        apiKey: '',
+        defaultModel: 'llama3.1',
+        models: {}
+    },
+    demo: {
+        responseDelayMs: 600,
+        streamChunkCharacters: 6,
+        streamIntervalMs: 25,
+        // 'rate-limit', 'server-error' or 'stream-interruption', taken one per request.
+        simulatedFailures: []
     }
 };
 
-const apiRequestQueue = {
-    requests: [],
-    
-    addRequest() {
-        const now = Date.now();
-        this.requests.push(now);
-        this.cleanup(now);
+if (new URLSearchParams(window.location.search).has('demo')) {
+    LLM_PROVIDER_CONFIG.provider = 'demo';
+}
+
+const PLACEHOLDER_API_KEYS = ['INSERT_API_KEY', 'your-api-key-here'];
+
+// Pricing is USD per million tokens (or per audio minute for transcription models).
+const MODEL_CAPABILITIES = {
+    'gpt-5': {
+        encoding: 'o200k_base',
+        contextWindow: 400000,
+        maxOutputTokens: 128000,
+        tokenParameter: 'max_completion_tokens',
+        supportsTemperature: false,
+        reasoningEffort: 'minimal',
+        supportsStreaming: true,
+        structuredOutput: 'json_schema',
+        pricing: { input: 1.25, output: 10 }
     },
-    
-    cleanup(currentTime) {
-        const windowStart = currentTime - API_CONFIG.rateLimitResetTime;
-        this.requests = this.requests.filter(timestamp => timestamp >= windowStart);
+    'gpt-5-mini': {
+        encoding: 'o200k_base',
+        contextWindow: 400000,
+        maxOutputTokens: 128000,
+        tokenParameter: 'max_completion_tokens',
+        supportsTemperature: false,
+        reasoningEffort: 'minimal',
+        supportsStreaming: true,
+        structuredOutput: 'json_schema',
+        pricing: { input: 0.25, output: 2 }
     },
-    
-    
-    canMakeRequest() {
-        const now = Date.now();
-        this.cleanup(now);
-        return this.requests.length < API_CONFIG.rateLimitPerMinute;
+    'gpt-4o': {
+        encoding: 'o200k_base',
+        contextWindow: 128000,
+        maxOutputTokens: 16384,
+        tokenParameter: 'max_tokens',
+        supportsTemperature: true,
+        reasoningEffort: null,
+        supportsStreaming: true,
+        structuredOutput: 'json_schema',
+        pricing: { input: 2.5, output: 10 }
     },
-    
-    
-    getWaitTime() {
-        if (this.canMakeRequest()) return 0;
-        
-        const now = Date.now();
-        this.cleanup(now);
-        
-        if (this.requests.length === 0) return 0;
-        
-        
-        const oldestRequest = this.requests[0];
-        const timeToWait = (oldestRequest + API_CONFIG.rateLimitResetTime) - now;
-        return Math.max(0, timeToWait);
+    'gpt-4o-mini': {
+        encoding: 'o200k_base',
+        contextWindow: 128000,
+        maxOutputTokens: 16384,
+        tokenParameter: 'max_tokens',
+        supportsTemperature: true,
+        reasoningEffort: null,
+        supportsStreaming: true,
+        structuredOutput: 'json_schema',
+        pricing: { input: 0.15, output: 0.6 }
+    },
+    'gpt-3.5-turbo': {
+        encoding: 'cl100k_base',
+        contextWindow: 16385,
+        maxOutputTokens: 4096,
+        tokenParameter: 'max_tokens',
+        supportsTemperature: true,
+        reasoningEffort: null,
+        supportsStreaming: true,
+        structuredOutput: 'json_object',
+        pricing: { input: 0.5, output: 1.5 }
+    },
+    'gpt-4o-transcribe': {
+        supportsStreaming: false,
+        pricing: { audioPerMinute: 0.006 }
+    },
+    'whisper-1': {
+        supportsStreaming: false,
+        pricing: { audioPerMinute: 0.006 }
+    },
+    'claude-3-5-sonnet-latest': {
+        contextWindow: 200000,
+        maxOutputTokens: 8192,
+        tokenParameter: 'max_tokens',
+        supportsTemperature: true,
+        reasoningEffort: null,
+        supportsStreaming: true,
+        structuredOutput: null,
+        pricing: { input: 3, output: 15 }
+    },
+    'claude-3-5-haiku-latest': {
+        contextWindow: 200000,
+        maxOutputTokens: 8192,
+        tokenParameter: 'max_tokens',
+        supportsTemperature: true,
+        reasoningEffort: null,
+        supportsStreaming: true,
+        structuredOutput: null,
+        pricing: { input: 0.8, output: 4 }
+    },
+    'llama3.1': {
+        contextWindow: 128000,
+        maxOutputTokens: 4096,
+        tokenParameter: 'max_tokens',
+        supportsTemperature: true,
+        reasoningEffort: null,
+        supportsStreaming: true,
+        structuredOutput: 'json_object',
+        pricing: { input: 0, output: 0 }
     }
 };
 
+const DEFAULT_MODEL_CAPABILITIES = {
+    encoding: null,
+    contextWindow: 8192,
+    maxOutputTokens: 4096,
+    tokenParameter: 'max_tokens',
+    supportsTemperature: true,
+    reasoningEffort: null,
+    supportsStreaming: true,
+    structuredOutput: null,
+    pricing: null
+};
+
 
-function wait(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+function getModelCapabilities(...models) {
+    const known = models.find(model => model && MODEL_CAPABILITIES[model]);
+    return { ...DEFAULT_MODEL_CAPABILITIES, ...(known ? MODEL_CAPABILITIES[known] : {}) };
 }
 
 
-function getRetryDelay(retryCount) {
-    const delay = Math.min(
-        API_CONFIG.maxRetryDelay,
-        API_CONFIG.retryDelay * Math.pow(2, retryCount)
-    );
-    
-    return delay + (Math.random() * 1000);
+function applyModelCapabilities(request, resolvedModel) {
+    const capabilities = getModelCapabilities(resolvedModel, request.model);
+    const adjusted = {
+        maxTokens: Math.min(request.maxTokens, capabilities.maxOutputTokens),
+        tokenParameter: capabilities.tokenParameter,
+        temperature: capabilities.supportsTemperature ? request.temperature : undefined,
+        reasoningEffort: capabilities.reasoningEffort,
+        responseFormat: null
+    };
+
+    if (request.responseFormat) {
+        if (capabilities.structuredOutput === 'json_schema') {
+            adjusted.responseFormat = request.responseFormat;
+        } else if (capabilities.structuredOutput === 'json_object') {
+            adjusted.responseFormat = { type: 'json_object' };
+        }
+    }
+
+    return adjusted;
 }
 
 
-async function makeApiRequestWithMultiFallback(apiCall, createFallbackCall, targetElement = null) {
-    let retryCount = 0;
-    let fallbackLevel = -1; 
-    let endpoint = 'unknown';
-    let model = 'unknown';
-    let currentApiCall = apiCall;
-    
+const TOKENIZER_CONFIG = {
+    moduleUrl: '/vendor/js-tiktoken/lite.js',
+    rankUrlTemplate: '/vendor/js-tiktoken/ranks/{encoding}.js',
+    fallbackCharsPerToken: 3,
+    tokensPerMessage: 4,
+    tokensPerReply: 3,
+    safetyMarginTokens: 256
+};
+
+
+class TokenBudgetError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'TokenBudgetError';
+        Object.assign(this, details);
+    }
+}
+
+
+const tokenBudgeter = {
+    encoders: new Map(),
+    
+    async loadEncoder(encoding) {
+        const [{ Tiktoken }, ranks] = await Promise.all([
+            import(TOKENIZER_CONFIG.moduleUrl),
+            import(TOKENIZER_CONFIG.rankUrlTemplate.replace('{encoding}', encoding))
+        ]);
+        return new Tiktoken(ranks.default);
+    },
     
-    try {
-        const apiCallString = apiCall.toString();
-        if (apiCallString.includes('TRANSCRIPTION_API_URL')) {
-            endpoint = 'transcription';
-            model = MODELS.TRANSCRIPTION;
-        } else if (apiCallString.includes('API_URL')) {
-            endpoint = 'chat';
-            
-            const modelMatch = apiCallString.match(/model:\s*['"]([^'"]+)['"]/);
-            if (modelMatch && modelMatch[1]) {
-                model = modelMatch[1];
-            }
+    getEncoder(model) {
+        const { encoding } = getModelCapabilities(model);
+        if (!encoding) return Promise.resolve(null);
+        
+        if (!this.encoders.has(encoding)) {
+            const loading = this.loadEncoder(encoding).catch(error => {
+                console.warn(`Tokenizer ${encoding} unavailable, estimating token counts instead:`, error);
+                return null;
+            });
+            this.encoders.set(encoding, loading);
         }
-    } catch (e) {
-        console.warn('Could not extract API call details:', e);
-    }
+        return this.encoders.get(encoding);
+    },
     
+    async countTokens(text, model) {
+        const encoder = await this.getEncoder(model);
+        if (!encoder) {
+            return { tokens: Math.ceil((text || '').length / TOKENIZER_CONFIG.fallbackCharsPerToken), exact: false };
+        }
+        return { tokens: encoder.encode(text || '').length, exact: true };
+    },
     
-    const showFallbackNotification = (fallbackLevel, errorMessage = '') => {
-        if (!targetElement) return;
+    async countMessages(messages, model) {
+        let tokens = TOKENIZER_CONFIG.tokensPerReply;
+        let exact = true;
         
-        let notificationHtml = '';
-        
-        if (fallbackLevel === 0) {
-            notificationHtml = `
-                <div class="alert alert-warning mb-3">
-                    <i class="fas fa-exclamation-triangle mr-2"></i>
-                    <strong>Notice:</strong> The primary model encountered an issue${errorMessage ? ': ' + errorMessage : ''}. 
-                    Switching to GPT-4 Mini as a fallback.
-                </div>
-            `;
-        } else if (fallbackLevel === 1) {
-            notificationHtml = `
-                <div class="alert alert-danger mb-3">
-                    <i class="fas fa-exclamation-circle mr-2"></i>
-                    <strong>Warning:</strong> Both primary model and GPT-4 Mini failed${errorMessage ? ': ' + errorMessage : ''}. 
-                    Using GPT-3.5 Turbo as a last resort. Response accuracy may be affected.
-                </div>
-            `;
+        for (const message of messages) {
+            const count = await this.countTokens(message.content, model);
+            tokens += count.tokens + TOKENIZER_CONFIG.tokensPerMessage;
+            exact = exact && count.exact;
         }
         
-        if (notificationHtml) {
-            
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = notificationHtml;
-            
-            
-            if (targetElement.firstChild) {
-                targetElement.insertBefore(tempDiv.firstChild, targetElement.firstChild);
-            } else {
-                targetElement.appendChild(tempDiv.firstChild);
-            }
-        }
-    };
+        return { tokens, exact };
+    },
     
-    while (true) {
-        try {
-            
-            if (!apiRequestQueue.canMakeRequest()) {
-                const waitTime = apiRequestQueue.getWaitTime();
-                console.log(`Rate limit reached. Waiting ${waitTime}ms before next request.`);
-                await wait(waitTime);
-            }
-            
-            
-            apiRequestQueue.addRequest();
-            
-            
-            const result = await currentApiCall();
-            
-            
-            const currentModel = fallbackLevel === -1 ? model : 
-                                (fallbackLevel < API_CONFIG.fallbackModels.length ? 
-                                 API_CONFIG.fallbackModels[fallbackLevel] : 'unknown-fallback');
-            apiUsageMonitor.logApiCall(endpoint, currentModel, true);
-            
-            return result;
-            
-        } catch (error) {
-            console.error(`API request failed (${fallbackLevel === -1 ? 'primary' : 'fallback-' + fallbackLevel}) (attempt ${retryCount + 1}/${API_CONFIG.maxRetries}):`, error);
-            
-            
-            let errorCode = null;
-            let errorMessage = '';
-            if (error.message) {
-                const statusMatch = error.message.match(/API request failed: (\d+)/);
-                if (statusMatch && statusMatch[1]) {
-                    errorCode = parseInt(statusMatch[1]);
-                }
-                errorMessage = error.message.replace(/^(API request failed:|Fallback API request failed:)\s*\d+\s*/, '');
-            }
-            
-            
-            const currentModel = fallbackLevel === -1 ? model : 
-                               (fallbackLevel < API_CONFIG.fallbackModels.length ? 
-                                API_CONFIG.fallbackModels[fallbackLevel] : 'unknown-fallback');
-            apiUsageMonitor.logApiCall(endpoint, currentModel, false, errorCode);
-            
-            
-            if (error.message && error.message.includes('429')) {
-                console.log('Rate limit exceeded. Adding delay before retry.');
-                
-                await wait(5000 + getRetryDelay(retryCount));
-                retryCount++;
-            } 
-            
-            else {
-                if (retryCount < API_CONFIG.maxRetries) {
-                    
-                    const delay = getRetryDelay(retryCount);
-                    console.log(`Error occurred. Retrying in ${delay}ms...`);
-                    await wait(delay);
-                    retryCount++;
-                } 
-                
-                else if (fallbackLevel < API_CONFIG.fallbackModels.length - 1) {
-                    
-                    retryCount = 0;
-                    fallbackLevel++;
-                    
-                    
-                    currentApiCall = createFallbackCall(API_CONFIG.fallbackModels[fallbackLevel], fallbackLevel);
-                    
-                    
-                    showFallbackNotification(fallbackLevel, errorMessage);
-                    
-                    console.log(`Switching to fallback model: ${API_CONFIG.fallbackModels[fallbackLevel]}`);
-                } 
-                
-                else {
-                    throw new Error(`All fallback options exhausted. Last error: ${error.message}`);
-                }
-            }
-            
-            
-            if (retryCount >= API_CONFIG.maxRetries && fallbackLevel >= API_CONFIG.fallbackModels.length - 1) {
-                throw new Error(`Failed after ${API_CONFIG.maxRetries} retry attempts on all models: ${error.message}`);
-            }
+    async planCompletion(messages, model, requestedTokens, minimumTokens = Math.min(requestedTokens, 256)) {
+        const capabilities = getModelCapabilities(model);
+        const prompt = await this.countMessages(messages, model);
+        const available = capabilities.contextWindow - prompt.tokens - TOKENIZER_CONFIG.safetyMarginTokens;
+        
+        if (available < minimumTokens) {
+            const excessTokens = minimumTokens - available;
+            const excessCharacters = excessTokens * (prompt.exact ? 4 : TOKENIZER_CONFIG.fallbackCharsPerToken);
+            throw new TokenBudgetError(
+                `The input is too long for ${model}: the prompt uses ${prompt.tokens} of ${capabilities.contextWindow} tokens. ` +
+                `Please shorten it by about ${excessTokens} tokens (roughly ${excessCharacters} characters) and try again.`,
+                { model, promptTokens: prompt.tokens, contextWindow: capabilities.contextWindow, excessTokens }
+            );
         }
+        
+        return {
+            promptTokens: prompt.tokens,
+            maxTokens: Math.min(requestedTokens, available, capabilities.maxOutputTokens),
+            available: available,
+            contextWindow: capabilities.contextWindow,
+            exact: prompt.exact
+        };
     }
-}
+};
 
 
-async function makeApiRequestWithRetry(apiCall, fallbackApiCall = null) {
-    
-    if (fallbackApiCall) {
-        return makeApiRequestWithMultiFallback(
-            apiCall, 
-            (model) => fallbackApiCall,
-            null
-        );
+function buildOpenAIChatBody(request, model, streamUsage = false) {
+    const adjusted = applyModelCapabilities(request, model);
+    const body = {
+        model: model,
+        messages: request.messages
+    };
+
+    body[adjusted.tokenParameter] = adjusted.maxTokens;
+
+    if (adjusted.temperature !== undefined) {
+        body.temperature = adjusted.temperature;
     }
-    
-    
-    let retryCount = 0;
-    let endpoint = 'unknown';
-    let model = 'unknown';
-    
-    
-    try {
-        const apiCallString = apiCall.toString();
-        if (apiCallString.includes('TRANSCRIPTION_API_URL')) {
-            endpoint = 'transcription';
-            model = MODELS.TRANSCRIPTION;
-        } else if (apiCallString.includes('API_URL')) {
-            endpoint = 'chat';
-            
-            const modelMatch = apiCallString.match(/model:\s*['"]([^'"]+)['"]/);
-            if (modelMatch && modelMatch[1]) {
-                model = modelMatch[1];
-            }
+    if (adjusted.reasoningEffort) {
+        body.reasoning_effort = adjusted.reasoningEffort;
+    }
+    if (request.stream) {
+        body.stream = true;
+        if (streamUsage) {
+            body.stream_options = { include_usage: true };
         }
-    } catch (e) {
-        console.warn('Could not extract API call details:', e);
     }
-    
-    while (true) {
-        try {
-            
-            if (!apiRequestQueue.canMakeRequest()) {
-                const waitTime = apiRequestQueue.getWaitTime();
-                console.log(`Rate limit reached. Waiting ${waitTime}ms before next request.`);
-                await wait(waitTime);
-            }
-            
-            
-            apiRequestQueue.addRequest();
-            
-            
-            const result = await apiCall();
-            
-            
-            apiUsageMonitor.logApiCall(endpoint, model, true);
-            
-            return result;
-            
-        } catch (error) {
-            console.error(`API request failed (attempt ${retryCount + 1}/${API_CONFIG.maxRetries}):`, error);
-            
-            
-            let errorCode = null;
-            if (error.message) {
-                const statusMatch = error.message.match(/API request failed: (\d+)/);
-                if (statusMatch && statusMatch[1]) {
-                    errorCode = parseInt(statusMatch[1]);
-                }
-            }
-            
-            
-            apiUsageMonitor.logApiCall(endpoint, model, false, errorCode);
-            
+    if (adjusted.responseFormat) {
+        body.response_format = adjusted.responseFormat;
+    }
+
+    return body;
+}
+
+
+function buildTranscriptionFormData(fields, model) {
+    const formData = new FormData();
+    formData.append('file', fields.file, fields.fileName);
+    formData.append('model', model);
+    formData.append('language', fields.language || 'en');
+
+    if (fields.responseFormat) {
+        formData.append('response_format', fields.responseFormat);
+    }
+
+    return formData;
+}
+
+
+function parseOpenAIChatResponse(data) {
+    return data.choices[0].message.content;
+}
+
+
+function parseOpenAIUsage(data) {
+    if (!data.usage) return null;
+
+    return {
+        promptTokens: data.usage.prompt_tokens,
+        completionTokens: data.usage.completion_tokens
+    };
+}
+
+
+function parseOpenAIStreamEvent(json) {
+    const choice = json.choices && json.choices[0];
+
+    return {
+        content: choice?.delta?.content || '',
+        finishReason: choice?.finish_reason || null,
+        usage: parseOpenAIUsage(json)
+    };
+}
+
+
+const LLM_PROVIDERS = {
+    proxy: {
+        requiresApiKey: false,
+        streamUsage: true,
+
+        resolveModel(model) {
+            return model;
+        },
+
+        buildChatRequest(request, config) {
+            return {
+                url: request.stream ? `${config.baseUrl}/chat/stream` : `${config.baseUrl}/chat`,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(request.descriptor ? { 'X-Request-Id': request.descriptor.correlationId } : {})
+                },
+                body: JSON.stringify(buildOpenAIChatBody(request, request.model, this.streamUsage))
+            };
+        },
+
+        buildTranscriptionRequest(fields, config) {
+            return {
+                url: `${config.baseUrl}/transcribe`,
+                headers: fields.descriptor ? { 'X-Request-Id': fields.descriptor.correlationId } : {},
+                body: buildTranscriptionFormData(fields, fields.model)
+            };
+        },
+
+        parseChatResponse: parseOpenAIChatResponse,
+        parseStreamEvent: parseOpenAIStreamEvent,
+        parseUsage: parseOpenAIUsage
+    },
+
+    openai: {
+        requiresApiKey: true,
+        streamUsage: true,
+
+        resolveModel(model) {
+            return model;
+        },
+
+        buildChatRequest(request, config) {
+            return {
+                url: config.chatUrl,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${config.apiKey}`
+                },
+                body: JSON.stringify(buildOpenAIChatBody(request, this.resolveModel(request.model, config), this.streamUsage))
+            };
+        },
+
+        buildTranscriptionRequest(fields, config) {
+            return {
+                url: config.transcriptionUrl,
+                headers: { 'Authorization': `Bearer ${config.apiKey}` },
+                body: buildTranscriptionFormData(fields, this.resolveModel(fields.model, config))
+            };
+        },
+
+        parseChatResponse: parseOpenAIChatResponse,
+        parseStreamEvent: parseOpenAIStreamEvent,
+        parseUsage: parseOpenAIUsage
+    },
+
+    azure: {
+        requiresApiKey: true,
+        streamUsage: true,
+
+        resolveModel(model, config) {
+            return config.deployments[model] || model;
+        },
+
+        deploymentUrl(deployment, path, config) {
+            const endpoint = config.endpoint.replace(/\/+$/, '');
+            return `${endpoint}/openai/deployments/${encodeURIComponent(deployment)}/${path}?api-version=${config.apiVersion}`;
+        },
+
+        buildChatRequest(request, config) {
+            const deployment = this.resolveModel(request.model, config);
+
+            return {
+                url: this.deploymentUrl(deployment, 'chat/completions', config),
+                headers: {
+                    'Content-Type': 'application/json',
+                    'api-key': config.apiKey
+                },
+                body: JSON.stringify(buildOpenAIChatBody(request, deployment, this.streamUsage))
+            };
+        },
+
+        buildTranscriptionRequest(fields, config) {
+            const deployment = this.resolveModel(fields.model, config);
+
+            return {
+                url: this.deploymentUrl(deployment, 'audio/transcriptions', config),
+                headers: { 'api-key': config.apiKey },
+                body: buildTranscriptionFormData(fields, deployment)
+            };
+        },
+
+        parseChatResponse: parseOpenAIChatResponse,
+        parseStreamEvent: parseOpenAIStreamEvent,
+        parseUsage: parseOpenAIUsage
+    },
+
+    anthropic: {
+        requiresApiKey: true,
+
+        resolveModel(model, config) {
+            return config.models[model] || model;
+        },
+
+        buildChatRequest(request, config) {
+            const systemPrompt = request.messages
+                .filter(message => message.role === 'system')
+                .map(message => message.content)
+                .join('\n\n');
+
+            const model = this.resolveModel(request.model, config);
+            const adjusted = applyModelCapabilities(request, model);
+            const body = {
+                model: model,
+                messages: request.messages.filter(message => message.role !== 'system'),
+                max_tokens: adjusted.maxTokens
+            };
+
+            if (adjusted.temperature !== undefined) {
+                body.temperature = adjusted.temperature;
+            }
+            if (systemPrompt) {
+                body.system = systemPrompt;
+            }
+            if (request.stream) {
+                body.stream = true;
+            }
+
+            return {
+                url: `${config.baseUrl}/messages`,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': config.apiKey,
+                    'anthropic-version': config.version,
+                    'anthropic-dangerous-direct-browser-access': 'true'
+                },
+                body: JSON.stringify(body)
+            };
+        },
+
+        buildTranscriptionRequest() {
+            throw new Error('Audio transcription is not supported by the Anthropic provider.');
+        },
+
+        parseChatResponse(data) {
+            return (data.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('');
+        },
+
+        parseStreamEvent(json) {
+            if (json.type === 'content_block_delta') {
+                return { content: json.delta?.text || '', finishReason: null, usage: null };
+            }
+
+            if (json.type === 'message_start') {
+                const usage = json.message?.usage;
+                return { content: '', finishReason: null, usage: usage ? { promptTokens: usage.input_tokens } : null };
+            }
+
+            if (json.type === 'message_delta') {
+                const stopReason = json.delta?.stop_reason;
+                return {
+                    content: '',
+                    finishReason: stopReason ? (stopReason === 'max_tokens' ? 'length' : 'stop') : null,
+                    usage: json.usage ? { completionTokens: json.usage.output_tokens } : null
+                };
+            }
+
+            return { content: '', finishReason: null, usage: null };
+        },
+
+        parseUsage(data) {
+            if (!data.usage) return null;
+
+            return {
+                promptTokens: data.usage.input_tokens,
+                completionTokens: data.usage.output_tokens
+            };
+        }
+    },
+
+    local: {
+        requiresApiKey: false,
+        streamUsage: false,
+
+        resolveModel(model, config) {
+            return config.models[model] || config.defaultModel || model;
+        },
+
+        buildHeaders(config, json = true) {
+            const headers = {};
+            if (json) {
+                headers['Content-Type'] = 'application/json';
+            }
+            if (config.apiKey) {
+                headers['Authorization'] = `Bearer ${config.apiKey}`;
+            }
+            return headers;
+        },
+
+        buildChatRequest(request, config) {
+            return {
+                url: `${config.baseUrl}/chat/completions`,
+                headers: this.buildHeaders(config),
+                body: JSON.stringify(buildOpenAIChatBody(request, this.resolveModel(request.model, config), this.streamUsage))
+            };
+        },
+
+        buildTranscriptionRequest(fields, config) {
+            return {
+                url: `${config.baseUrl}/audio/transcriptions`,
+                headers: this.buildHeaders(config, false),
+                body: buildTranscriptionFormData(fields, this.resolveModel(fields.model, config))
+            };
+        },
+
+        parseChatResponse: parseOpenAIChatResponse,
+        parseStreamEvent: parseOpenAIStreamEvent,
+        parseUsage: parseOpenAIUsage
+    },
+
+    demo: {
+        requiresApiKey: false,
+        streamUsage: true,
+
+        resolveModel(model) {
+            return model;
+        },
+
+        buildChatRequest(request) {
+            return {
+                url: request.stream ? 'demo:chat/stream' : 'demo:chat',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(request.descriptor ? { 'X-Request-Feature': request.descriptor.feature } : {})
+                },
+                body: JSON.stringify(buildOpenAIChatBody(request, request.model, this.streamUsage))
+            };
+        },
+
+        buildTranscriptionRequest(fields) {
+            return {
+                url: 'demo:transcribe',
+                headers: {},
+                body: buildTranscriptionFormData(fields, fields.model)
+            };
+        },
+
+        fetch(url, init, config) {
+            return createDemoResponse(url, init, config);
+        },
+
+        parseChatResponse: parseOpenAIChatResponse,
+        parseStreamEvent: parseOpenAIStreamEvent,
+        parseUsage: parseOpenAIUsage
+    }
+};
+
+
+function fetchFromProvider(provider, config, url, init) {
+    return provider.fetch ? provider.fetch(url, init, config) : fetch(url, init);
+}
+
+
+const DEMO_SCENARIOS = [
+    {
+        pattern: /headache|migraine|light sensitivity/i,
+        diagnosis: {
+            conditions: [
+                {
+                    name: 'Migraine without aura',
+                    likelihood: 65,
+                    rationale: 'Throbbing headache with sensitivity to light lasting more than a day is typical of migraine.',
+                    supportingFindings: ['Throbbing headache', 'Sensitivity to light'],
+                    contradictingFindings: [],
+                    tests: ['Headache diary', 'Neurological examination']
+                },
+                {
+                    name: 'Tension-type headache',
+                    likelihood: 20,
+                    rationale: 'Common and often persistent, but usually pressing rather than throbbing.',
+                    supportingFindings: ['Headache lasting several days'],
+                    contradictingFindings: ['Throbbing quality'],
+                    tests: ['Review of sleep, stress and posture']
+                },
+                {
+                    name: 'Medication-overuse headache',
+                    likelihood: 15,
+                    rationale: 'Worth excluding if painkillers are taken on most days.',
+                    supportingFindings: [],
+                    contradictingFindings: [],
+                    tests: ['Medication history']
+                }
+            ],
+            explanation: 'The pattern fits a primary headache disorder, most likely migraine. Nothing in the intake suggests a dangerous secondary cause, but the red flags below should be ruled out.',
+            urgencyLevel: 'moderate',
+            redFlags: ['Sudden "worst ever" headache', 'Fever with neck stiffness', 'New weakness, numbness or vision loss'],
+            followUpQuestions: ['Do you feel sick or vomit during the headaches?', 'Do you see flashing lights or zigzag lines before they start?', 'How many days a month do you take painkillers?']
+        },
+        assessment: '**Updated Assessment:** The additional details support migraine. Nausea with light sensitivity and no neurological symptoms make a secondary cause unlikely.\n\n**Recommended Tests:**\n- Blood pressure check\n- Neurological examination if symptoms change\n\n**Urgency Level:** Moderate',
+        summary: '**Most Likely Conditions:**\n- Migraine without aura\n- Tension-type headache\n\n**Key Symptoms:**\n- Throbbing headache\n- Sensitivity to light\n\n**Next Steps:**\n- Keep a headache diary\n- Review painkiller use\n\n**Warnings:**\n- Seek urgent care for a sudden severe headache or new neurological symptoms'
+    },
+    {
+        pattern: /chest (pain|tight)|palpitation|shortness of breath/i,
+        diagnosis: {
+            conditions: [
+                {
+                    name: 'Acute coronary syndrome',
+                    likelihood: 40,
+                    rationale: 'Chest pain must be treated as cardiac until proven otherwise.',
+                    supportingFindings: ['Chest pain'],
+                    contradictingFindings: [],
+                    tests: ['12-lead ECG', 'High-sensitivity troponin']
+                },
+                {
+                    name: 'Gastro-oesophageal reflux',
+                    likelihood: 35,
+                    rationale: 'Burning chest pain related to meals or lying down is often reflux.',
+                    supportingFindings: [],
+                    contradictingFindings: [],
+                    tests: ['Trial of acid suppression after cardiac causes are excluded']
+                },
+                {
+                    name: 'Musculoskeletal chest wall pain',
+                    likelihood: 25,
+                    rationale: 'Pain reproduced by pressing on the chest wall points to a muscular cause.',
+                    supportingFindings: [],
+                    contradictingFindings: [],
+                    tests: ['Physical examination']
+                }
+            ],
+            explanation: 'Chest pain has several benign causes, but a cardiac cause cannot be excluded from the intake alone and needs prompt assessment.',
+            urgencyLevel: 'high',
+            redFlags: ['Pain spreading to the arm, jaw or back', 'Sweating, nausea or breathlessness with the pain', 'Pain lasting more than 15 minutes'],
+            followUpQuestions: ['Does the pain come on with exertion?', 'Does it spread to your arm, jaw or back?', 'Do you have a history of heart disease, diabetes or smoking?']
+        },
+        assessment: '**Updated Assessment:** The answers do not exclude a cardiac cause. An ECG and troponin are needed before reflux or a muscular cause can be assumed.\n\n**Recommended Tests:**\n- 12-lead ECG\n- High-sensitivity troponin\n\n**Urgency Level:** High',
+        summary: '**Most Likely Conditions:**\n- Acute coronary syndrome (to exclude)\n- Gastro-oesophageal reflux\n- Chest wall pain\n\n**Key Symptoms:**\n- Chest pain\n\n**Next Steps:**\n- ECG and troponin today\n\n**Warnings:**\n- Call emergency services if the pain spreads or comes with sweating or breathlessness'
+    },
+    {
+        pattern: /cough|fever|sore throat|congestion/i,
+        diagnosis: {
+            conditions: [
+                {
+                    name: 'Viral upper respiratory infection',
+                    likelihood: 60,
+                    rationale: 'Cough and fever of a few days are most often viral.',
+                    supportingFindings: ['Cough', 'Fever'],
+                    contradictingFindings: [],
+                    tests: ['None needed if improving']
+                },
+                {
+                    name: 'Influenza',
+                    likelihood: 25,
+                    rationale: 'Sudden fever with aches during flu season.',
+                    supportingFindings: ['Fever'],
+                    contradictingFindings: [],
+                    tests: ['Rapid influenza test']
+                },
+                {
+                    name: 'Community-acquired pneumonia',
+                    likelihood: 15,
+                    rationale: 'Less likely without breathlessness or chest pain, but possible with persistent fever.',
+                    supportingFindings: [],
+                    contradictingFindings: ['No breathlessness reported'],
+                    tests: ['Chest X-ray', 'Pulse oximetry']
+                }
+            ],
+            explanation: 'This is most likely a self-limiting viral infection. Pneumonia becomes more likely if the fever persists beyond five days or breathing becomes difficult.',
+            urgencyLevel: 'low',
+            redFlags: ['Difficulty breathing', 'Oxygen saturation below 94%', 'Confusion or drowsiness'],
+            followUpQuestions: ['Are you short of breath at rest?', 'What is your highest temperature so far?', 'Are you coughing up coloured phlegm?']
+        },
+        assessment: '**Updated Assessment:** The course is consistent with a viral infection. No features of pneumonia so far.\n\n**Recommended Tests:**\n- Pulse oximetry if breathing worsens\n\n**Urgency Level:** Low',
+        summary: '**Most Likely Conditions:**\n- Viral upper respiratory infection\n- Influenza\n\n**Key Symptoms:**\n- Cough\n- Fever\n\n**Next Steps:**\n- Rest, fluids and paracetamol\n- Review if fever lasts more than five days\n\n**Warnings:**\n- Seek care for breathing difficulty or confusion'
+    }
+];
+
+const DEMO_DEFAULT_SCENARIO = {
+    diagnosis: {
+        conditions: [
+            {
+                name: 'Non-specific viral illness',
+                likelihood: 50,
+                rationale: 'Short-lived general symptoms without localising features are usually viral.',
+                supportingFindings: [],
+                contradictingFindings: [],
+                tests: ['Full blood count if symptoms persist']
+            },
+            {
+                name: 'Dehydration',
+                likelihood: 30,
+                rationale: 'Fatigue and light-headedness often reflect poor fluid intake.',
+                supportingFindings: [],
+                contradictingFindings: [],
+                tests: ['Urea and electrolytes']
+            },
+            {
+                name: 'Iron-deficiency anaemia',
+                likelihood: 20,
+                rationale: 'A common cause of ongoing tiredness.',
+                supportingFindings: [],
+                contradictingFindings: [],
+                tests: ['Full blood count', 'Ferritin']
+            }
+        ],
+        explanation: 'The symptoms are non-specific. Simple blood tests will help if they do not settle within a week.',
+        urgencyLevel: 'low',
+        redFlags: ['Unintentional weight loss', 'Night sweats', 'Fainting'],
+        followUpQuestions: ['How long have you felt this way?', 'Have you lost weight without trying?', 'Are you drinking enough fluids?']
+    },
+    assessment: '**Updated Assessment:** The new information does not point to a specific cause. Basic blood tests are reasonable if symptoms continue.\n\n**Recommended Tests:**\n- Full blood count\n- Ferritin\n\n**Urgency Level:** Low',
+    summary: '**Most Likely Conditions:**\n- Non-specific viral illness\n- Dehydration\n\n**Key Symptoms:**\n- General malaise\n\n**Next Steps:**\n- Fluids and rest\n- Blood tests if not improving within a week\n\n**Warnings:**\n- Seek care for fainting or unexplained weight loss'
+};
+
+const DEMO_FOLLOW_UP_ANSWERS = [
+    {
+        pattern: /medic|drug|tablet|pill|ibuprofen|paracetamol/i,
+        answer: 'For symptom relief you can usually take:\n\n1. **Paracetamol** 1 g up to four times a day\n2. **Ibuprofen** 400 mg up to three times a day with food, unless you have stomach ulcers, kidney disease or asthma made worse by it\n\nDo not take painkillers on more than 10 days a month, as this can cause rebound symptoms. Check with a pharmacist if you take other regular medicines.'
+    },
+    {
+        pattern: /serious|worried|danger|emergency/i,
+        answer: 'Based on what you have described, this is **unlikely to be serious**, but you should seek urgent care if you notice:\n\n- Symptoms that suddenly become much worse\n- Difficulty breathing, chest pain or fainting\n- New weakness, numbness or confusion\n\nOtherwise, book a routine appointment if things have not improved within a week.'
+    },
+    {
+        pattern: /test|scan|blood|x-ray/i,
+        answer: 'The tests that would help most are:\n\n| Test | Why |\n|------|-----|\n| Full blood count | Looks for infection or anaemia |\n| Blood pressure | Rules out hypertension as a contributor |\n| Examination | Checks for signs that point to a specific cause |\n\nImaging is only needed if the examination finds something unexpected.'
+    }
+];
+
+const DEMO_DEFAULT_FOLLOW_UP_ANSWER = 'Thank you, that helps. Keep a short diary of when the symptoms happen, what you were doing, and anything that helped. Bring it to your next appointment.\n\nIf anything new develops, especially any of the warning signs listed above, seek care sooner.';
+
+const DEMO_TRANSCRIPT = 'PA and lateral chest radiograph. The lungs are clear bilaterally with no focal consolidation, effusion or pneumothorax. Heart size is within normal limits. Mediastinal contours are normal. No acute bony abnormality. Impression: no acute cardiopulmonary process.';
+
+
+function findDemoScenario(text) {
+    return DEMO_SCENARIOS.find(scenario => scenario.pattern.test(text)) || DEMO_DEFAULT_SCENARIO;
+}
+
+
+function buildDemoMemory(text) {
+    const pinnedFacts = [];
+    const allergy = text.match(/allergic to ([\w -]+)/i);
+    const medication = text.match(/\b(?:take|taking|takes|on) (\w+ ?\d* ?mg|metformin|aspirin|ibuprofen|paracetamol|insulin|warfarin)\b/i);
+    
+    if (allergy) pinnedFacts.push({ category: 'allergy', text: `Allergic to ${allergy[1].trim()}` });
+    if (medication) pinnedFacts.push({ category: 'medication', text: `Takes ${medication[1].trim()}` });
+    
+    return {
+        summary: 'The patient has been discussing their symptoms and the suggested next steps. No new red flags have been reported during the conversation.',
+        pinnedFacts: pinnedFacts
+    };
+}
+
+
+function buildDemoReport(prompt) {
+    const field = (label) => (prompt.match(new RegExp(`^- ${label}: (.*)$`, 'm')) || [])[1] || 'Not provided';
+    const reportType = (prompt.match(/^Format as (.+?) report:/m) || [])[1] || 'medical';
+    const findings = (prompt.match(/^Findings: ([\s\S]*?)\nNotes:/m) || [])[1] || '';
+    const notes = (prompt.match(/^Notes: ([\s\S]*?)\n\nInclude these sections/m) || [])[1] || '';
+    const title = reportType.charAt(0).toUpperCase() + reportType.slice(1);
+    
+    return `# ${title} Report
+
+## Patient Information
+- **Patient Name:** ${field('Patient Name')}
+- **Patient ID:** ${field('Patient ID')}
+- **Age:** ${field('Age')}
+- **Gender:** ${field('Gender')}
+- **Date of Report:** ${field('Date of Report')}
+
+## Examination Details
+${title} examination as dictated by the reporting clinician.
+
+## Findings
+${findings.trim() || 'No findings were dictated.'}
+
+## Impression/Conclusion
+No acute abnormality is described. Correlate with the clinical presentation.
+
+## Recommendations
+1. Review the findings with the patient at the next appointment.
+2. Repeat the examination only if symptoms change.
+${notes.trim() ? `\n**Additional Notes:** ${notes.trim()}\n` : ''}`;
+}
+
+
+function buildDemoReply(body, feature) {
+    const messages = body.messages;
+    const lastMessage = messages[messages.length - 1];
+    
+    if (lastMessage.content === STREAM_CONTINUATION_PROMPT && messages.length >= 3) {
+        const partial = messages[messages.length - 2].content;
+        const full = buildDemoReply({ ...body, messages: messages.slice(0, -2) }, feature);
+        return full.startsWith(partial) ? full.slice(partial.length) : full;
+    }
+    
+    const prompt = lastMessage.content;
+    const allText = messages.map(message => message.content).join('\n');
+    const scenario = findDemoScenario(allText);
+    const schemaName = body.response_format?.json_schema?.name;
+    
+    if (schemaName === 'diagnosis' || (feature === 'diagnosis' && (body.response_format || /\bJSON\b/.test(messages[0].content)))) {
+        return JSON.stringify(scenario.diagnosis, null, 2);
+    }
+    if (schemaName === 'conversation_memory' || (feature === 'summary' && body.response_format)) {
+        return JSON.stringify(buildDemoMemory(allText));
+    }
+    if (feature === 'summary') return scenario.summary;
+    if (feature === 'diagnosis') return scenario.assessment;
+    if (feature === 'report') return buildDemoReport(prompt);
+    
+    
+    const condition = prompt.match(/^Focus only on (.+?) as an explanation/);
+    if (condition) {
+        return `**${condition[1]}** would be supported by a typical history and a normal examination.\n\n- **To confirm:** the pattern of symptoms over the next few days and the response to first-line treatment\n- **To rule out:** the recommended tests returning normal\n\nIf it is confirmed, follow the treatment plan discussed and return if the warning signs appear.`;
+    }
+    
+    const answer = DEMO_FOLLOW_UP_ANSWERS.find(entry => entry.pattern.test(prompt));
+    return answer ? answer.answer : DEMO_DEFAULT_FOLLOW_UP_ANSWER;
+}
+
+
+function createDemoJsonResponse(payload, status = 200, headers = {}) {
+    return new Response(JSON.stringify(payload), {
+        status: status,
+        statusText: { 200: 'OK', 429: 'Too Many Requests', 500: 'Internal Server Error' }[status] || '',
+        headers: { 'Content-Type': 'application/json', ...headers }
+    });
+}
+
+
+function createDemoStreamResponse(content, usage, config, signal, interrupt) {
+    const encoder = new TextEncoder();
+    const chunkSize = Math.max(1, config.streamChunkCharacters);
+    const stopAt = interrupt ? Math.floor(content.length / 2) : content.length;
+    let position = 0;
+    let timer = null;
+    
+    const event = (payload) => encoder.encode(`data: ${typeof payload === 'string' ? payload : JSON.stringify(payload)}\n\n`);
+    
+    const body = new ReadableStream({
+        start(controller) {
+            const onAbort = () => {
+                clearTimeout(timer);
+                controller.error(createAbortError());
+            };
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            
+            const push = () => {
+                if (position >= stopAt) {
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                    
+                    if (interrupt) {
+                        controller.error(new TypeError('Demo stream interrupted (simulated network error)'));
+                        return;
+                    }
+                    controller.enqueue(event({ choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] }));
+                    controller.enqueue(event({ choices: [], usage: usage }));
+                    controller.enqueue(event('[DONE]'));
+                    controller.close();
+                    return;
+                }
+                
+                const delta = content.slice(position, Math.min(position + chunkSize, stopAt));
+                position += delta.length;
+                controller.enqueue(event({ choices: [{ index: 0, delta: { content: delta }, finish_reason: null }] }));
+                timer = setTimeout(push, config.streamIntervalMs);
+            };
+            push();
+        },
+        
+        cancel() {
+            clearTimeout(timer);
+        }
+    });
+    
+    return new Response(body, {
+        status: 200,
+        headers: { 'Content-Type': 'text/event-stream; charset=utf-8' }
+    });
+}
+
+
+function takeDemoFailure(config, streaming) {
+    const next = config.simulatedFailures[0];
+    if (!next || (next === 'stream-interruption' && !streaming)) return null;
+    
+    config.simulatedFailures.shift();
+    renderDemoModeControls();
+    return next;
+}
+
+
+async function createDemoResponse(url, init, config) {
+    await wait(config.responseDelayMs, init.signal);
+    
+    const streaming = url === 'demo:chat/stream';
+    const failure = takeDemoFailure(config, streaming);
+    if (failure) {
+        console.log(`Demo provider: simulating ${failure} for ${url}`);
+    }
+    
+    if (failure === 'rate-limit') {
+        return createDemoJsonResponse({ error: { message: 'Rate limit reached (simulated by demo mode).' } }, 429, { 'Retry-After': '2' });
+    }
+    if (failure === 'server-error') {
+        return createDemoJsonResponse({ error: { message: 'The server had an error while processing your request (simulated by demo mode).' } }, 500);
+    }
+    
+    if (url === 'demo:transcribe') {
+        return createDemoJsonResponse({ text: DEMO_TRANSCRIPT, duration: 24 });
+    }
+    
+    
+    const body = JSON.parse(init.body);
+    const content = buildDemoReply(body, init.headers['X-Request-Feature'] || null);
+    const promptLength = body.messages.reduce((total, message) => total + message.content.length, 0);
+    const usage = {
+        prompt_tokens: Math.ceil(promptLength / 4),
+        completion_tokens: Math.ceil(content.length / 4),
+        total_tokens: Math.ceil(promptLength / 4) + Math.ceil(content.length / 4)
+    };
+    
+    if (streaming) {
+        return createDemoStreamResponse(content, usage, config, init.signal, failure === 'stream-interruption');
+    }
+    return createDemoJsonResponse({
+        choices: [{ index: 0, message: { role: 'assistant', content: content }, finish_reason: 'stop' }],
+        usage: usage
+    });
+}
+
+
+const DEMO_FAILURE_LABELS = {
+    'rate-limit': 'Rate limit (429)',
+    'server-error': 'Server error (500)',
+    'stream-interruption': 'Interrupted stream'
+};
+
+
+function renderDemoModeControls() {
+    const queue = document.getElementById('demoFailureQueue');
+    if (!queue) return;
+    
+    const failures = LLM_PROVIDER_CONFIG.demo.simulatedFailures;
+    queue.textContent = failures.length > 0
+        ? `Queued: ${failures.map(failure => DEMO_FAILURE_LABELS[failure] || failure).join(', ')}`
+        : 'Nothing queued; requests succeed.';
+}
+
+
+function initializeDemoModeControls() {
+    const controls = document.getElementById('demoModeControls');
+    if (!controls || LLM_PROVIDER_CONFIG.provider !== 'demo') return;
+    
+    controls.classList.remove('d-none');
+    console.log('Demo mode: responses are scripted and nothing is sent over the network');
+    
+    document.getElementById('demoModeIndicator').addEventListener('click', () => {
+        renderDemoModeControls();
+        document.getElementById('demoModeMenu').classList.toggle('d-none');
+    });
+    
+    controls.querySelectorAll('[data-demo-failure]').forEach(button => {
+        button.addEventListener('click', () => {
+            LLM_PROVIDER_CONFIG.demo.simulatedFailures.push(button.dataset.demoFailure);
+            renderDemoModeControls();
+        });
+    });
+    
+    document.getElementById('clearDemoFailures').addEventListener('click', () => {
+        LLM_PROVIDER_CONFIG.demo.simulatedFailures.length = 0;
+        renderDemoModeControls();
+    });
+    
+    renderDemoModeControls();
+}
+
+
+function getLlmProvider() {
+    const name = LLM_PROVIDER_CONFIG.provider;
+    const provider = LLM_PROVIDERS[name];
+
+    if (!provider) {
+        throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(LLM_PROVIDERS).join(', ')}.`);
+    }
+
+    return { name, provider, config: LLM_PROVIDER_CONFIG[name] || {} };
+}
+
+
+function getLlmProviderConfigError() {
+    let active;
+    try {
+        active = getLlmProvider();
+    } catch (error) {
+        return error.message;
+    }
+
+    const { name, provider, config } = active;
+
+    if (provider.requiresApiKey && (!config.apiKey || PLACEHOLDER_API_KEYS.includes(config.apiKey))) {
+        return `API key for the "${name}" provider is missing.`;
+    }
+
+    if (name === 'azure' && !config.endpoint) {
+        return 'Azure OpenAI endpoint is missing.';
+    }
+
+    if ((name === 'local' || name === 'proxy') && !config.baseUrl) {
+        return `Base URL for the ${name} provider is missing.`;
+    }
+
+    if (name === 'proxy' && window.location.protocol === 'file:') {
+        return 'The app must be served by server.js to reach the API proxy.';
+    }
+
+    return null;
+}
+
+
+async function sendChatRequest(request) {
+    const { provider, config } = getLlmProvider();
+    const { url, headers, body } = provider.buildChatRequest(request, config);
+
+    const response = await fetchFromProvider(provider, config, url, {
+        method: 'POST',
+        headers: headers,
+        body: body,
+        signal: request.signal
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(`API request failed: ${response.status} ${response.statusText} - ${errorData.error?.message || 'Unknown error'}`);
+    }
+
+    return response;
+}
+
+
+async function requestChatCompletion(request) {
+    const response = await sendChatRequest({ ...request, stream: false });
+    const data = await response.json();
+    const { provider } = getLlmProvider();
+    const content = provider.parseChatResponse(data);
+
+    if (request.descriptor) {
+        const usage = provider.parseUsage(data);
+        request.descriptor.usage = usage
+            ? { model: request.model, ...usage }
+            : await estimateUsage(request.model, request.messages, content);
+    }
+
+    return content;
+}
+
+
+function parseStreamEvent(json) {
+    return getLlmProvider().provider.parseStreamEvent(json);
+}
+
+
+async function readSseStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder('utf-8');
+    
+    let buffer = '';
+    let eventType = '';
+    let dataLines = [];
+    
+    const dispatch = () => {
+        if (dataLines.length > 0) {
+            onEvent({ event: eventType || 'message', data: dataLines.join('\n') });
+        }
+        eventType = '';
+        dataLines = [];
+    };
+    
+    const processLine = (line) => {
+        if (line === '') {
+            dispatch();
+            return;
+        }
+        
+        
+        if (line.startsWith(':')) return;
+        
+        const separator = line.indexOf(':');
+        const field = separator === -1 ? line : line.slice(0, separator);
+        let value = separator === -1 ? '' : line.slice(separator + 1);
+        if (value.startsWith(' ')) {
+            value = value.slice(1);
+        }
+        
+        if (field === 'event') {
+            eventType = value;
+        } else if (field === 'data') {
+            dataLines.push(value);
+        }
+    };
+    
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            
+            
+            let text = buffer + (done ? decoder.decode() : decoder.decode(value, { stream: true }));
+            
+            
+            let heldBack = '';
+            if (!done && text.endsWith('\r')) {
+                text = text.slice(0, -1);
+                heldBack = '\r';
+            }
+            
+            const lines = text.split(/\r\n|\r|\n/);
+            buffer = done ? '' : lines.pop() + heldBack;
+            
+            lines.forEach(processLine);
+            
+            if (done) {
+                dispatch();
+                return;
+            }
+        }
+    } catch (error) {
+        reader.cancel().catch(() => {});
+        throw error;
+    }
+}
+
+
+async function readChatStream(response, onContent = null) {
+    let content = '';
+    let finishReason = null;
+    let usage = null;
+    let eventCount = 0;
+    let finished = false;
+    
+    await readSseStream(response, ({ event, data }) => {
+        if (finished) return;
+        
+        if (data.trim() === '[DONE]') {
+            finished = true;
+            return;
+        }
+        
+        let json;
+        try {
+            json = JSON.parse(data);
+        } catch (e) {
+            console.warn('Invalid JSON in stream:', data, e);
+            return;
+        }
+        
+        
+        if (event === 'error' || json.type === 'error') {
+            throw new Error(`Stream error: ${json.error?.message || 'Unknown error'}`);
+        }
+        
+        eventCount++;
+        const parsed = parseStreamEvent(json);
+        
+        if (parsed.finishReason) {
+            finishReason = parsed.finishReason;
+        }
+        if (parsed.usage) {
+            usage = { ...usage, ...parsed.usage };
+        }
+        
+        if (parsed.content) {
+            content += parsed.content;
+            if (onContent) {
+                onContent(content, parsed.content);
+            }
+        }
+    });
+    
+    return { content, finishReason, usage, eventCount };
+}
+
+
+async function requestTranscription(fields) {
+    const { provider, config } = getLlmProvider();
+    const { url, headers, body } = provider.buildTranscriptionRequest(fields, config);
+
+    const response = await fetchFromProvider(provider, config, url, {
+        method: 'POST',
+        headers: headers,
+        body: body,
+        signal: fields.signal
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text().catch(() => '');
+        let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
+
+        try {
+            const errorData = JSON.parse(errorText);
+            if (errorData.error && errorData.error.message) {
+                errorMessage = errorData.error.message;
+            }
+        } catch (e) {
+
+        }
+
+        const error = new Error(`Transcription API error: ${errorMessage}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    const data = await response.json();
+
+    if (fields.descriptor) {
+        const audioSeconds = data.usage?.seconds ?? data.duration ?? await getAudioDurationSeconds(fields.file);
+        fields.descriptor.usage = { model: fields.model, audioSeconds: audioSeconds ?? 0 };
+    }
+
+    return data.text ? data.text.trim() : '';
+}
+
+
+const REQUEST_FEATURES = ['diagnosis', 'summary', 'follow-up', 'report', 'transcription'];
+const REQUEST_ENDPOINTS = ['chat', 'chat-stream', 'transcription'];
+
+const USAGE_CONFIG = {
+    storageKey: 'apiUsageHistory',
+    budgetStorageKey: 'apiUsageBudgets',
+    maxStoredEntries: 5000,
+    retentionDays: 90,
+    warnAtFraction: 0.8
+};
+
+
+const apiUsageMonitor = {
+    usageLog: [],
+    maxLogSize: 100,
+    history: [],
+    budgets: { dailyLimit: null, monthlyLimit: null, enforcement: 'warn' },
+    warnedPeriods: new Set(),
+    
+    load() {
+        try {
+            this.history = JSON.parse(localStorage.getItem(USAGE_CONFIG.storageKey) || '[]');
+            this.budgets = { ...this.budgets, ...JSON.parse(localStorage.getItem(USAGE_CONFIG.budgetStorageKey) || '{}') };
+        } catch (error) {
+            console.warn('Stored usage history is unreadable and will be reset:', error);
+            this.history = [];
+        }
+        this.prune();
+    },
+    
+    persist() {
+        try {
+            localStorage.setItem(USAGE_CONFIG.storageKey, JSON.stringify(this.history));
+        } catch (error) {
+            console.warn('Could not persist usage history:', error);
+        }
+    },
+    
+    prune() {
+        const cutoff = Date.now() - USAGE_CONFIG.retentionDays * 24 * 60 * 60 * 1000;
+        this.history = this.history
+            .filter(entry => new Date(entry.timestamp).getTime() >= cutoff)
+            .slice(-USAGE_CONFIG.maxStoredEntries);
+    },
+    
+    estimateCost(model, usage) {
+        const { pricing } = getModelCapabilities(model);
+        if (!pricing || !usage) return null;
+        
+        if (usage.audioSeconds !== undefined) {
+            return pricing.audioPerMinute !== undefined ? usage.audioSeconds / 60 * pricing.audioPerMinute : null;
+        }
+        if (pricing.input === undefined) return null;
+        
+        return ((usage.promptTokens || 0) * pricing.input + (usage.completionTokens || 0) * pricing.output) / 1000000;
+    },
+    
+    logApiCall(request, success, errorCode = null, latencyMs = null) {
+        const timestamp = new Date().toISOString();
+        const usage = request.usage || null;
+        const model = usage?.model || request.model;
+        const entry = {
+            timestamp,
+            correlationId: request.correlationId,
+            endpoint: request.endpoint,
+            model,
+            success,
+            errorCode,
+            feature: request.feature,
+            attempt: request.attempt,
+            fallbackLevel: request.fallbackLevel,
+            latencyMs,
+            promptTokens: usage?.promptTokens ?? null,
+            completionTokens: usage?.completionTokens ?? null,
+            audioSeconds: usage?.audioSeconds ?? null,
+            estimatedTokens: Boolean(usage?.estimated),
+            cost: success ? this.estimateCost(model, usage) : null
+        };
+        
+        this.usageLog.unshift(entry);
+        if (this.usageLog.length > this.maxLogSize) {
+            this.usageLog.pop();
+        }
+        
+        this.history.push(entry);
+        this.prune();
+        this.persist();
+        
+        this.checkForSuspiciousActivity();
+        this.checkBudget();
+        renderUsageDashboard();
+        
+        console.log(`API Call: ${describeRequest(request)} | Endpoint: ${entry.endpoint} | Attempt: ${entry.attempt + 1} | Success: ${success} | Tokens: ${entry.promptTokens ?? '-'}/${entry.completionTokens ?? '-'} | ${timestamp}`);
+    },
+    
+    checkForSuspiciousActivity() {
+        const recentCalls = this.usageLog.slice(0, 20);
+        
+        const failedCalls = recentCalls.filter(call => !call.success);
+        if (recentCalls.length >= 5 && failedCalls.length / recentCalls.length > 0.7) {
+            console.warn('Security Alert: High API failure rate detected. Possible API abuse or invalid credentials.');
+        }
+        
+        if (recentCalls.length >= 5) {
+            const timestamps = recentCalls.map(call => new Date(call.timestamp).getTime());
+            const timeDiffs = [];
+            for (let i = 1; i < timestamps.length; i++) {
+                timeDiffs.push(timestamps[i-1] - timestamps[i]);
+            }
+            
+            const avgTimeBetweenCalls = timeDiffs.reduce((sum, diff) => sum + diff, 0) / timeDiffs.length;
+            if (avgTimeBetweenCalls < 500) {
+                console.warn('Security Alert: Unusually rapid API calls detected. Possible automated abuse.');
+            }
+        }
+    },
+    
+    getSpend(period) {
+        const now = new Date();
+        const prefix = period === 'month'
+            ? toLocalDateKey(now).slice(0, 7)
+            : toLocalDateKey(now);
+        
+        return this.history
+            .filter(entry => toLocalDateKey(new Date(entry.timestamp)).startsWith(prefix))
+            .reduce((sum, entry) => sum + (entry.cost || 0), 0);
+    },
+    
+    getBudgetStatus() {
+        const periods = [
+            { period: 'day', label: 'daily', limit: this.budgets.dailyLimit },
+            { period: 'month', label: 'monthly', limit: this.budgets.monthlyLimit }
+        ];
+        
+        let status = { level: 'ok' };
+        for (const { period, label, limit } of periods) {
+            if (!limit) continue;
+            
+            const spent = this.getSpend(period);
+            if (spent >= limit) {
+                return { level: 'exceeded', period, label, spent, limit };
+            }
+            if (spent >= limit * USAGE_CONFIG.warnAtFraction && status.level === 'ok') {
+                status = { level: 'warning', period, label, spent, limit };
+            }
+        }
+        return status;
+    },
+    
+    checkBudget() {
+        const status = this.getBudgetStatus();
+        if (status.level === 'ok') return status;
+        
+        
+        const key = `${status.level}:${status.period}:${toLocalDateKey(new Date())}`;
+        if (!this.warnedPeriods.has(key)) {
+            this.warnedPeriods.add(key);
+            showBudgetAlert(status, this.budgets.enforcement);
+        }
+        return status;
+    },
+    
+    enforceBudget() {
+        const status = this.checkBudget();
+        if (status.level === 'exceeded' && this.budgets.enforcement === 'block') {
+            throw new Error(`The ${status.label} usage budget of ${formatCost(status.limit)} has been reached (${formatCost(status.spent)} spent). Raise the limit on the Usage tab to continue.`);
+        }
+    },
+    
+    setBudgets(budgets) {
+        this.budgets = { ...this.budgets, ...budgets };
+        this.warnedPeriods.clear();
+        localStorage.setItem(USAGE_CONFIG.budgetStorageKey, JSON.stringify(this.budgets));
+    },
+    
+    clearHistory() {
+        this.history = [];
+        this.usageLog = [];
+        this.persist();
+    },
+    
+    summarize(keyOf) {
+        const groups = new Map();
+        
+        for (const entry of this.history) {
+            const key = keyOf(entry);
+            if (!groups.has(key)) {
+                groups.set(key, { key, requests: 0, failures: 0, fallbacks: 0, estimated: 0, promptTokens: 0, completionTokens: 0, cost: 0, latencyTotal: 0, latencyCount: 0 });
+            }
+            
+            const group = groups.get(key);
+            group.requests++;
+            group.failures += entry.success ? 0 : 1;
+            group.fallbacks += entry.fallbackLevel >= 0 ? 1 : 0;
+            group.estimated += entry.estimatedTokens ? 1 : 0;
+            group.promptTokens += entry.promptTokens || 0;
+            group.completionTokens += entry.completionTokens || 0;
+            group.cost += entry.cost || 0;
+            if (entry.latencyMs !== null) {
+                group.latencyTotal += entry.latencyMs;
+                group.latencyCount++;
+            }
+        }
+        
+        return [...groups.values()].map(group => ({
+            ...group,
+            averageLatencyMs: group.latencyCount > 0 ? Math.round(group.latencyTotal / group.latencyCount) : null
+        }));
+    },
+    
+    getUsageStats() {
+        if (this.usageLog.length === 0) return { total: 0, success: 0, failure: 0 };
+        
+        const total = this.usageLog.length;
+        const success = this.usageLog.filter(call => call.success).length;
+        const failure = total - success;
+        
+        return {
+            total,
+            success,
+            failure,
+            successRate: (success / total * 100).toFixed(1) + '%'
+        };
+    }
+};
+
+
+function toLocalDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+
+function formatCost(cost) {
+    if (cost === null || cost === undefined) return '-';
+    return cost < 0.01 && cost > 0 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
+
+
+function getRequestFeature(modelType) {
+    return modelType.toLowerCase().replace(/_/g, '-');
+}
+
+
+async function estimateUsage(model, messages, completion) {
+    const prompt = await tokenBudgeter.countMessages(messages, model);
+    const output = await tokenBudgeter.countTokens(completion, model);
+    
+    return {
+        model: model,
+        promptTokens: prompt.tokens,
+        completionTokens: output.tokens,
+        estimated: true
+    };
+}
+
+
+async function getAudioDurationSeconds(blob) {
+    const AudioContextType = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextType) return null;
+    
+    let context = null;
+    try {
+        context = new AudioContextType();
+        const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+        return buffer.duration;
+    } catch (error) {
+        console.warn('Could not measure audio duration for usage tracking:', error);
+        return null;
+    } finally {
+        if (context && context.close) {
+            context.close().catch(() => {});
+        }
+    }
+}
+
+
+function showBudgetAlert(status, enforcement) {
+    const message = status.level === 'exceeded'
+        ? `The ${status.label} usage budget of ${formatCost(status.limit)} has been reached (${formatCost(status.spent)} spent).${enforcement === 'block' ? ' New requests are blocked.' : ''}`
+        : `${formatCost(status.spent)} of the ${status.label} usage budget of ${formatCost(status.limit)} has been used.`;
+    
+    const alertDiv = document.createElement('div');
+    alertDiv.className = `alert ${status.level === 'exceeded' ? 'alert-danger' : 'alert-warning'} fixed-top m-3 budget-alert`;
+    alertDiv.style.zIndex = '9999';
+    alertDiv.innerHTML = '<i class="fas fa-coins mr-2"></i><strong>Usage budget:</strong> ';
+    alertDiv.appendChild(document.createTextNode(message));
+    document.body.appendChild(alertDiv);
+    
+    setTimeout(() => {
+        if (alertDiv.parentNode) {
+            alertDiv.parentNode.removeChild(alertDiv);
+        }
+    }, 10000);
+}
+
+
+function createUsageTable(title, rows, labelHeader) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'usage-table';
+    
+    const heading = document.createElement('h6');
+    heading.className = 'font-medium text-gray-700 mb-2';
+    heading.textContent = title;
+    wrapper.appendChild(heading);
+    
+    if (rows.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'text-gray-500 text-sm';
+        empty.textContent = 'No requests recorded yet.';
+        wrapper.appendChild(empty);
+        return wrapper;
+    }
+    
+    const table = document.createElement('table');
+    table.className = 'table table-sm text-sm';
+    
+    const headerRow = table.createTHead().insertRow();
+    [labelHeader, 'Requests', 'Failed', 'Fallbacks', 'Prompt tokens', 'Completion tokens', 'Avg latency', 'Cost'].forEach(label => {
+        const cell = document.createElement('th');
+        cell.textContent = label;
+        headerRow.appendChild(cell);
+    });
+    
+    const body = table.createTBody();
+    rows.forEach(row => {
+        const tableRow = body.insertRow();
+        const approximate = row.estimated > 0 ? '~' : '';
+        [
+            row.key,
+            row.requests,
+            row.failures,
+            row.fallbacks,
+            approximate + row.promptTokens.toLocaleString(),
+            approximate + row.completionTokens.toLocaleString(),
+            row.averageLatencyMs !== null ? `${(row.averageLatencyMs / 1000).toFixed(1)} s` : '-',
+            formatCost(row.cost)
+        ].forEach(value => {
+            tableRow.insertCell().textContent = value;
+        });
+    });
+    
+    wrapper.appendChild(table);
+    return wrapper;
+}
+
+
+function renderUsageDashboard() {
+    const tables = document.getElementById('usageTables');
+    if (!tables) return;
+    
+    const today = apiUsageMonitor.getSpend('day');
+    const month = apiUsageMonitor.getSpend('month');
+    const todayKey = toLocalDateKey(new Date());
+    const todayEntries = apiUsageMonitor.history.filter(entry => toLocalDateKey(new Date(entry.timestamp)) === todayKey);
+    const todayTokens = todayEntries.reduce((sum, entry) => sum + (entry.promptTokens || 0) + (entry.completionTokens || 0), 0);
+    
+    document.getElementById('usageTodayCost').textContent = formatCost(today);
+    document.getElementById('usageTodayDetail').textContent = `${todayEntries.length} requests, ${todayTokens.toLocaleString()} tokens`;
+    document.getElementById('usageMonthCost').textContent = formatCost(month);
+    
+    const status = apiUsageMonitor.getBudgetStatus();
+    const statusElement = document.getElementById('usageBudgetStatus');
+    statusElement.textContent = status.level === 'ok'
+        ? 'Within budget'
+        : `${status.level === 'exceeded' ? 'Exceeded' : 'Near'} ${status.label} limit`;
+    statusElement.className = `usage-budget-status ${status.level}`;
+    
+    const byDay = apiUsageMonitor.summarize(entry => toLocalDateKey(new Date(entry.timestamp)))
+        .sort((a, b) => b.key.localeCompare(a.key))
+        .slice(0, 14);
+    const byModel = apiUsageMonitor.summarize(entry => entry.model)
+        .sort((a, b) => b.cost - a.cost);
+    const byFeature = apiUsageMonitor.summarize(entry => entry.feature)
+        .sort((a, b) => REQUEST_FEATURES.indexOf(a.key) - REQUEST_FEATURES.indexOf(b.key));
+    
+    tables.innerHTML = '';
+    tables.appendChild(createUsageTable('By day (last 14 days)', byDay, 'Day'));
+    tables.appendChild(createUsageTable('By model', byModel, 'Model'));
+    tables.appendChild(createUsageTable('By feature', byFeature, 'Feature'));
+}
+
+
+function initializeUsageDashboard() {
+    apiUsageMonitor.load();
+    
+    const form = document.getElementById('usageBudgetForm');
+    if (!form) return;
+    
+    document.getElementById('dailyBudget').value = apiUsageMonitor.budgets.dailyLimit ?? '';
+    document.getElementById('monthlyBudget').value = apiUsageMonitor.budgets.monthlyLimit ?? '';
+    document.getElementById('budgetEnforcement').value = apiUsageMonitor.budgets.enforcement;
+    
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const parseLimit = (id) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return Number.isFinite(value) && value > 0 ? value : null;
+        };
+        
+        apiUsageMonitor.setBudgets({
+            dailyLimit: parseLimit('dailyBudget'),
+            monthlyLimit: parseLimit('monthlyBudget'),
+            enforcement: document.getElementById('budgetEnforcement').value
+        });
+        apiUsageMonitor.checkBudget();
+        renderUsageDashboard();
+    });
+    
+    document.getElementById('clearUsageHistory').addEventListener('click', () => {
+        if (!confirm('Clear all recorded usage? Budgets are kept.')) return;
+        
+        apiUsageMonitor.clearHistory();
+        renderUsageDashboard();
+    });
+    
+    renderUsageDashboard();
+}
+
+
+const modelHealth = {
+    models: new Map(),
+    
+    get(model) {
+        if (!this.models.has(model)) {
+            this.models.set(model, {
+                model,
+                state: 'closed',
+                consecutiveFailures: 0,
+                successes: 0,
+                failures: 0,
+                openedAt: null,
+                coolDownMs: CIRCUIT_BREAKER_CONFIG.coolDownMs,
+                probeInFlight: false,
+                lastError: null,
+                averageLatencyMs: null
+            });
+        }
+        return this.models.get(model);
+    },
+    
+    getRemainingCoolDown(model) {
+        const health = this.get(model);
+        if (health.state !== 'open') return 0;
+        return Math.max(0, health.openedAt + health.coolDownMs - Date.now());
+    },
+    
+    acquire(model) {
+        const health = this.get(model);
+        
+        if (health.state === 'open') {
+            if (this.getRemainingCoolDown(model) > 0) return false;
+            
+            health.state = 'half-open';
+            health.probeInFlight = false;
+            console.log(`Circuit for ${model} is half-open; sending a probe request`);
+        }
+        
+        if (health.state === 'half-open') {
+            if (health.probeInFlight) return false;
+            health.probeInFlight = true;
+            renderModelHealth();
+        }
+        return true;
+    },
+    
+    release(model) {
+        const health = this.get(model);
+        if (health.state === 'half-open' && health.probeInFlight) {
+            health.probeInFlight = false;
+            renderModelHealth();
+        }
+    },
+    
+    recordSuccess(model, latencyMs = null) {
+        const health = this.get(model);
+        
+        if (health.state !== 'closed') {
+            console.log(`Circuit for ${model} closed after a successful request`);
+        }
+        health.state = 'closed';
+        health.consecutiveFailures = 0;
+        health.successes++;
+        health.probeInFlight = false;
+        health.coolDownMs = CIRCUIT_BREAKER_CONFIG.coolDownMs;
+        
+        if (latencyMs !== null) {
+            health.averageLatencyMs = health.averageLatencyMs === null
+                ? latencyMs
+                : Math.round(health.averageLatencyMs * 0.7 + latencyMs * 0.3);
+        }
+        renderModelHealth();
+    },
+    
+    recordFailure(model, errorCode = null, errorMessage = '') {
+        const health = this.get(model);
+        if (CIRCUIT_BREAKER_CONFIG.ignoredStatusCodes.includes(errorCode)) {
+            this.release(model);
+            return health.state;
+        }
+        
+        health.failures++;
+        health.consecutiveFailures++;
+        health.lastError = errorMessage;
+        
+        
+        if (health.state === 'half-open') {
+            health.coolDownMs = Math.min(CIRCUIT_BREAKER_CONFIG.maxCoolDownMs, health.coolDownMs * 2);
+            this.open(health);
+        } else if (health.state === 'closed' && health.consecutiveFailures >= CIRCUIT_BREAKER_CONFIG.failureThreshold) {
+            this.open(health);
+        }
+        
+        renderModelHealth();
+        return health.state;
+    },
+    
+    open(health) {
+        health.state = 'open';
+        health.openedAt = Date.now();
+        health.probeInFlight = false;
+        console.warn(`Circuit for ${health.model} opened after ${health.consecutiveFailures} consecutive failures; skipping it for ${Math.round(health.coolDownMs / 1000)}s`);
+    },
+    
+    // Models due a probe keep their configured place; the rest are ordered by recent failures.
+    orderChain(chain) {
+        const sortKey = (entry) => {
+            if (!entry.model) return 0;
+            
+            const health = this.get(entry.model);
+            if (health.state === 'half-open') return health.probeInFlight ? Infinity : 0;
+            if (health.state === 'open') return 0;
+            return health.consecutiveFailures;
+        };
+        
+        return chain
+            .map((entry, index) => ({ ...entry, index }))
+            .filter(entry => !entry.model || this.getRemainingCoolDown(entry.model) === 0)
+            .sort((a, b) => sortKey(a) - sortKey(b) || a.index - b.index);
+    },
+    
+    getSkippedModels(chain) {
+        return chain
+            .filter(entry => entry.model && this.get(entry.model).state === 'open' && this.getRemainingCoolDown(entry.model) > 0)
+            .map(entry => entry.model);
+    }
+};
+
+
+function renderModelHealth() {
+    const indicator = document.getElementById('modelHealthIndicator');
+    if (!indicator) return;
+    
+    const models = [MODELS.DIAGNOSIS, MODELS.FOLLOW_UP, MODELS.SUMMARY, MODELS.REPORT, ...API_CONFIG.fallbackModels]
+        .filter((model, index, list) => list.indexOf(model) === index);
+    const states = models.map(model => modelHealth.get(model));
+    
+    const openCount = states.filter(health => health.state === 'open').length;
+    const degraded = states.some(health => health.state !== 'closed');
+    let level = 'healthy';
+    let label = 'Models OK';
+    if (openCount === states.length) {
+        level = 'down';
+        label = 'Models unavailable';
+    } else if (degraded) {
+        level = 'degraded';
+        label = `${openCount} model${openCount === 1 ? '' : 's'} paused`;
+        if (openCount === 0) label = 'Models recovering';
+    }
+    
+    indicator.className = `model-health-indicator ${level}`;
+    document.getElementById('modelHealthLabel').textContent = label;
+    
+    
+    const list = document.getElementById('modelHealthList');
+    list.innerHTML = '';
+    states.forEach(health => {
+        const item = document.createElement('li');
+        item.className = `model-health-item ${health.state}`;
+        
+        let detail = health.state === 'closed' ? 'healthy' : health.state;
+        if (health.state === 'open') {
+            const remaining = modelHealth.getRemainingCoolDown(health.model);
+            detail = remaining > 0
+                ? `paused, retry in ${Math.ceil(remaining / 1000)}s`
+                : 'paused, will probe on next request';
+        } else if (health.state === 'half-open') {
+            detail = 'probing';
+        }
+        if (health.consecutiveFailures > 0 && health.state === 'closed') {
+            detail += `, ${health.consecutiveFailures} recent failure${health.consecutiveFailures === 1 ? '' : 's'}`;
+        }
+        
+        item.textContent = `${health.model}: ${detail}`;
+        if (health.lastError && health.state !== 'closed') {
+            item.title = health.lastError;
+        }
+        list.appendChild(item);
+    });
+}
+
+
+function initializeModelHealthIndicator() {
+    const indicator = document.getElementById('modelHealthIndicator');
+    if (!indicator) return;
+    
+    indicator.addEventListener('click', () => {
+        renderModelHealth();
+        document.getElementById('modelHealthList').classList.toggle('d-none');
+    });
+    
+    renderModelHealth();
+    setInterval(() => {
+        if (!document.getElementById('modelHealthList').classList.contains('d-none')) {
+            renderModelHealth();
+        }
+    }, 5000);
+}
+
+
+const REQUEST_QUEUE_CONFIG = {
+    storageKey: 'apiRateLimitWindow',
+    channelName: 'api-rate-limit',
+    lockName: 'api-rate-limit',
+    priorities: {
+        'follow-up': 0,
+        'diagnosis': 1,
+        'report': 1,
+        'transcription': 1,
+        'summary': 2
+    },
+    labels: {
+        'follow-up': 'Follow-up question',
+        'diagnosis': 'Diagnosis',
+        'report': 'Report',
+        'transcription': 'Transcription',
+        'summary': 'Background summary'
+    }
+};
+
+
+// The rate-limit window is kept in localStorage and shared by every open tab.
+const apiRequestQueue = {
+    tabId: generateRequestId(),
+    waiting: [],
+    sequence: 0,
+    pumping: false,
+    pumpRequested: false,
+    retryTimer: null,
+    channel: null,
+    
+    initialize() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(REQUEST_QUEUE_CONFIG.channelName);
+            this.channel.onmessage = () => this.pump();
+        } else {
+            window.addEventListener('storage', (e) => {
+                if (e.key === REQUEST_QUEUE_CONFIG.storageKey) this.pump();
+            });
+        }
+    },
+    
+    readWindow(currentTime = Date.now()) {
+        const windowStart = currentTime - API_CONFIG.rateLimitResetTime;
+        
+        try {
+            const entries = JSON.parse(localStorage.getItem(REQUEST_QUEUE_CONFIG.storageKey) || '[]');
+            return entries.filter(entry => entry.timestamp >= windowStart);
+        } catch (error) {
+            return [];
+        }
+    },
+    
+    async withLock(callback) {
+        if (navigator.locks && navigator.locks.request) {
+            return navigator.locks.request(REQUEST_QUEUE_CONFIG.lockName, callback);
+        }
+        return callback();
+    },
+    
+    async reserve(request) {
+        const reserved = await this.withLock(() => {
+            const now = Date.now();
+            const entries = this.readWindow(now);
+            if (entries.length >= API_CONFIG.rateLimitPerMinute) return false;
+            
+            entries.push({
+                timestamp: now,
+                tabId: this.tabId,
+                correlationId: request.correlationId,
+                feature: request.feature,
+                model: request.model
+            });
+            localStorage.setItem(REQUEST_QUEUE_CONFIG.storageKey, JSON.stringify(entries));
+            return true;
+        });
+        
+        if (reserved && this.channel) {
+            this.channel.postMessage({ type: 'reserved', tabId: this.tabId });
+        }
+        return reserved;
+    },
+    
+    acquire(request, signal = null) {
+        if (signal && signal.aborted) {
+            return Promise.reject(createAbortError());
+        }
+        
+        return new Promise((resolve, reject) => {
+            const entry = {
+                request,
+                priority: REQUEST_QUEUE_CONFIG.priorities[request.feature] ?? 1,
+                sequence: this.sequence++,
+                enqueuedAt: Date.now(),
+                resolve,
+                reject,
+                onAbort: null
+            };
+            
+            if (signal) {
+                entry.onAbort = () => {
+                    this.remove(entry);
+                    reject(createAbortError());
+                };
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+                entry.signal = signal;
+            }
+            
+            
+            const index = this.waiting.findIndex(other => other.priority > entry.priority);
+            this.waiting.splice(index === -1 ? this.waiting.length : index, 0, entry);
+            
+            this.pump();
+        });
+    },
+    
+    remove(entry) {
+        const index = this.waiting.indexOf(entry);
+        if (index !== -1) {
+            this.waiting.splice(index, 1);
+        }
+        if (entry.signal) {
+            entry.signal.removeEventListener('abort', entry.onAbort);
+        }
+        renderRequestQueue();
+    },
+    
+    async pump() {
+        if (this.pumping) {
+            this.pumpRequested = true;
+            return;
+        }
+        this.pumping = true;
+        
+        try {
+            do {
+                this.pumpRequested = false;
+                
+                while (this.waiting.length > 0) {
+                    const entry = this.waiting[0];
+                    if (!(await this.reserve(entry.request))) break;
+                    
+                    
+                    if (this.waiting.includes(entry)) {
+                        this.remove(entry);
+                        if (Date.now() - entry.enqueuedAt > 1000) {
+                            console.log(`${describeRequest(entry.request)}: left the request queue after ${Math.round((Date.now() - entry.enqueuedAt) / 1000)}s`);
+                        }
+                        entry.resolve();
+                    }
+                }
+            } while (this.pumpRequested);
+        } finally {
+            this.pumping = false;
+        }
+        
+        
+        clearTimeout(this.retryTimer);
+        if (this.waiting.length > 0) {
+            this.retryTimer = setTimeout(() => this.pump(), Math.max(50, this.getWaitTime()));
+        }
+        renderRequestQueue();
+    },
+    
+    
+    countByFeature() {
+        return this.readWindow().reduce((counts, entry) => {
+            counts[entry.feature] = (counts[entry.feature] || 0) + 1;
+            return counts;
+        }, {});
+    },
+    
+    
+    canMakeRequest() {
+        return this.readWindow().length < API_CONFIG.rateLimitPerMinute;
+    },
+    
+    
+    getWaitTime(position = 0) {
+        const now = Date.now();
+        const timestamps = this.readWindow(now).map(entry => entry.timestamp).sort((a, b) => a - b);
+        const index = timestamps.length - API_CONFIG.rateLimitPerMinute + position;
+        
+        if (index < 0) return 0;
+        if (index >= timestamps.length) {
+            return this.getWaitTime(position - API_CONFIG.rateLimitPerMinute) + API_CONFIG.rateLimitResetTime;
+        }
+        
+        return Math.max(0, (timestamps[index] + API_CONFIG.rateLimitResetTime) - now);
+    }
+};
+
+
+function renderRequestQueue() {
+    const panel = document.getElementById('requestQueueStatus');
+    if (!panel) return;
+    
+    if (apiRequestQueue.waiting.length === 0) {
+        panel.classList.add('d-none');
+        return;
+    }
+    
+    const otherTabs = new Set(apiRequestQueue.readWindow()
+        .filter(entry => entry.tabId !== apiRequestQueue.tabId)
+        .map(entry => entry.tabId)).size;
+    document.getElementById('requestQueueSummary').textContent = otherTabs > 0
+        ? `Rate limit reached (shared with ${otherTabs} other tab${otherTabs === 1 ? '' : 's'}).`
+        : 'Rate limit reached.';
+    
+    const list = document.getElementById('requestQueueList');
+    list.innerHTML = '';
+    apiRequestQueue.waiting.forEach((entry, position) => {
+        const item = document.createElement('li');
+        const seconds = Math.ceil(apiRequestQueue.getWaitTime(position) / 1000);
+        item.textContent = `${position + 1}. ${REQUEST_QUEUE_CONFIG.labels[entry.request.feature] || entry.request.feature}: about ${seconds}s`;
+        list.appendChild(item);
+    });
+    
+    panel.classList.remove('d-none');
+}
+
+
+function initializeRequestQueue() {
+    apiRequestQueue.initialize();
+    
+    setInterval(() => {
+        if (apiRequestQueue.waiting.length > 0) {
+            renderRequestQueue();
+        }
+    }, 1000);
+}
+
+
+function createRequestDescriptor(feature, model, endpoint = 'chat', fallbackModels = API_CONFIG.fallbackModels) {
+    if (!REQUEST_FEATURES.includes(feature)) {
+        throw new Error(`Unknown request feature: ${feature}`);
+    }
+    if (!REQUEST_ENDPOINTS.includes(endpoint)) {
+        throw new Error(`Unknown request endpoint: ${endpoint}`);
+    }
+    
+    return {
+        feature,
+        model,
+        endpoint,
+        fallbackModels,
+        correlationId: generateRequestId(),
+        attempt: 0,
+        fallbackLevel: -1
+    };
+}
+
+
+function createAttemptDescriptor(descriptor, model, fallbackLevel, attempt) {
+    return { ...descriptor, model, fallbackLevel, attempt, usage: null };
+}
+
+
+function generateRequestId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    return `req-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+
+function describeRequest(request) {
+    return `${request.feature}/${request.model} [${request.correlationId.slice(0, 8)}]`;
+}
+
+
+function createAbortError() {
+    return new DOMException('The request was cancelled.', 'AbortError');
+}
+
+
+function isAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+}
+
+
+const activeRequests = {
+    controllers: new Map(),
+    
+    start(key) {
+        this.cancel(key, 'replaced');
+        
+        const controller = new AbortController();
+        this.controllers.set(key, controller);
+        updateStopButtons();
+        return controller;
+    },
+    
+    finish(key, controller) {
+        if (this.controllers.get(key) === controller) {
+            this.controllers.delete(key);
+            updateStopButtons();
+        }
+    },
+    
+    cancel(key, reason = 'user') {
+        const controller = this.controllers.get(key);
+        if (!controller) return;
+        
+        controller.cancelReason = reason;
+        this.controllers.delete(key);
+        controller.abort();
+        updateStopButtons();
+    },
+    
+    cancelGroup(group, reason = 'user') {
+        for (const key of [...this.controllers.keys()]) {
+            if (key === group || key.startsWith(`${group}:`)) {
+                this.cancel(key, reason);
+            }
+        }
+    },
+    
+    isActive(group) {
+        return [...this.controllers.keys()].some(key => key === group || key.startsWith(`${group}:`));
+    },
+    
+    cancelAll(reason = 'user') {
+        for (const key of [...this.controllers.keys()]) {
+            this.cancel(key, reason);
+        }
+    }
+};
+
+
+const STOP_BUTTON_GROUPS = {
+    stopDiagnosisBtn: 'diagnosis',
+    cancelFollowUp: 'chat',
+    stopReportBtn: 'report',
+    cancelTranscriptionBtn: 'transcription'
+};
+
+
+function updateStopButtons() {
+    for (const [buttonId, group] of Object.entries(STOP_BUTTON_GROUPS)) {
+        const button = document.getElementById(buttonId);
+        if (button) {
+            button.classList.toggle('d-none', !activeRequests.isActive(group));
+        }
+    }
+}
+
+
+function initializeStopButtons() {
+    for (const [buttonId, group] of Object.entries(STOP_BUTTON_GROUPS)) {
+        const button = document.getElementById(buttonId);
+        if (button) {
+            button.addEventListener('click', () => activeRequests.cancelGroup(group));
+        }
+    }
+}
+
+
+function wait(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createAbortError());
+            return;
+        }
+        
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+
+function getRetryDelay(retryCount) {
+    const delay = Math.min(
+        API_CONFIG.maxRetryDelay,
+        API_CONFIG.retryDelay * Math.pow(2, retryCount)
+    );
+    
+    return delay + (Math.random() * 1000);
+}
+
+
+async function makeApiRequestWithMultiFallback(apiCall, createFallbackCall, descriptor, targetElement = null, signal = null) {
+    let retryCount = 0;
+    const primaryModel = descriptor.model;
+    const label = describeRequest(descriptor);
+    
+    
+    const showFallbackNotification = (fallbackLevel, fallbackModel, errorMessage = '') => {
+        if (!targetElement) return;
+        
+        let notificationHtml = '';
+        
+        if (fallbackLevel === 0) {
+            notificationHtml = `
+                <div class="alert alert-warning mb-3">
+                    <i class="fas fa-exclamation-triangle mr-2"></i>
+                    <strong>Notice:</strong> The primary model encountered an issue${errorMessage ? ': ' + errorMessage : ''}. 
+                    Switching to ${fallbackModel} as a fallback.
+                </div>
+            `;
+        } else if (fallbackLevel >= 1) {
+            notificationHtml = `
+                <div class="alert alert-danger mb-3">
+                    <i class="fas fa-exclamation-circle mr-2"></i>
+                    <strong>Warning:</strong> Earlier models failed${errorMessage ? ': ' + errorMessage : ''}. 
+                    Using ${fallbackModel} instead. Response accuracy may be affected.
+                </div>
+            `;
+        }
+        
+        if (notificationHtml) {
+            
+            const tempDiv = document.createElement('div');
+            tempDiv.innerHTML = notificationHtml;
+            
+            
+            if (targetElement.firstChild) {
+                targetElement.insertBefore(tempDiv.firstChild, targetElement.firstChild);
+            } else {
+                targetElement.appendChild(tempDiv.firstChild);
+            }
+        }
+    };
+    
+    
+    const fullChain = [
+        { model: primaryModel, fallbackLevel: -1 },
+        ...descriptor.fallbackModels
+            .map((fallbackModel, index) => ({ model: fallbackModel, fallbackLevel: index }))
+            .filter(entry => entry.model !== primaryModel)
+    ];
+    const chain = modelHealth.orderChain(fullChain);
+    
+    if (chain.length === 0) {
+        const retryIn = Math.min(...fullChain.map(entry => modelHealth.getRemainingCoolDown(entry.model)));
+        throw new Error(`All models are temporarily paused after repeated failures. Please try again in ${Math.ceil(retryIn / 1000)} seconds.`);
+    }
+    
+    const skippedModels = modelHealth.getSkippedModels(fullChain);
+    if (skippedModels.length > 0) {
+        console.log(`${label}: skipping models with an open circuit: ${skippedModels.join(', ')}`);
+    }
+    
+    
+    let chainIndex = 0;
+    let fallbackLevel = chain[0].fallbackLevel;
+    let currentApiCall = fallbackLevel === -1 ? apiCall : createFallbackCall(chain[0].model, fallbackLevel);
+    
+    if (fallbackLevel !== -1) {
+        showFallbackNotification(fallbackLevel, chain[0].model, `${primaryModel} is unavailable after repeated failures`);
+    }
+    
+    
+    apiUsageMonitor.enforceBudget();
+    
+    let attemptNumber = 0;
+    
+    while (true) {
+        const currentModel = chain[chainIndex].model;
+        const request = createAttemptDescriptor(descriptor, currentModel, fallbackLevel, attemptNumber++);
+        let startTime = null;
+        
+        try {
+            if (signal && signal.aborted) {
+                throw createAbortError();
+            }
+            
+            
+            if (!modelHealth.acquire(currentModel)) {
+                throw Object.assign(new Error(`${currentModel} is paused while another request probes it`), { circuitOpen: true });
+            }
+            
+            
+            if (!apiRequestQueue.canMakeRequest()) {
+                console.log(`${label}: rate limit reached. Queued behind ${apiRequestQueue.waiting.length} request(s).`);
+            }
+            await apiRequestQueue.acquire(request, signal);
+            
+            
+            startTime = performance.now();
+            const result = await currentApiCall(request);
+            const latencyMs = Math.round(performance.now() - startTime);
+            
+            
+            modelHealth.recordSuccess(currentModel, latencyMs);
+            apiUsageMonitor.logApiCall(request, true, null, latencyMs);
+            
+            return result;
+            
+        } catch (error) {
+            
+            if (isAbortError(error) || (signal && signal.aborted)) {
+                modelHealth.release(currentModel);
+                throw isAbortError(error) ? error : createAbortError();
+            }
+            
+            console.error(`${label}: API request failed (${fallbackLevel === -1 ? 'primary' : 'fallback-' + fallbackLevel}, ${currentModel}) (attempt ${retryCount + 1}/${API_CONFIG.maxRetries}):`, error);
+            
+            
+            let errorCode = null;
+            let errorMessage = '';
+            if (error.message) {
+                const statusMatch = error.message.match(/API request failed: (\d+)/);
+                if (statusMatch && statusMatch[1]) {
+                    errorCode = parseInt(statusMatch[1]);
+                }
+                errorMessage = error.message.replace(/^(API request failed:|Fallback API request failed:)\s*\d+\s*/, '');
+            }
+            
+            
+            let circuitOpen = Boolean(error.circuitOpen);
+            if (!circuitOpen) {
+                apiUsageMonitor.logApiCall(request, false, errorCode, startTime !== null ? Math.round(performance.now() - startTime) : null);
+                circuitOpen = modelHealth.recordFailure(currentModel, errorCode, errorMessage) === 'open';
+            }
+            
+            
+            if (error.message && error.message.includes('429') && !circuitOpen && retryCount < API_CONFIG.maxRetries) {
+                console.log('Rate limit exceeded. Adding delay before retry.');
+                
+                await wait(5000 + getRetryDelay(retryCount), signal);
+                retryCount++;
+            } 
+            
+            else {
+                if (retryCount < API_CONFIG.maxRetries && !circuitOpen) {
+                    
+                    const delay = getRetryDelay(retryCount);
+                    console.log(`Error occurred. Retrying in ${delay}ms...`);
+                    await wait(delay, signal);
+                    retryCount++;
+                } 
+                
+                else if (chainIndex < chain.length - 1) {
+                    
+                    retryCount = 0;
+                    chainIndex++;
+                    fallbackLevel = chain[chainIndex].fallbackLevel;
+                    
+                    
+                    currentApiCall = fallbackLevel === -1 ? apiCall : createFallbackCall(chain[chainIndex].model, fallbackLevel);
+                    
+                    
+                    showFallbackNotification(fallbackLevel, chain[chainIndex].model, errorMessage);
+                    
+                    console.log(`${label}: switching to ${fallbackLevel === -1 ? 'primary' : 'fallback'} model ${chain[chainIndex].model}`);
+                } 
+                
+                else {
+                    throw new Error(`All fallback options exhausted. Last error: ${error.message}`);
+                }
+            }
+            
+            
+            if (retryCount >= API_CONFIG.maxRetries && chainIndex >= chain.length - 1) {
+                throw new Error(`Failed after ${API_CONFIG.maxRetries} retry attempts on all models: ${error.message}`);
+            }
+        }
+    }
+}
+
+
+async function makeApiRequestWithRetry(apiCall, descriptor, fallbackApiCall = null, signal = null) {
+    
+    if (fallbackApiCall) {
+        return makeApiRequestWithMultiFallback(
+            apiCall, 
+            (model) => fallbackApiCall,
+            descriptor,
+            null,
+            signal
+        );
+    }
+    
+    
+    let retryCount = 0;
+    const label = describeRequest(descriptor);
+    
+    apiUsageMonitor.enforceBudget();
+    
+    while (true) {
+        const request = createAttemptDescriptor(descriptor, descriptor.model, -1, retryCount);
+        let startTime = null;
+        
+        try {
+            if (signal && signal.aborted) {
+                throw createAbortError();
+            }
+            
+            
+            if (!apiRequestQueue.canMakeRequest()) {
+                console.log(`${label}: rate limit reached. Queued behind ${apiRequestQueue.waiting.length} request(s).`);
+            }
+            await apiRequestQueue.acquire(request, signal);
+            
+            
+            startTime = performance.now();
+            const result = await apiCall(request);
+            
+            
+            apiUsageMonitor.logApiCall(request, true, null, Math.round(performance.now() - startTime));
+            
+            return result;
+            
+        } catch (error) {
+            if (isAbortError(error) || (signal && signal.aborted)) {
+                throw isAbortError(error) ? error : createAbortError();
+            }
+            
+            console.error(`${label}: API request failed (attempt ${retryCount + 1}/${API_CONFIG.maxRetries}):`, error);
+            
+            
+            let errorCode = null;
+            if (error.message) {
+                const statusMatch = error.message.match(/API request failed: (\d+)/);
+                if (statusMatch && statusMatch[1]) {
+                    errorCode = parseInt(statusMatch[1]);
+                }
+            }
+            
+            
+            apiUsageMonitor.logApiCall(request, false, errorCode, startTime !== null ? Math.round(performance.now() - startTime) : null);
+            
+            
+            if (error.message && error.message.includes('429')) {
+                console.log('Rate limit exceeded. Adding delay before retry.');
+                
+                await wait(5000 + getRetryDelay(retryCount), signal);
+                retryCount++;
+            } 
+            
+            else {
+                if (retryCount < API_CONFIG.maxRetries) {
+                    const delay = getRetryDelay(retryCount);
+                    console.log(`Error occurred. Retrying in ${delay}ms...`);
+                    await wait(delay, signal);
+                    retryCount++;
+                } else {
+                    throw error;
+                }
+            }
+            
+            
+            if (retryCount >= API_CONFIG.maxRetries) {
+                throw new Error(`Failed after ${API_CONFIG.maxRetries} retry attempts: ${error.message}`);
+            }
+        }
+    }
+}
+
+
+function initializeRecording() {
+    const startRecordingBtn = document.getElementById('startRecording');
+    const stopRecordingBtn = document.getElementById('stopRecording');
+    
+    if (startRecordingBtn && stopRecordingBtn) {
+        
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            startRecordingBtn.disabled = true;
+            startRecordingBtn.classList.add('opacity-50', 'cursor-not-allowed');
+            startRecordingBtn.innerHTML = '<i class="fas fa-microphone-slash mr-2"></i> Recording not supported';
+            return;
+        }
+        
+        
+        checkAndRequestMicrophoneAccess();
+    }
+}
+
+
+async function checkAndRequestMicrophoneAccess() {
+    const startRecordingBtn = document.getElementById('startRecording');
+    const recordingStatus = document.getElementById('recordingStatus');
+    const micStatusIcon = document.getElementById('micStatusIcon');
+    const micStatusText = document.getElementById('micStatusText');
+    const requestMicBtn = document.getElementById('requestMicAccess');
+    
+    try {
+        
+        if (micStatusIcon && micStatusText) {
+            micStatusIcon.className = 'fas fa-spinner fa-spin text-blue-500 mr-2';
+            micStatusText.textContent = 'Checking microphone access...';
+        }
+        
+        
+        try {
+            const permissionStatus = await navigator.permissions.query({ name: 'microphone' });
+            console.log('Microphone permission status:', permissionStatus.state);
+            
+            if (permissionStatus.state === 'denied') {
+                if (micStatusIcon && micStatusText) {
+                    micStatusIcon.className = 'fas fa-microphone-slash text-red-500 mr-2';
+                    micStatusText.textContent = 'Microphone access denied';
+                }
+                if (requestMicBtn) {
+                    requestMicBtn.classList.remove('d-none');
+                    requestMicBtn.innerHTML = '<i class="fas fa-exclamation-triangle mr-1"></i> Fix Permissions';
+                }
+                if (startRecordingBtn) {
+                    startRecordingBtn.disabled = true;
+                    startRecordingBtn.classList.add('opacity-50');
+                }
+                return false;
+            }
+        } catch (e) {
+            console.log('Permissions API not supported, proceeding with getUserMedia test');
+        }
+        
+        
+        const stream = await navigator.mediaDevices.getUserMedia({ 
+            audio: {
+                echoCancellation: true,
+                noiseSuppression: true,
+                autoGainControl: true,
+                sampleRate: 44100
+            }
+        });
+        
+        console.log('Microphone access granted successfully');
+        
+        
+        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        const source = audioContext.createMediaStreamSource(stream);
+        const analyser = audioContext.createAnalyser();
+        source.connect(analyser);
+        
+        
+        stream.getTracks().forEach(track => track.stop());
+        await audioContext.close();
+        
+        
+        if (micStatusIcon && micStatusText) {
+            micStatusIcon.className = 'fas fa-microphone text-green-500 mr-2';
+            micStatusText.textContent = 'Microphone ready';
+        }
+        if (requestMicBtn) {
+            requestMicBtn.classList.add('d-none');
+        }
+        if (startRecordingBtn) {
+            startRecordingBtn.disabled = false;
+            startRecordingBtn.classList.remove('opacity-50');
+        }
+        
+        return true;
+        
+    } catch (error) {
+        console.error('Microphone access error:', error);
+        
+        
+        if (micStatusIcon && micStatusText) {
+            micStatusIcon.className = 'fas fa-microphone-slash text-red-500 mr-2';
+            
+            if (error.name === 'NotAllowedError') {
+                micStatusText.textContent = 'Microphone access blocked';
+            } else if (error.name === 'NotFoundError') {
+                micStatusText.textContent = 'No microphone found';
+            } else if (error.name === 'NotSupportedError') {
+                micStatusText.textContent = 'Microphone not supported';
+            } else {
+                micStatusText.textContent = 'Microphone error';
+            }
+        }
+        
+        if (requestMicBtn) {
+            requestMicBtn.classList.remove('d-none');
+            if (error.name === 'NotAllowedError') {
+                requestMicBtn.innerHTML = '<i class="fas fa-microphone mr-1"></i> Enable Microphone';
+            } else {
+                requestMicBtn.innerHTML = '<i class="fas fa-refresh mr-1"></i> Try Again';
+            }
+        }
+        
+        if (startRecordingBtn) {
+            startRecordingBtn.disabled = true;
+            startRecordingBtn.classList.add('opacity-50');
+        }
+        
+        if (recordingStatus) {
+            let errorMessage = '';
+            
+            if (error.name === 'NotAllowedError') {
+                errorMessage = 'Please click the microphone icon in your browser\'s address bar and allow access.';
+            } else if (error.name === 'NotFoundError') {
+                errorMessage = 'Please connect a microphone and refresh the page.';
+            } else if (error.name === 'NotSupportedError') {
+                errorMessage = 'Please use Chrome, Firefox, or Safari for recording.';
+            } else {
+                errorMessage = `Error: ${error.message}`;
+            }
+            
+            recordingStatus.innerHTML = `<i class="fas fa-info-circle mr-2"></i> ${errorMessage}`;
+            recordingStatus.className = 'text-amber-600 text-sm mt-2';
+        }
+        
+        return false;
+    }
+}
+
+
+document.addEventListener('DOMContentLoaded', function() {
+    
+    initializeSettingsPanel();
+    initializePromptLibraryPanel();
+    validateApiConfiguration();
+    
+    
+    const urlParams = new URLSearchParams(window.location.search);
+    const tabParam = urlParams.get('tab');
+    
+    if (tabParam) {
+        
+        const tabToActivate = document.querySelector(`#${tabParam}-tab`);
+        if (tabToActivate) {
+            const tab = new bootstrap.Tab(tabToActivate);
+            tab.show();
+        }
+    } else {
+        
+        const activeTab = localStorage.getItem('activeTab');
+        if (activeTab) {
+            
+            const tabToActivate = document.querySelector(`#${activeTab}-tab`);
+            if (tabToActivate) {
+                const tab = new bootstrap.Tab(tabToActivate);
+                tab.show();
+            }
+            
+            localStorage.removeItem('activeTab');
+        }
+    }
+    
+    
+    animateElementsOnLoad();
+    
+    
+    initializeCaseHistory();
+    initializeLockScreen();
+    initializeOutgoingPreviewToggle();
+    initializeVitalInputs();
+    initializeStopButtons();
+    initializeConversationMemory();
+    initializeUsageDashboard();
+    initializeModelHealthIndicator();
+    initializeRequestQueue();
+    initializeDemoModeControls();
+    
+    
+    const viewSummaryBtn = document.getElementById('viewSummaryBtn');
+    if (viewSummaryBtn) {
+        viewSummaryBtn.addEventListener('click', function() {
+            const summaryContainer = document.getElementById('diagnosisSummaryContainer');
+            const summaryContent = document.getElementById('diagnosisSummaryContent');
+            
+            if (summaryContainer && summaryContent) {
+                
+                if (summaryContainer.classList.contains('d-none')) {
+                    
+                    summaryContainer.classList.remove('d-none');
+                    
+                    
+                    if (initialDiagnosisSummary) {
+                        summaryContent.innerHTML = convertMarkdownToHTML(initialDiagnosisSummary, true);
+                    } else {
+                        summaryContent.textContent = 'No diagnosis summary available yet.';
+                    }
+                    
+                    
+                    this.innerHTML = '<i class="fas fa-eye-slash"></i> Hide Summary';
+                } else {
+                    
+                    summaryContainer.classList.add('d-none');
+                    
+                    
+                    this.innerHTML = '<i class="fas fa-eye"></i> View Summary';
+                }
+            }
+        });
+    }
+    
+    
+    setupRecordingIndicator();
+});
+
+
+function validateApiConfiguration() {
+    const configError = getLlmProviderConfigError();
+
+    if (configError) {
+        console.error('Invalid LLM provider configuration:', configError);
+        
+        
+        const warningDiv = document.createElement('div');
+        warningDiv.className = 'alert alert-warning fixed-top m-3';
+        warningDiv.style.zIndex = '9999';
+        warningDiv.innerHTML = `
+            <i class="fas fa-exclamation-triangle mr-2"></i>
+            <strong>Configuration Warning:</strong> ${configError} 
+            Please check LLM_PROVIDER_CONFIG in script.js file,
+            or open <a href="app.html?demo" class="alert-link">demo mode</a> to try the app with scripted responses.
+        `;
+        
+        document.body.appendChild(warningDiv);
+        
+        
+        setTimeout(() => {
+            if (warningDiv.parentNode) {
+                warningDiv.parentNode.removeChild(warningDiv);
+            }
+        }, 10000);
+    } else {
+        console.log(`API configuration appears valid (provider: ${LLM_PROVIDER_CONFIG.provider})`);
+    }
+    
+    
+    const unknownModels = [...Object.values(MODELS), ...API_CONFIG.fallbackModels]
+        .filter((model, index, models) => !MODEL_CAPABILITIES[model] && models.indexOf(model) === index);
+    if (unknownModels.length > 0) {
+        console.warn(`No capability entry for ${unknownModels.join(', ')}; default parameters will be used.`);
+    }
+}
+
+
+function setupRecordingIndicator() {
+    const startRecordingBtn = document.getElementById('startRecording');
+    const stopRecordingBtn = document.getElementById('stopRecording');
+    const recordingStatus = document.getElementById('recordingStatus');
+    
+    if (startRecordingBtn && stopRecordingBtn && recordingStatus) {
+        startRecordingBtn.addEventListener('click', function() {
+            
+            recordingStatus.innerHTML = '<span class="recording-indicator"></span> Recording in progress...';
+            recordingStatus.classList.remove('text-gray-500');
+            recordingStatus.classList.add('text-red-500', 'font-medium');
+        });
+        
+        stopRecordingBtn.addEventListener('click', function() {
+            
+            recordingStatus.innerHTML = 'Recording stopped';
+            recordingStatus.classList.remove('text-red-500', 'font-medium');
+            recordingStatus.classList.add('text-gray-500');
+            
+            
+            setTimeout(() => {
+                recordingStatus.innerHTML = 'Processing audio...';
+            }, 2000);
+        });
+    }
+}
+
+
+function animateElementsOnLoad() {
+    
+    document.querySelectorAll('.card').forEach((card, index) => {
+        setTimeout(() => {
+            card.classList.add('fade-in');
+            card.style.opacity = '1';
+        }, 100 * index);
+    });
+}
+
+function animateElement(element, animationClass, duration = 500) {
+    if (!element) return;
+    
+    element.classList.add(animationClass);
+    setTimeout(() => {
+        element.classList.remove(animationClass);
+    }, duration);
+}
+
+function showElement(element, animationClass = 'fade-in') {
+    if (!element) return;
+    
+    element.classList.remove('d-none');
+    element.classList.add(animationClass);
+}
+
+function hideElement(element, callback = null) {
+    if (!element) return;
+    
+    
+    element.classList.add('d-none');
+    
+    
+    if (callback && typeof callback === 'function') {
+        callback();
+    }
+}
+
+
+const MODELS = {
+    DIAGNOSIS: 'gpt-5',                     
+    FOLLOW_UP: 'gpt-5-mini',                
+    SUMMARY: 'gpt-5-mini',                  
+    REPORT: 'gpt-4o-mini',                  
+    TRANSCRIPTION: 'gpt-4o-transcribe',     
+    AUDIO_TRANSCRIPTION: 'whisper-1'        
+};
+
+const MODEL_TEMPERATURES = {
+    DIAGNOSIS: 0.7,
+    FOLLOW_UP: 0.6,
+    SUMMARY: 0.5,
+    REPORT: 0.7
+};
+
+// `{{name}}` is replaced by a variable; `{{#name}}...{{/name}}` is left out when the variable is empty.
+const PROMPT_TEMPLATES = {
+    diagnosis: {
+        label: 'Diagnosis',
+        description: 'Initial diagnosis from the intake form. The reply must stay a JSON object matching the diagnosis schema.',
+        variables: {
+            age: 'Patient age',
+            gender: 'Patient gender',
+            weight: 'Weight in kg',
+            height: 'Height in cm',
+            bmi: 'BMI and its category',
+            symptoms: 'Symptoms as entered',
+            duration: 'How long the symptoms have lasted',
+            intensity: 'Symptom intensity',
+            bloodPressure: 'Blood pressure in mmHg, if entered',
+            glucose: 'Blood glucose in mg/dL and mmol/L, if entered',
+            temperature: 'Temperature in °C, if entered',
+            preexisting: 'Preexisting conditions, if entered',
+            additional: 'Additional information, if entered'
+        },
+        sampleData: {
+            age: '54',
+            gender: 'female',
+            weight: '72 kg',
+            height: '165 cm',
+            bmi: '26.4 (Overweight)',
+            symptoms: 'Throbbing headache on the right side with nausea and sensitivity to light',
+            duration: '2 days',
+            intensity: 'moderate',
+            bloodPressure: '148/92 mmHg',
+            glucose: '',
+            temperature: '37.1°C',
+            preexisting: 'Migraine since her twenties',
+            additional: ''
+        },
+        system: 'Medical AI assistant. Reply with a single JSON object only, no markdown, with these fields:\n- "conditions": top 3 likely conditions, each with "name", "likelihood" (integer percent 0-100), "rationale" (key symptoms supporting it), "supportingFindings" and "contradictingFindings" (findings quoted from the patient info only, empty if none) and "tests" (recommended tests)\n- "explanation": brief overall explanation\n- "urgencyLevel": "low", "moderate" or "high"\n- "redFlags": warning signs that need immediate care\n- "followUpQuestions": 3-5 questions for the patient\n\nBe concise.',
+        user: `Patient info for diagnosis:
+Age: {{age}}
+Gender: {{gender}}
+Weight: {{weight}}
+Height: {{height}}
+BMI: {{bmi}}
+Symptoms: {{symptoms}}
+Duration: {{duration}}
+Intensity: {{intensity}}
+{{#bloodPressure}}Blood Pressure: {{bloodPressure}}{{/bloodPressure}}
+{{#glucose}}Blood Glucose: {{glucose}}{{/glucose}}
+{{#temperature}}Temperature: {{temperature}}{{/temperature}}
+{{#preexisting}}Preexisting Conditions: {{preexisting}}{{/preexisting}}
+{{#additional}}Additional Information: {{additional}}{{/additional}}
+
+Respond with the diagnosis JSON object.`
+    },
+    followUpAssessment: {
+        label: 'Follow-up answers assessment',
+        description: 'Updated assessment after the patient answers the suggested follow-up questions.',
+        variables: {
+            initialSummary: 'Condensed summary of the initial diagnosis',
+            answers: 'The questions and the patient\'s answers'
+        },
+        sampleData: {
+            initialSummary: '**Most likely:** migraine without aura, tension-type headache.\n**Next steps:** rest in a dark room, over-the-counter pain relief, review if it persists.',
+            answers: 'Q: Have you had headaches like this before?\nA: Yes, about once a month.\n\nQ: Any weakness, numbness or trouble speaking?\nA: No.'
+        },
+        system: `Medical AI assistant for follow-up assessment. Format with:
+1. **Updated Assessment:** (focus on new information)
+2. **Recommended Tests:** (if applicable)
+3. **Urgency Level:** [Low/Moderate/High]
+
+Use double line breaks between sections. Be concise.`,
+        user: `Based on the initial diagnosis and the patient's answers to follow-up questions, please provide an updated assessment:
+
+Initial Diagnosis Summary:
+{{initialSummary}}
+
+Patient's Answers to Follow-up Questions:
+{{answers}}
+
+Please provide an updated assessment with any new insights or changes to the initial diagnosis. Focus on how these answers affect your diagnostic impression.`
+    },
+    followUpChat: {
+        label: 'Follow-up chat',
+        description: 'Each question asked in the follow-up chat. The diagnosis and earlier turns are sent as conversation history.',
+        variables: {
+            question: 'The question as typed or picked'
+        },
+        sampleData: {
+            question: 'Is it safe to take ibuprofen with my blood pressure?'
+        },
+        system: 'You are a medical AI assistant answering follow-up questions about a diagnosis. Be concise but thorough. Provide specific, actionable information.',
+        user: '{{question}}'
+    },
+    conditionFollowUp: {
+        label: 'Single-condition question',
+        description: 'Asked when a condition card in the differential panel is expanded.',
+        variables: {
+            condition: 'Name of the condition'
+        },
+        sampleData: {
+            condition: 'Migraine without aura'
+        },
+        system: 'You are a medical AI assistant discussing one condition from a differential diagnosis. Address only the named condition and do not discuss the others. Be concise but thorough.',
+        user: 'Focus only on {{condition}} as an explanation for this patient\'s presentation. Which findings, history or tests would confirm or rule it out, and what should the patient do if it is confirmed?'
+    },
+    condense: {
+        label: 'Diagnosis summary',
+        description: 'Condenses the initial diagnosis into the summary that later follow-up requests build on.',
+        variables: {
+            patientInfo: 'The patient information sent for the diagnosis',
+            diagnosis: 'The diagnosis reply'
+        },
+        sampleData: {
+            patientInfo: 'Age: 54\nGender: female\nSymptoms: Throbbing headache on the right side with nausea\nDuration: 2 days',
+            diagnosis: '1. **Migraine without aura** (60%)\n2. **Tension-type headache** (25%)\n3. **Hypertensive headache** (15%)'
+        },
+        system: 'Condense medical information with clear headings. Use double line breaks before headings, keep bullet points together.',
+        user: `Condense this medical diagnosis into key points:
+
+Original patient information:
+{{patientInfo}}
+
+Detailed diagnosis:
+{{diagnosis}}
+
+Include:
+1. Most likely conditions (max 3)
+2. Key symptoms identified
+3. Recommended next steps
+4. Any critical warnings
+
+Format with clear headings and bullet points. Keep under 200 words.`
+    },
+    memory: {
+        label: 'Conversation memory',
+        description: 'Folds older follow-up chat turns into the running summary. The reply must stay a JSON object matching the memory schema.',
+        variables: {
+            summary: 'The current running summary',
+            pinnedFacts: 'Facts already pinned, one per line',
+            transcript: 'The older turns being condensed',
+            factCategories: 'The allowed pinned-fact categories'
+        },
+        sampleData: {
+            summary: 'None yet.',
+            pinnedFacts: '- Allergy: Allergic to penicillin',
+            transcript: 'Patient: I take metformin every morning.\n\nAssistant: Thank you, that is worth mentioning to your doctor.',
+            factCategories: 'allergy, medication, symptom, history, other'
+        },
+        system: 'Condense medical conversations into a concise clinical summary. Reply with JSON only.',
+        user: `Update the running clinical summary of this follow-up conversation.
+
+Current summary:
+{{summary}}
+
+Already pinned facts:
+{{pinnedFacts}}
+
+Older conversation turns to fold into the summary:
+{{transcript}}
+
+Return "summary": the updated summary, under 150 words, keeping everything clinically relevant from the current summary.
+Return "pinnedFacts": only NEW facts the patient disclosed about allergies, medications, new symptoms or medical history, each with a "category" ({{factCategories}}) and a short "text". Do not repeat already pinned facts.`
+    },
+    report: {
+        label: 'Medical report',
+        description: 'Formats dictated findings into a report in the Report Generator.',
+        variables: {
+            reportType: 'Report type, e.g. radiology',
+            patientName: 'Patient name (replaced by a token before sending)',
+            patientId: 'Patient ID (replaced by a token before sending)',
+            patientAge: 'Patient age',
+            patientGender: 'Patient gender',
+            reportDate: 'Date of the report',
+            findings: 'Transcribed or typed findings',
+            notes: 'Additional notes'
+        },
+        sampleData: {
+            reportType: 'radiology',
+            patientName: 'Jane Doe',
+            patientId: 'MRN-004512',
+            patientAge: '54',
+            patientGender: 'female',
+            reportDate: 'March 4, 2025',
+            findings: 'Chest X-ray, PA view. Lungs are clear. Heart size is normal. No pleural effusion.',
+            notes: 'Compared with the study from last year.'
+        },
+        system: 'Format the given information into a professional {{reportType}} report with standard medical sections. Use proper markdown formatting (# for main headings, ## for subheadings, etc.) for section titles. Do not use HTML tags. Include a proper header with patient details and date. Be concise but complete.',
+        user: `Format as {{reportType}} report:
+
+REPORT HEADER:
+- Patient Name: {{patientName}}
+- Patient ID: {{patientId}}
+- Age: {{patientAge}}
+- Gender: {{patientGender}}
+- Date of Report: {{reportDate}}
+
+Findings: {{findings}}
+Notes: {{notes}}
+
+Include these sections:
+1. Patient Information
+2. Examination Details
+3. Findings
+4. Impression/Conclusion
+5. Recommendations
+
+Format it professionally with clear section headers using markdown formatting (# for headings, * for lists, etc.). Do not use HTML tags. Ensure the report is complete and no content is cut off.`
+    }
+};
+
+let conversationHistory = [];
+let aiQuestions = [];
+let initialDiagnosisSummary = null;
+let MAX_HISTORY_TURNS = 5; 
+let TRANSCRIPTION_LANGUAGE = 'en';
+let currentCase = null;
+
+
+let isRecording = false;
+let recordingStream = null;
+let recordingMediaRecorder = null;
+let recordingChunks = [];
+
+
+const SETTINGS_CONFIG = {
+    storageKey: 'appSettings',
+    version: 1
+};
+
+const SETTINGS_SECTIONS = [
+    {
+        title: 'Models',
+        fields: [
+            { path: 'models.DIAGNOSIS', label: 'Diagnosis', type: 'model' },
+            { path: 'models.FOLLOW_UP', label: 'Follow-up', type: 'model' },
+            { path: 'models.SUMMARY', label: 'Summary', type: 'model' },
+            { path: 'models.REPORT', label: 'Report', type: 'model' },
+            { path: 'models.AUDIO_TRANSCRIPTION', label: 'Transcription', type: 'model' },
+            { path: 'models.TRANSCRIPTION', label: 'Transcription fallback', type: 'model' },
+            { path: 'api.fallbackModels', label: 'Chat fallback models, in order', type: 'modelList', maxItems: 5, wide: true }
+        ]
+    },
+    {
+        title: 'Requests',
+        fields: [
+            { path: 'api.maxRetries', label: 'Retries per model', type: 'integer', min: 0, max: 10 },
+            { path: 'api.retryDelay', label: 'First retry delay (ms)', type: 'integer', min: 100, max: 60000 },
+            { path: 'api.maxRetryDelay', label: 'Longest retry delay (ms)', type: 'integer', min: 100, max: 300000 },
+            { path: 'api.rateLimitPerMinute', label: 'Requests per minute', type: 'integer', min: 1, max: 600 }
+        ]
+    },
+    {
+        title: 'Temperatures',
+        fields: [
+            { path: 'temperatures.DIAGNOSIS', label: 'Diagnosis', type: 'number', min: 0, max: 2, step: 0.1 },
+            { path: 'temperatures.FOLLOW_UP', label: 'Follow-up', type: 'number', min: 0, max: 2, step: 0.1 },
+            { path: 'temperatures.SUMMARY', label: 'Summary', type: 'number', min: 0, max: 2, step: 0.1 },
+            { path: 'temperatures.REPORT', label: 'Report', type: 'number', min: 0, max: 2, step: 0.1 }
+        ]
+    },
+    {
+        title: 'Conversation and transcription',
+        fields: [
+            { path: 'conversation.maxHistoryTurns', label: 'Follow-up turns kept verbatim', type: 'integer', min: 1, max: 50 },
+            { path: 'transcription.language', label: 'Transcription language (ISO 639-1)', type: 'language' }
+        ]
+    }
+];
+
+const SETTINGS_FIELDS = SETTINGS_SECTIONS.flatMap(section => section.fields);
+
+
+function getSettingValue(settings, path) {
+    return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), settings);
+}
+
+
+function setSettingValue(settings, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((object, key) => {
+        if (!object[key] || typeof object[key] !== 'object') object[key] = {};
+        return object[key];
+    }, settings);
+    parent[last] = value;
+}
+
+
+function validateSettingValue(field, value) {
+    const isModelName = (name) => typeof name === 'string' && /^[\w.:\/@-]{1,100}$/.test(name.trim());
+    
+    switch (field.type) {
+        case 'model':
+            if (!isModelName(value)) throw new Error('Enter a model name without spaces.');
+            return value.trim();
+            
+        case 'modelList': {
+            const models = Array.isArray(value) ? value : String(value ?? '').split(',');
+            const names = models.map(name => String(name).trim()).filter(Boolean);
+            
+            if (!names.every(isModelName)) throw new Error('Model names cannot contain spaces.');
+            if (new Set(names).size !== names.length) throw new Error('Each model can only be listed once.');
+            if (names.length > field.maxItems) throw new Error(`List at most ${field.maxItems} models.`);
+            return names;
+        }
+        
+        case 'integer':
+        case 'number': {
+            const number = typeof value === 'number' ? value : Number(String(value ?? '').trim() || NaN);
+            if (!Number.isFinite(number)) throw new Error('Enter a number.');
+            if (field.type === 'integer' && !Number.isInteger(number)) throw new Error('Enter a whole number.');
+            if (number < field.min || number > field.max) throw new Error(`Must be between ${field.min} and ${field.max}.`);
+            return number;
+        }
+        
+        case 'language':
+            if (typeof value !== 'string' || !/^[a-z]{2}$/i.test(value.trim())) throw new Error('Use a two-letter language code such as "en".');
+            return value.trim().toLowerCase();
+            
+        default:
+            throw new Error(`Unknown setting type ${field.type}`);
+    }
+}
+
+
+function validateSettings(input, defaults) {
+    const settings = { version: SETTINGS_CONFIG.version };
+    const errors = {};
+    
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { settings: JSON.parse(JSON.stringify(defaults)), errors: { '': 'Settings must be a JSON object.' } };
+    }
+    
+    SETTINGS_FIELDS.forEach(field => {
+        const value = getSettingValue(input, field.path);
+        const fallback = getSettingValue(defaults, field.path);
+        
+        if (value === undefined) {
+            setSettingValue(settings, field.path, Array.isArray(fallback) ? [...fallback] : fallback);
+            return;
+        }
+        
+        try {
+            setSettingValue(settings, field.path, validateSettingValue(field, value));
+        } catch (error) {
+            errors[field.path] = error.message;
+            setSettingValue(settings, field.path, Array.isArray(fallback) ? [...fallback] : fallback);
+        }
+    });
+    
+    if (!errors['api.maxRetryDelay'] && settings.api.maxRetryDelay < settings.api.retryDelay) {
+        errors['api.maxRetryDelay'] = 'Must be at least the first retry delay.';
+        settings.api.maxRetryDelay = defaults.api.maxRetryDelay;
+    }
+    
+    return { settings, errors };
+}
+
+
+const appSettings = {
+    defaults: null,
+    current: null,
+    
+    initialize() {
+        this.defaults = {
+            version: SETTINGS_CONFIG.version,
+            models: { ...MODELS },
+            api: {
+                maxRetries: API_CONFIG.maxRetries,
+                retryDelay: API_CONFIG.retryDelay,
+                maxRetryDelay: API_CONFIG.maxRetryDelay,
+                rateLimitPerMinute: API_CONFIG.rateLimitPerMinute,
+                fallbackModels: [...API_CONFIG.fallbackModels]
+            },
+            temperatures: { ...MODEL_TEMPERATURES },
+            conversation: { maxHistoryTurns: MAX_HISTORY_TURNS },
+            transcription: { language: TRANSCRIPTION_LANGUAGE }
+        };
+        this.load();
+    },
+    
+    load() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(SETTINGS_CONFIG.storageKey) || 'null');
+        } catch (error) {
+            console.warn('Saved settings are unreadable; using defaults:', error);
+        }
+        
+        const { settings, errors } = validateSettings(stored || {}, this.defaults);
+        if (Object.keys(errors).length > 0) {
+            console.warn('Some saved settings were invalid and have been reset to defaults:', errors);
+        }
+        this.apply(settings);
+    },
+    
+    apply(settings) {
+        Object.assign(MODELS, settings.models);
+        Object.assign(API_CONFIG, { ...settings.api, fallbackModels: [...settings.api.fallbackModels] });
+        Object.assign(MODEL_TEMPERATURES, settings.temperatures);
+        MAX_HISTORY_TURNS = settings.conversation.maxHistoryTurns;
+        TRANSCRIPTION_LANGUAGE = settings.transcription.language;
+        
+        this.current = settings;
+        renderModelHealth();
+    },
+    
+    save(input) {
+        const { settings, errors } = validateSettings(input, this.defaults);
+        if (Object.keys(errors).length > 0) {
+            return errors;
+        }
+        
+        localStorage.setItem(SETTINGS_CONFIG.storageKey, JSON.stringify(settings));
+        this.apply(settings);
+        console.log('Settings saved');
+        return null;
+    },
+    
+    reset() {
+        localStorage.removeItem(SETTINGS_CONFIG.storageKey);
+        this.apply(JSON.parse(JSON.stringify(this.defaults)));
+        console.log('Settings reset to defaults');
+    },
+    
+    export() {
+        return JSON.stringify({
+            ...this.current,
+            promptTemplates: promptLibrary.export(),
+            exportedAt: new Date().toISOString()
+        }, null, 2);
+    }
+};
+
+
+// `values` may be a rejected submission, so what was typed stays in place to be corrected.
+function renderSettingsForm(errors = {}, values = appSettings.current) {
+    const container = document.getElementById('settingsFields');
+    if (!container || !appSettings.current) return;
+    
+    container.innerHTML = '';
+    SETTINGS_SECTIONS.forEach(section => {
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'settings-section';
+        
+        const legend = document.createElement('legend');
+        legend.className = 'settings-section-title';
+        legend.textContent = section.title;
+        fieldset.appendChild(legend);
+        
+        section.fields.forEach(field => {
+            const id = `setting-${field.path.replace(/\./g, '-')}`;
+            const value = getSettingValue(values, field.path) ?? getSettingValue(appSettings.current, field.path);
+            const wrapper = document.createElement('div');
+            wrapper.className = `settings-field${field.wide ? ' wide' : ''}`;
+            
+            const label = document.createElement('label');
+            label.className = 'form-label text-sm font-medium text-gray-700';
+            label.htmlFor = id;
+            label.textContent = field.label;
+            
+            const input = document.createElement('input');
+            input.id = id;
+            input.dataset.settingPath = field.path;
+            input.className = 'form-control rounded-lg border-gray-300';
+            
+            if (field.type === 'integer' || field.type === 'number') {
+                input.type = 'number';
+                input.min = field.min;
+                input.max = field.max;
+                input.step = field.step || 1;
+                input.value = value;
+            } else {
+                input.type = 'text';
+                input.value = Array.isArray(value) ? value.join(', ') : value;
+                if (field.type === 'model' || field.type === 'modelList') {
+                    input.setAttribute('list', 'settingsModelOptions');
+                }
+            }
+            
+            const defaultValue = getSettingValue(appSettings.defaults, field.path);
+            if (JSON.stringify(value) !== JSON.stringify(defaultValue)) {
+                wrapper.classList.add('changed');
+                label.title = 'Changed from the default';
+            }
+            
+            wrapper.appendChild(label);
+            wrapper.appendChild(input);
+            
+            if (errors[field.path]) {
+                input.classList.add('is-invalid');
+                const feedback = document.createElement('div');
+                feedback.className = 'invalid-feedback';
+                feedback.textContent = errors[field.path];
+                wrapper.appendChild(feedback);
+            }
+            
+            fieldset.appendChild(wrapper);
+        });
+        
+        container.appendChild(fieldset);
+    });
+    
+    
+    const options = document.getElementById('settingsModelOptions');
+    options.innerHTML = '';
+    Object.keys(MODEL_CAPABILITIES).forEach(model => {
+        const option = document.createElement('option');
+        option.value = model;
+        options.appendChild(option);
+    });
+}
+
+
+function showSettingsStatus(message, isError = false) {
+    const status = document.getElementById('settingsStatus');
+    status.textContent = message;
+    status.className = `settings-status ${isError ? 'text-red-600' : 'text-green-600'}`;
+}
+
+
+function readSettingsForm() {
+    const settings = {};
+    document.querySelectorAll('#settingsFields [data-setting-path]').forEach(input => {
+        setSettingValue(settings, input.dataset.settingPath, input.value);
+    });
+    return settings;
+}
+
+
+function applySettingsFromForm(settings, successMessage) {
+    const errors = appSettings.save(settings);
+    
+    if (!errors) {
+        renderSettingsForm();
+        showSettingsStatus(successMessage);
+        return true;
+    }
+    
+    if (errors['']) {
+        showSettingsStatus(errors[''], true);
+        return false;
+    }
+    
+    const count = Object.keys(errors).length;
+    renderSettingsForm(errors, settings);
+    showSettingsStatus(`${count} setting${count === 1 ? ' is' : 's are'} invalid. Nothing was saved.`, true);
+    return false;
+}
+
+
+function initializeSettingsPanel() {
+    appSettings.initialize();
+    
+    const form = document.getElementById('settingsForm');
+    if (!form) return;
+    
+    renderSettingsForm();
+    
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        applySettingsFromForm(readSettingsForm(), 'Settings saved.');
+    });
+    
+    document.getElementById('exportSettings').addEventListener('click', () => {
+        const blob = new Blob([appSettings.export()], { type: 'application/json' });
+        createDownloadLink(blob, `healthcare-assistant-settings-${toLocalDateKey(new Date())}.json`);
+    });
+    
+    const importInput = document.getElementById('importSettingsFile');
+    document.getElementById('importSettings').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (!file) return;
+        
+        let imported;
+        try {
+            imported = JSON.parse(await file.text());
+        } catch (error) {
+            showSettingsStatus(`${file.name} is not valid JSON.`, true);
+            return;
+        }
+        if (!applySettingsFromForm(imported, `Settings imported from ${file.name}.`)) return;
+        
+        
+        const added = promptLibrary.import(imported.promptTemplates);
+        renderPromptTemplateEditor(document.getElementById('promptTemplateName').value);
+        if (added > 0) {
+            showSettingsStatus(`Settings imported from ${file.name}, with ${added} new prompt template version${added === 1 ? '' : 's'}.`);
+        }
+    });
+    
+    document.getElementById('resetSettings').addEventListener('click', () => {
+        if (!confirm('Reset all settings to their defaults? Prompt templates go back to their built-in versions; saved versions are kept.')) return;
+        
+        appSettings.reset();
+        promptLibrary.activateBuiltIns();
+        renderSettingsForm();
+        renderPromptTemplateEditor(document.getElementById('promptTemplateName').value);
+        showSettingsStatus('Settings reset to defaults.');
+    });
+    
+    
+    window.addEventListener('storage', (event) => {
+        if (event.key === SETTINGS_CONFIG.storageKey) {
+            appSettings.load();
+            renderSettingsForm();
+        }
+    });
+}
+
+
+const PROMPT_LIBRARY_CONFIG = {
+    storageKey: 'promptTemplates',
+    version: 1,
+    maxPromptLength: 8000,
+    maxNoteLength: 200
+};
+
+const PROMPT_PLACEHOLDER_PATTERN = /\{\{([#/]?)(\w+)\}\}/g;
+
+
+// A left-out section that fills a whole line takes its line break with it.
+function fillPromptTemplate(text, variables) {
+    const hasValue = (name) => variables[name] !== undefined && variables[name] !== null && String(variables[name]).trim() !== '';
+    
+    return text
+        .replace(/^\{\{#(\w+)\}\}(.*?)\{\{\/\1\}\}(\n|$)/gm, (match, name, content, lineEnd) => (hasValue(name) ? content + lineEnd : ''))
+        .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, content) => (hasValue(name) ? content : ''))
+        .replace(/\{\{(\w+)\}\}/g, (match, name) => (hasValue(name) ? String(variables[name]) : ''));
+}
+
+
+function validatePromptTemplateText(name, parts) {
+    const template = PROMPT_TEMPLATES[name];
+    const errors = {};
+    
+    ['system', 'user'].forEach(part => {
+        const text = parts[part];
+        
+        if (typeof text !== 'string' || !text.trim()) {
+            errors[part] = 'The prompt cannot be empty.';
+            return;
+        }
+        if (text.length > PROMPT_LIBRARY_CONFIG.maxPromptLength) {
+            errors[part] = `Keep the prompt under ${PROMPT_LIBRARY_CONFIG.maxPromptLength} characters.`;
+            return;
+        }
+        
+        let openSection = null;
+        for (const [placeholder, marker, variable] of text.matchAll(PROMPT_PLACEHOLDER_PATTERN)) {
+            if (!(variable in template.variables)) {
+                errors[part] = `${placeholder} is not a variable of this template.`;
+                return;
+            }
+            if (marker === '#') {
+                if (openSection) {
+                    errors[part] = `${placeholder} is inside the {{#${openSection}}} section; sections cannot be nested.`;
+                    return;
+                }
+                openSection = variable;
+            } else if (marker === '/') {
+                if (openSection !== variable) {
+                    errors[part] = `${placeholder} does not close an open {{#${variable}}} section.`;
+                    return;
+                }
+                openSection = null;
+            }
+        }
+        
+        if (openSection) {
+            errors[part] = `{{#${openSection}}} is never closed with {{/${openSection}}}.`;
+        }
+    });
+    
+    return errors;
+}
+
+
+const promptLibrary = {
+    // Version 1 of every template is the built-in text in PROMPT_TEMPLATES and is never stored.
+    saved: {},
+    
+    initialize() {
+        this.load();
+    },
+    
+    load() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(PROMPT_LIBRARY_CONFIG.storageKey) || 'null');
+        } catch (error) {
+            console.warn('Saved prompt templates are unreadable; using the built-in templates:', error);
+        }
+        
+        this.saved = {};
+        Object.keys(PROMPT_TEMPLATES).forEach(name => {
+            const entry = stored && stored.templates && stored.templates[name];
+            const versions = entry && Array.isArray(entry.versions)
+                ? entry.versions.filter(version => version && Number.isInteger(version.version) && version.version > 1 &&
+                    typeof version.system === 'string' && typeof version.user === 'string')
+                : [];
             
-            if (error.message && error.message.includes('429')) {
-                console.log('Rate limit exceeded. Adding delay before retry.');
+            this.saved[name] = {
+                active: versions.some(version => version.version === entry.active) ? entry.active : 1,
+                versions: versions
+            };
+        });
+    },
+    
+    persist() {
+        localStorage.setItem(PROMPT_LIBRARY_CONFIG.storageKey, JSON.stringify({
+            version: PROMPT_LIBRARY_CONFIG.version,
+            templates: this.saved
+        }));
+    },
+    
+    getVersions(name) {
+        const template = PROMPT_TEMPLATES[name];
+        const builtIn = { version: 1, system: template.system, user: template.user, note: 'Built-in', createdAt: null, builtIn: true };
+        
+        return [builtIn, ...(this.saved[name] ? this.saved[name].versions : [])];
+    },
+    
+    getVersion(name, version) {
+        if (!PROMPT_TEMPLATES[name]) return null;
+        return this.getVersions(name).find(entry => entry.version === version) || null;
+    },
+    
+    getActive(name) {
+        return this.getVersion(name, this.saved[name] ? this.saved[name].active : 1) || this.getVersion(name, 1);
+    },
+    
+    addVersion(name, { system, user, note = '' }) {
+        const errors = validatePromptTemplateText(name, { system, user });
+        if (Object.keys(errors).length > 0) {
+            return { errors };
+        }
+        
+        const versions = this.getVersions(name);
+        const existing = versions.find(entry => entry.system === system && entry.user === user);
+        if (existing) {
+            return { version: existing.version, existing: true };
+        }
+        
+        const entry = {
+            version: versions[versions.length - 1].version + 1,
+            system: system,
+            user: user,
+            note: String(note).trim().slice(0, PROMPT_LIBRARY_CONFIG.maxNoteLength),
+            createdAt: new Date().toISOString()
+        };
+        this.saved[name].versions.push(entry);
+        this.persist();
+        
+        console.log(`Saved ${name} prompt template v${entry.version}`);
+        return { version: entry.version };
+    },
+    
+    activate(name, version) {
+        if (!this.getVersion(name, version)) {
+            throw new Error(`The ${name} prompt template has no version ${version}`);
+        }
+        
+        this.saved[name].active = version;
+        this.persist();
+        console.log(`Using ${name} prompt template v${version}`);
+    },
+    
+    activateBuiltIns() {
+        Object.values(this.saved).forEach(entry => {
+            entry.active = 1;
+        });
+        this.persist();
+    },
+    
+    export() {
+        return JSON.parse(JSON.stringify(this.saved));
+    },
+    
+    import(templates) {
+        let added = 0;
+        
+        Object.keys(PROMPT_TEMPLATES).forEach(name => {
+            const entry = templates && templates[name];
+            if (!entry || !Array.isArray(entry.versions)) return;
+            
+            const versionMap = { 1: 1 };
+            entry.versions.forEach(version => {
+                if (!version || typeof version.system !== 'string' || typeof version.user !== 'string') return;
                 
-                await wait(5000 + getRetryDelay(retryCount));
-                retryCount++;
-            } 
+                const result = this.addVersion(name, {
+                    system: version.system,
+                    user: version.user,
+                    note: typeof version.note === 'string' && version.note ? version.note : `Imported v${version.version}`
+                });
+                if (result.errors) {
+                    console.warn(`Skipped imported ${name} prompt template v${version.version}:`, result.errors);
+                    return;
+                }
+                
+                versionMap[version.version] = result.version;
+                if (!result.existing) added++;
+            });
             
-            else {
-                if (retryCount < API_CONFIG.maxRetries) {
-                    const delay = getRetryDelay(retryCount);
-                    console.log(`Error occurred. Retrying in ${delay}ms...`);
-                    await wait(delay);
-                    retryCount++;
-                } else {
-                    throw error;
+            if (versionMap[entry.active]) {
+                this.activate(name, versionMap[entry.active]);
+            }
+        });
+        
+        return added;
+    }
+};
+
+
+function renderPromptTemplate(name, variables = {}) {
+    const version = promptLibrary.getActive(name);
+    
+    return {
+        system: fillPromptTemplate(version.system, variables),
+        user: fillPromptTemplate(version.user, variables),
+        template: { name: name, version: version.version }
+    };
+}
+
+
+function recordPromptUse(caseRecord, output, prompt) {
+    if (!caseRecord) return;
+    
+    caseRecord.promptAudit = caseRecord.promptAudit || [];
+    caseRecord.promptAudit.push({
+        createdAt: new Date().toISOString(),
+        output: output,
+        template: prompt.template.name,
+        version: prompt.template.version,
+        system: prompt.system,
+        user: prompt.user
+    });
+}
+
+
+function formatPromptVersion(template, version) {
+    const label = PROMPT_TEMPLATES[template] ? PROMPT_TEMPLATES[template].label : template;
+    return `${label} v${version}`;
+}
+
+
+function renderPromptAudit(record) {
+    const panel = document.getElementById('promptAuditPanel');
+    const list = document.getElementById('promptAuditList');
+    if (!panel) return;
+    
+    const entries = (record && record.promptAudit) || [];
+    list.innerHTML = '';
+    panel.classList.toggle('d-none', entries.length === 0);
+    
+    entries.forEach(entry => {
+        const version = promptLibrary.getVersion(entry.template, entry.version);
+        const item = document.createElement('li');
+        
+        const output = document.createElement('span');
+        output.className = 'prompt-audit-output';
+        output.textContent = entry.output;
+        
+        const template = document.createElement('span');
+        template.textContent = formatPromptVersion(entry.template, entry.version);
+        if (version && version.note) {
+            template.title = version.note;
+        }
+        
+        const time = document.createElement('small');
+        time.className = 'prompt-audit-time text-gray-500';
+        time.textContent = formatChatTimestamp(entry.createdAt);
+        
+        item.appendChild(output);
+        item.appendChild(template);
+        if (!version) {
+            const missing = document.createElement('small');
+            missing.className = 'text-red-600';
+            missing.textContent = 'not in this browser\'s library';
+            item.appendChild(missing);
+        }
+        item.appendChild(time);
+        
+        if (entry.system || entry.user) {
+            const sent = document.createElement('details');
+            sent.className = 'prompt-audit-sent';
+            
+            const summary = document.createElement('summary');
+            summary.textContent = 'Text sent';
+            
+            const text = document.createElement('pre');
+            text.textContent = `${entry.system}\n\n${entry.user}`;
+            
+            sent.appendChild(summary);
+            sent.appendChild(text);
+            item.appendChild(sent);
+        }
+        
+        list.appendChild(item);
+    });
+}
+
+
+function formatPromptVersionOption(entry, activeVersion) {
+    const parts = [`v${entry.version}`, entry.builtIn ? 'built-in' : new Date(entry.createdAt).toLocaleDateString()];
+    if (entry.note && !entry.builtIn) parts.push(entry.note);
+    
+    return `${parts.join(' · ')}${entry.version === activeVersion ? ' (in use)' : ''}`;
+}
+
+
+function showPromptTemplateStatus(message, isError = false) {
+    const status = document.getElementById('promptTemplateStatus');
+    status.textContent = message;
+    status.className = `settings-status ${isError ? 'text-red-600' : 'text-green-600'}`;
+}
+
+
+function showPromptTemplateErrors(errors) {
+    ['system', 'user'].forEach(part => {
+        const input = document.getElementById(`promptTemplate${part === 'system' ? 'System' : 'User'}`);
+        const feedback = document.getElementById(`promptTemplate${part === 'system' ? 'System' : 'User'}Error`);
+        
+        input.classList.toggle('is-invalid', Boolean(errors[part]));
+        feedback.textContent = errors[part] || '';
+    });
+}
+
+
+function renderPromptTemplatePreview() {
+    const name = document.getElementById('promptTemplateName').value;
+    const parts = {
+        system: document.getElementById('promptTemplateSystem').value,
+        user: document.getElementById('promptTemplateUser').value
+    };
+    const sampleData = PROMPT_TEMPLATES[name].sampleData;
+    
+    showPromptTemplateErrors(validatePromptTemplateText(name, parts));
+    document.getElementById('promptTemplatePreviewSystem').textContent = fillPromptTemplate(parts.system, sampleData);
+    document.getElementById('promptTemplatePreviewUser').textContent = fillPromptTemplate(parts.user, sampleData);
+}
+
+
+function renderPromptTemplateEditor(name, version = null) {
+    const nameSelect = document.getElementById('promptTemplateName');
+    const versionSelect = document.getElementById('promptTemplateVersion');
+    if (!nameSelect) return;
+    
+    const template = PROMPT_TEMPLATES[name];
+    const activeVersion = promptLibrary.getActive(name).version;
+    const selected = (version && promptLibrary.getVersion(name, version)) || promptLibrary.getActive(name);
+    
+    nameSelect.value = name;
+    versionSelect.innerHTML = '';
+    promptLibrary.getVersions(name).slice().reverse().forEach(entry => {
+        const option = document.createElement('option');
+        option.value = entry.version;
+        option.textContent = formatPromptVersionOption(entry, activeVersion);
+        versionSelect.appendChild(option);
+    });
+    versionSelect.value = String(selected.version);
+    
+    document.getElementById('promptTemplateDescription').textContent = template.description;
+    document.getElementById('promptTemplateSystem').value = selected.system;
+    document.getElementById('promptTemplateUser').value = selected.user;
+    document.getElementById('promptTemplateNote').value = '';
+    document.getElementById('activatePromptVersion').disabled = selected.version === activeVersion;
+    
+    const variables = document.getElementById('promptTemplateVariables');
+    variables.innerHTML = '';
+    Object.entries(template.variables).forEach(([variable, description]) => {
+        const chip = document.createElement('code');
+        chip.className = 'prompt-template-variable';
+        chip.textContent = `{{${variable}}}`;
+        chip.title = description;
+        variables.appendChild(chip);
+    });
+    
+    renderPromptTemplatePreview();
+}
+
+
+function initializePromptLibraryPanel() {
+    promptLibrary.initialize();
+    
+    const form = document.getElementById('promptTemplateForm');
+    if (!form) return;
+    
+    const nameSelect = document.getElementById('promptTemplateName');
+    const versionSelect = document.getElementById('promptTemplateVersion');
+    
+    Object.entries(PROMPT_TEMPLATES).forEach(([name, template]) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = template.label;
+        nameSelect.appendChild(option);
+    });
+    renderPromptTemplateEditor(nameSelect.options[0].value);
+    
+    nameSelect.addEventListener('change', () => {
+        renderPromptTemplateEditor(nameSelect.value);
+        showPromptTemplateStatus('');
+    });
+    versionSelect.addEventListener('change', () => {
+        renderPromptTemplateEditor(nameSelect.value, Number(versionSelect.value));
+        showPromptTemplateStatus('');
+    });
+    
+    ['promptTemplateSystem', 'promptTemplateUser'].forEach(id => {
+        document.getElementById(id).addEventListener('input', renderPromptTemplatePreview);
+    });
+    
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const name = nameSelect.value;
+        const result = promptLibrary.addVersion(name, {
+            system: document.getElementById('promptTemplateSystem').value,
+            user: document.getElementById('promptTemplateUser').value,
+            note: document.getElementById('promptTemplateNote').value
+        });
+        
+        if (result.errors) {
+            showPromptTemplateErrors(result.errors);
+            showPromptTemplateStatus('Fix the highlighted prompt before saving. Nothing was saved.', true);
+            return;
+        }
+        
+        promptLibrary.activate(name, result.version);
+        renderPromptTemplateEditor(name, result.version);
+        showPromptTemplateStatus(result.existing
+            ? `This text is already saved as v${result.version}, which is now in use.`
+            : `Saved as v${result.version}, which is now in use.`);
+    });
+    
+    document.getElementById('activatePromptVersion').addEventListener('click', () => {
+        const name = nameSelect.value;
+        const version = Number(versionSelect.value);
+        
+        promptLibrary.activate(name, version);
+        renderPromptTemplateEditor(name, version);
+        showPromptTemplateStatus(`v${version} is now in use.`);
+    });
+    
+    
+    window.addEventListener('storage', (event) => {
+        if (event.key === PROMPT_LIBRARY_CONFIG.storageKey) {
+            promptLibrary.load();
+            renderPromptTemplateEditor(nameSelect.value, Number(versionSelect.value));
+        }
+    });
+}
+
+
+async function testMicrophone() {
+    console.log('Testing microphone...');
+    
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        console.log('Microphone test successful');
+        stream.getTracks().forEach(track => track.stop());
+        return true;
+    } catch (error) {
+        console.error('Microphone test failed:', error);
+        return false;
+    }
+}
+
+
+async function startSimpleRecording() {
+    console.log('Starting recording...');
+    
+    if (isRecording) return;
+    
+    const startBtn = document.getElementById('startRecording');
+    const stopBtn = document.getElementById('stopRecording');
+    const status = document.getElementById('recordingStatus');
+    
+    try {
+        
+        if (startBtn) startBtn.classList.add('d-none');
+        if (stopBtn) stopBtn.classList.remove('d-none');
+        if (status) {
+            status.innerHTML = 'Getting microphone...';
+            status.className = 'text-blue-600 text-sm mt-2';
+        }
+        
+        
+        recordingStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        
+        
+        recordingMediaRecorder = new MediaRecorder(recordingStream);
+        recordingChunks = [];
+        
+        recordingMediaRecorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                recordingChunks.push(event.data);
+            }
+        };
+        
+        recordingMediaRecorder.onstop = async () => {
+            console.log('Recording stopped');
+            
+            try {
+                const audioBlob = new Blob(recordingChunks, { type: 'audio/webm' });
+                console.log('Audio blob size:', audioBlob.size);
+                
+                if (audioBlob.size < 1000) {
+                    throw new Error('Recording too short');
+                }
+                
+                await transcribeSimple(audioBlob);
+                
+            } catch (error) {
+                console.error('Processing error:', error);
+                if (status) {
+                    status.innerHTML = `Error: ${error.message}`;
+                    status.className = 'text-red-600 text-sm mt-2';
+                }
+            } finally {
+                
+                if (startBtn) startBtn.classList.remove('d-none');
+                if (stopBtn) stopBtn.classList.add('d-none');
+                isRecording = false;
+                
+                if (recordingStream) {
+                    recordingStream.getTracks().forEach(track => track.stop());
+                }
+            }
+        };
+        
+        
+        recordingMediaRecorder.start(1000);
+        isRecording = true;
+        
+        if (status) {
+            status.innerHTML = 'Recording... Speak now!';
+            status.className = 'text-red-600 text-sm mt-2';
+        }
+        
+    } catch (error) {
+        console.error('Recording error:', error);
+        
+        if (status) {
+            let message = 'Failed: ';
+            if (error.name === 'NotAllowedError') {
+                message = 'Microphone blocked. Allow access and try again.';
+            } else {
+                message += error.message;
+            }
+            status.innerHTML = message;
+            status.className = 'text-red-600 text-sm mt-2';
+        }
+        
+        if (startBtn) startBtn.classList.remove('d-none');
+        if (stopBtn) stopBtn.classList.add('d-none');
+    }
+}
+
+
+function stopSimpleRecording() {
+    if (isRecording && recordingMediaRecorder) {
+        recordingMediaRecorder.stop();
+    }
+}
+
+
+async function transcribeSimple(audioBlob) {
+    const status = document.getElementById('recordingStatus');
+    const controller = activeRequests.start('transcription');
+    let request = null;
+    let startTime = null;
+    
+    try {
+        if (status) {
+            status.innerHTML = 'Transcribing...';
+            status.className = 'text-blue-600 text-sm mt-2';
+        }
+        
+        apiUsageMonitor.enforceBudget();
+        
+        request = createAttemptDescriptor(
+            createRequestDescriptor('transcription', MODELS.AUDIO_TRANSCRIPTION, 'transcription', []),
+            MODELS.AUDIO_TRANSCRIPTION,
+            -1,
+            0
+        );
+        await apiRequestQueue.acquire(request, controller.signal);
+        
+        startTime = performance.now();
+        const text = await requestTranscription({
+            file: audioBlob,
+            fileName: 'recording.webm',
+            model: request.model,
+            language: TRANSCRIPTION_LANGUAGE,
+            signal: controller.signal,
+            descriptor: request
+        });
+
+        if (!text) {
+            throw new Error('No text received');
+        }
+        
+        apiUsageMonitor.logApiCall(request, true, null, Math.round(performance.now() - startTime));
+
+        const textArea = document.getElementById('transcribedText');
+        if (textArea) {
+            textArea.value = text;
+        }
+        
+        if (status) {
+            status.innerHTML = 'Complete!';
+            status.className = 'text-green-600 text-sm mt-2';
+        }
+        
+        console.log('Transcription successful:', text);
+        
+    } catch (error) {
+        if (isAbortError(error)) {
+            if (status && controller.cancelReason === 'user') {
+                status.innerHTML = 'Transcription cancelled.';
+                status.className = 'text-gray-500 text-sm mt-2';
+            }
+            return;
+        }
+        
+        console.error('Transcription error:', error);
+        if (startTime !== null) {
+            apiUsageMonitor.logApiCall(request, false, error.status ?? null, Math.round(performance.now() - startTime));
+        }
+        if (status) {
+            status.innerHTML = `Transcription failed: ${error.message}`;
+            status.className = 'text-red-600 text-sm mt-2';
+        }
+    } finally {
+        activeRequests.finish('transcription', controller);
+    }
+}
+
+
+async function condenseDiagnosis(initialPrompt, initialResponse, signal = null, onPrompt = null) {
+    try {
+        const condensationPrompt = renderPromptTemplate('condense', {
+            patientInfo: initialPrompt,
+            diagnosis: initialResponse
+        });
+
+        
+        const summary = await callGPT4(
+            condensationPrompt.user, 
+            'SUMMARY', 
+            condensationPrompt.system,
+            350,
+            null,
+            null,
+            signal
+        );
+        
+        if (onPrompt) {
+            onPrompt(condensationPrompt);
+        }
+        return summary;
+    } catch (error) {
+        if (isAbortError(error)) {
+            throw error;
+        }
+        
+        console.error('Error condensing diagnosis:', error);
+        return 'Failed to condense diagnosis. Please see the detailed response.';
+    }
+}
+
+
+function updateConversationHistory(userMessage, aiResponse, isInitialDiagnosis = false) {
+    
+    if (isInitialDiagnosis) {
+        
+        conversationHistory = [];
+        conversationMemory = createConversationMemory();
+        renderConversationMemory();
+        
+        
+        conversationHistory.push({ role: 'user', content: userMessage });
+        conversationHistory.push({ role: 'assistant', content: aiResponse });
+        
+        return;
+    }
+    
+    
+    conversationHistory.push({ role: 'user', content: userMessage });
+    conversationHistory.push({ role: 'assistant', content: aiResponse });
+    
+    
+    const maxMessages = MAX_HISTORY_TURNS * 2; 
+    if (conversationHistory.length > maxMessages) {
+        const olderTurns = conversationHistory.slice(0, conversationHistory.length - maxMessages);
+        conversationHistory = conversationHistory.slice(conversationHistory.length - maxMessages);
+        
+        
+        conversationMemory.pendingTurns.push(...olderTurns);
+        scheduleMemoryCondensation();
+    }
+}
+
+
+const MEMORY_FACT_CATEGORIES = {
+    allergy: 'Allergy',
+    medication: 'Medication',
+    symptom: 'New symptom',
+    history: 'History',
+    other: 'Other'
+};
+
+
+const MEMORY_RESPONSE_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['summary', 'pinnedFacts'],
+    properties: {
+        summary: { type: 'string', minLength: 1 },
+        pinnedFacts: {
+            type: 'array',
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['category', 'text'],
+                properties: {
+                    category: { type: 'string', enum: Object.keys(MEMORY_FACT_CATEGORIES) },
+                    text: { type: 'string', minLength: 1 }
                 }
             }
-            
-            
-            if (retryCount >= API_CONFIG.maxRetries) {
-                throw new Error(`Failed after ${API_CONFIG.maxRetries} retry attempts: ${error.message}`);
+        }
+    }
+};
+
+
+const MEMORY_RESPONSE_FORMAT = {
+    type: 'json_schema',
+    json_schema: {
+        name: 'conversation_memory',
+        strict: true,
+        schema: toStrictSchema(MEMORY_RESPONSE_SCHEMA)
+    }
+};
+
+
+let conversationMemory = createConversationMemory();
+let memoryCondensation = Promise.resolve();
+
+
+function createConversationMemory() {
+    return {
+        summary: '',
+        pinnedFacts: [],
+        pendingTurns: [],
+        condensedTurns: 0,
+        updatedAt: null
+    };
+}
+
+
+function cloneConversationMemory(memory) {
+    return {
+        ...memory,
+        pinnedFacts: memory.pinnedFacts.map(fact => ({ ...fact })),
+        pendingTurns: memory.pendingTurns.map(message => ({ ...message }))
+    };
+}
+
+
+function pinMemoryFact(memory, category, text, source) {
+    const normalized = text.trim().toLowerCase();
+    if (!normalized || memory.pinnedFacts.some(fact => fact.text.trim().toLowerCase() === normalized)) {
+        return false;
+    }
+    
+    memory.pinnedFacts.push({
+        id: `fact-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        category: MEMORY_FACT_CATEGORIES[category] ? category : 'other',
+        text: text.trim(),
+        source: source,
+        createdAt: new Date().toISOString()
+    });
+    return true;
+}
+
+
+function formatConversationMemory(memory) {
+    const sections = [];
+    
+    if (memory.pinnedFacts.length > 0) {
+        const facts = memory.pinnedFacts
+            .map(fact => `- ${MEMORY_FACT_CATEGORIES[fact.category]}: ${fact.text}`)
+            .join('\n');
+        sections.push(`Pinned patient facts (always take these into account):\n${facts}`);
+    }
+    
+    if (memory.summary) {
+        sections.push(`Summary of the earlier follow-up conversation:\n${memory.summary}`);
+    }
+    
+    return sections.join('\n\n');
+}
+
+
+async function condenseConversationMemory(memory) {
+    if (memory.pendingTurns.length === 0) return;
+    
+    const turns = memory.pendingTurns.slice();
+    const transcript = turns
+        .map(message => `${message.role === 'user' ? 'Patient' : 'Assistant'}: ${message.content}`)
+        .join('\n\n');
+    const pinnedFacts = memory.pinnedFacts
+        .map(fact => `- ${MEMORY_FACT_CATEGORIES[fact.category]}: ${fact.text}`)
+        .join('\n');
+    
+    const memoryPrompt = renderPromptTemplate('memory', {
+        summary: memory.summary || 'None yet.',
+        pinnedFacts: pinnedFacts || 'None.',
+        transcript: transcript,
+        factCategories: Object.keys(MEMORY_FACT_CATEGORIES).join(', ')
+    });
+    
+    const response = await callGPT4(
+        memoryPrompt.user,
+        'SUMMARY',
+        memoryPrompt.system,
+        400,
+        null,
+        MEMORY_RESPONSE_FORMAT
+    );
+    
+    const parsed = parseStructuredResponse(response, MEMORY_RESPONSE_SCHEMA);
+    if (!parsed.valid) {
+        console.warn('Conversation memory response failed validation, keeping it as plain text:', parsed.errors);
+    }
+    
+    
+    memory.summary = parsed.valid ? parsed.data.summary.trim() : response.trim();
+    if (parsed.valid) {
+        parsed.data.pinnedFacts.forEach(fact => pinMemoryFact(memory, fact.category, fact.text, 'model'));
+    }
+    memory.pendingTurns.splice(0, turns.length);
+    memory.condensedTurns += Math.ceil(turns.length / 2);
+    memory.updatedAt = new Date().toISOString();
+    
+    console.log(`Condensed ${turns.length} older messages into conversation memory`);
+    
+    if (memory === conversationMemory) {
+        recordPromptUse(currentCase, 'Conversation memory', memoryPrompt);
+        renderConversationMemory();
+        await saveCurrentCase();
+    }
+}
+
+
+function scheduleMemoryCondensation() {
+    const memory = conversationMemory;
+    
+    memoryCondensation = memoryCondensation
+        .then(() => condenseConversationMemory(memory))
+        .catch(error => {
+            console.error('Error condensing conversation memory:', error);
+        });
+    
+    return memoryCondensation;
+}
+
+
+function renderConversationMemory() {
+    const summaryInput = document.getElementById('memorySummary');
+    const factList = document.getElementById('pinnedFactsList');
+    const status = document.getElementById('memoryStatus');
+    if (!summaryInput || !factList) return;
+    
+    summaryInput.value = conversationMemory.summary;
+    
+    factList.innerHTML = '';
+    if (conversationMemory.pinnedFacts.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'pinned-facts-empty';
+        empty.textContent = 'No pinned facts yet.';
+        factList.appendChild(empty);
+    }
+    
+    conversationMemory.pinnedFacts.forEach(fact => {
+        const item = document.createElement('li');
+        item.className = 'pinned-fact';
+        
+        const category = document.createElement('span');
+        category.className = `pinned-fact-category ${fact.category}`;
+        category.textContent = MEMORY_FACT_CATEGORIES[fact.category];
+        
+        const text = document.createElement('span');
+        text.className = 'pinned-fact-text';
+        text.textContent = fact.text;
+        
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'chat-action';
+        removeButton.title = 'Unpin';
+        removeButton.innerHTML = '<i class="fas fa-times"></i>';
+        removeButton.addEventListener('click', () => {
+            conversationMemory.pinnedFacts = conversationMemory.pinnedFacts.filter(other => other.id !== fact.id);
+            renderConversationMemory();
+            saveCurrentCase();
+        });
+        
+        item.appendChild(category);
+        item.appendChild(text);
+        item.appendChild(removeButton);
+        factList.appendChild(item);
+    });
+    
+    if (status) {
+        const pending = conversationMemory.pendingTurns.length / 2;
+        status.textContent = conversationMemory.condensedTurns > 0
+            ? `${conversationMemory.condensedTurns} earlier turn(s) condensed${pending > 0 ? `, ${pending} waiting` : ''}`
+            : pending > 0 ? `${pending} earlier turn(s) waiting to be condensed` : '';
+    }
+}
+
+
+function initializeConversationMemory() {
+    const panel = document.getElementById('conversationMemoryPanel');
+    const toggleButton = document.getElementById('viewMemoryBtn');
+    if (!panel || !toggleButton) return;
+    
+    toggleButton.addEventListener('click', () => {
+        const hidden = panel.classList.toggle('d-none');
+        toggleButton.innerHTML = hidden
+            ? '<i class="fas fa-brain mr-1"></i> Memory'
+            : '<i class="fas fa-brain mr-1"></i> Hide Memory';
+        if (!hidden) {
+            renderConversationMemory();
+        }
+    });
+    
+    document.getElementById('saveMemorySummary').addEventListener('click', async () => {
+        conversationMemory.summary = document.getElementById('memorySummary').value.trim();
+        conversationMemory.updatedAt = new Date().toISOString();
+        await saveCurrentCase();
+        renderConversationMemory();
+    });
+    
+    document.getElementById('addPinnedFact').addEventListener('click', async () => {
+        const textInput = document.getElementById('pinnedFactText');
+        const category = document.getElementById('pinnedFactCategory').value;
+        
+        if (pinMemoryFact(conversationMemory, category, textInput.value, 'user')) {
+            textInput.value = '';
+            renderConversationMemory();
+            await saveCurrentCase();
+        }
+    });
+    
+    document.getElementById('pinnedFactText').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            document.getElementById('addPinnedFact').click();
+        }
+    });
+    
+    renderConversationMemory();
+}
+
+
+function setupAudioVisualization(stream) {
+    
+    if (!AudioContextClass) {
+        console.warn('AudioContext not supported in this browser');
+        return;
+    }
+    
+    try {
+        
+        if (audioContext && audioContext.state !== 'closed') {
+            audioContext.close().catch(console.warn);
+        }
+        
+        
+        audioContext = new AudioContextClass();
+        analyser = audioContext.createAnalyser();
+        
+        
+        const source = audioContext.createMediaStreamSource(stream);
+        source.connect(analyser);
+        
+        
+        analyser.fftSize = 256;
+        analyser.smoothingTimeConstant = 0.8;
+        
+        console.log('Audio visualization setup complete - AudioContext state:', audioContext.state);
+        
+        
+        if (audioContext.state === 'suspended') {
+            audioContext.resume().then(() => {
+                console.log('AudioContext resumed');
+            }).catch(error => {
+                console.error('Failed to resume AudioContext:', error);
+            });
+        }
+        
+    } catch (error) {
+        console.error('Error setting up audio visualization:', error);
+        
+        audioContext = null;
+        analyser = null;
+    }
+}
+
+
+const PHI_REDACTION_CONFIG = {
+    previewStorageKey: 'previewOutgoingRequests',
+    tokenPattern: /\[([A-Z]+)_(\d+)\]/g,
+    patterns: [
+        { type: 'EMAIL', regex: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi },
+        { type: 'SSN', regex: /\b\d{3}-\d{2}-\d{4}\b/g },
+        { type: 'PHONE', regex: /(?:\+?1[\s.-]?)?(?:\(\d{3}\)|\b\d{3})[\s.-]?\d{3}[\s.-]?\d{4}\b/g },
+        { type: 'MRN', regex: /\b(?:MRN|medical record(?: number| no\.?)?|patient id|chart(?: number| no\.?)?)\s*[:#]?\s*((?=[A-Z-]*\d)[A-Z0-9][A-Z0-9-]{3,})\b/gi },
+        { type: 'DATE', regex: /\b\d{1,2}[/-]\d{1,2}[/-](?:\d{4}|\d{2})\b/g },
+        { type: 'DATE', regex: /\b(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|Jun(?:e)?|Jul(?:y)?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\.? \d{1,2}(?:st|nd|rd|th)?,? \d{4}\b/g },
+        { type: 'ADDRESS', regex: /\b\d{1,5}(?: [A-Z][A-Za-z]*){1,4} (?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Circle)\b(?:,? (?:Apt|Suite|Unit) ?#?\w+)?/g },
+        { type: 'NAME', regex: /\b(?:Mr|Mrs|Ms|Miss|Dr)\.? ([A-Z][a-z]+(?: [A-Z][a-z]+)?)/g },
+        { type: 'NAME', regex: /\b(?:[Mm]y name is|[Nn]ame is|[Nn]amed|[Pp]atient [Nn]ame:?)\s+([A-Z][a-z]+(?: [A-Z][a-z]+){0,2})/g }
+    ]
+};
+
+
+const phiRedactor = {
+    knownIdentifiers: [],
+
+    registerIdentifier(type, value) {
+        const trimmed = String(value || '').trim();
+        if (trimmed.length < 2) return;
+
+        const candidates = [trimmed];
+        if (type === 'NAME') {
+            candidates.push(...trimmed.split(/\s+/).filter(part => part.length > 2));
+        }
+
+        for (const candidate of candidates) {
+            if (!this.knownIdentifiers.some(identifier => identifier.value.toLowerCase() === candidate.toLowerCase())) {
+                this.knownIdentifiers.push({ type, value: candidate });
             }
         }
+
+        this.knownIdentifiers.sort((a, b) => b.value.length - a.value.length);
+    },
+
+    clearIdentifiers() {
+        this.knownIdentifiers = [];
+    },
+
+    createSession() {
+        return { valueToToken: new Map(), tokenToValue: new Map(), counters: {} };
+    },
+
+    getToken(session, type, value) {
+        const key = `${type}:${value.toLowerCase()}`;
+        if (session.valueToToken.has(key)) {
+            return session.valueToToken.get(key);
+        }
+
+        session.counters[type] = (session.counters[type] || 0) + 1;
+        const token = `[${type}_${session.counters[type]}]`;
+        session.valueToToken.set(key, token);
+        session.tokenToValue.set(token, value);
+        return token;
+    },
+
+    deidentify(text, session) {
+        if (typeof text !== 'string' || !text) return text;
+
+        let redacted = text;
+
+        for (const { type, regex } of PHI_REDACTION_CONFIG.patterns) {
+            redacted = redacted.replace(regex, (match, group) => {
+                
+                if (typeof group === 'string') {
+                    return match.replace(group, this.getToken(session, type, group));
+                }
+                return this.getToken(session, type, match);
+            });
+        }
+
+        for (const identifier of this.knownIdentifiers) {
+            const escaped = identifier.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const regex = new RegExp(`(^|[^\\w])(${escaped})(?![\\w])`, 'gi');
+            redacted = redacted.replace(regex, (match, prefix, value) => {
+                return prefix + this.getToken(session, identifier.type, value);
+            });
+        }
+
+        return redacted;
+    },
+
+    reidentify(text, session) {
+        if (typeof text !== 'string' || !text || session.tokenToValue.size === 0) return text;
+
+        return text.replace(PHI_REDACTION_CONFIG.tokenPattern, token => {
+            return session.tokenToValue.has(token) ? session.tokenToValue.get(token) : token;
+        });
+    }
+};
+
+
+function isOutgoingPreviewEnabled() {
+    return localStorage.getItem(PHI_REDACTION_CONFIG.previewStorageKey) === 'true';
+}
+
+
+function renderOutgoingPreview(model, messages, session) {
+    const payloadElement = document.getElementById('outgoingPreviewPayload');
+    const substitutionsElement = document.getElementById('outgoingPreviewSubstitutions');
+
+    document.getElementById('outgoingPreviewModel').textContent = model;
+    payloadElement.textContent = messages.map(message => `[${message.role}]\n${message.content}`).join('\n\n');
+
+    substitutionsElement.innerHTML = '';
+    if (session.tokenToValue.size === 0) {
+        substitutionsElement.innerHTML = '<li class="text-gray-500">No identifiers detected.</li>';
+        return;
+    }
+
+    for (const [token, value] of session.tokenToValue) {
+        const item = document.createElement('li');
+        const tokenElement = document.createElement('code');
+        tokenElement.textContent = token;
+        item.appendChild(tokenElement);
+        item.appendChild(document.createTextNode(` replaces "${value}"`));
+        substitutionsElement.appendChild(item);
     }
 }
 
 
-function initializeRecording() {
-    const startRecordingBtn = document.getElementById('startRecording');
-    const stopRecordingBtn = document.getElementById('stopRecording');
-    
-    if (startRecordingBtn && stopRecordingBtn) {
-        
-        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-            startRecordingBtn.disabled = true;
-            startRecordingBtn.classList.add('opacity-50', 'cursor-not-allowed');
-            startRecordingBtn.innerHTML = '<i class="fas fa-microphone-slash mr-2"></i> Recording not supported';
-            return;
+function confirmOutgoingRequest(model, messages, session) {
+    return new Promise(resolve => {
+        const modalElement = document.getElementById('outgoingPreviewModal');
+        const sendButton = document.getElementById('outgoingPreviewSendBtn');
+        const modal = bootstrap.Modal.getOrCreateInstance(modalElement);
+        let confirmed = false;
+
+        renderOutgoingPreview(model, messages, session);
+
+        const onSend = () => {
+            confirmed = true;
+            modal.hide();
+        };
+
+        sendButton.addEventListener('click', onSend);
+        modalElement.addEventListener('hidden.bs.modal', () => {
+            sendButton.removeEventListener('click', onSend);
+            resolve(confirmed);
+        }, { once: true });
+
+        modal.show();
+    });
+}
+
+
+async function prepareOutgoingMessages(model, messages) {
+    const session = phiRedactor.createSession();
+    const outgoingMessages = messages.map(message => ({
+        ...message,
+        content: phiRedactor.deidentify(message.content, session)
+    }));
+
+    if (session.tokenToValue.size > 0) {
+        console.log(`Redacted ${session.tokenToValue.size} identifier(s) before sending to ${model}`);
+    }
+
+    if (isOutgoingPreviewEnabled()) {
+        const confirmed = await confirmOutgoingRequest(model, outgoingMessages, session);
+        if (!confirmed) {
+            throw new Error('Request cancelled before sending.');
         }
-        
-        
-        checkAndRequestMicrophoneAccess();
     }
+
+    return {
+        messages: outgoingMessages,
+        reidentify: text => phiRedactor.reidentify(text, session)
+    };
 }
 
 
-async function checkAndRequestMicrophoneAccess() {
-    const startRecordingBtn = document.getElementById('startRecording');
-    const recordingStatus = document.getElementById('recordingStatus');
-    const micStatusIcon = document.getElementById('micStatusIcon');
-    const micStatusText = document.getElementById('micStatusText');
-    const requestMicBtn = document.getElementById('requestMicAccess');
-    
+function initializeOutgoingPreviewToggle() {
+    const toggle = document.getElementById('previewOutgoingToggle');
+    if (!toggle) return;
+
+    toggle.checked = isOutgoingPreviewEnabled();
+    toggle.addEventListener('change', () => {
+        localStorage.setItem(PHI_REDACTION_CONFIG.previewStorageKey, String(toggle.checked));
+    });
+}
+
+
+async function callGPT4(prompt, modelType = 'DIAGNOSIS', systemPrompt = 'You are a medical AI assistant.', maxTokens = 1000, targetElement = null, responseFormat = null, signal = null) {
     try {
         
-        if (micStatusIcon && micStatusText) {
-            micStatusIcon.className = 'fas fa-spinner fa-spin text-blue-500 mr-2';
-            micStatusText.textContent = 'Checking microphone access...';
-        }
-        
-        
-        try {
-            const permissionStatus = await navigator.permissions.query({ name: 'microphone' });
-            console.log('Microphone permission status:', permissionStatus.state);
-            
-            if (permissionStatus.state === 'denied') {
-                if (micStatusIcon && micStatusText) {
-                    micStatusIcon.className = 'fas fa-microphone-slash text-red-500 mr-2';
-                    micStatusText.textContent = 'Microphone access denied';
-                }
-                if (requestMicBtn) {
-                    requestMicBtn.classList.remove('d-none');
-                    requestMicBtn.innerHTML = '<i class="fas fa-exclamation-triangle mr-1"></i> Fix Permissions';
-                }
-                if (startRecordingBtn) {
-                    startRecordingBtn.disabled = true;
-                    startRecordingBtn.classList.add('opacity-50');
-                }
-                return false;
-            }
-        } catch (e) {
-            console.log('Permissions API not supported, proceeding with getUserMedia test');
+        const configError = getLlmProviderConfigError();
+        if (configError) {
+            throw new Error(`${configError} Please check LLM_PROVIDER_CONFIG in the script.js file.`);
         }
         
         
-        const stream = await navigator.mediaDevices.getUserMedia({ 
-            audio: {
-                echoCancellation: true,
-                noiseSuppression: true,
-                autoGainControl: true,
-                sampleRate: 44100
-            }
-        });
-        
-        console.log('Microphone access granted successfully');
+        const model = MODELS[modelType] || MODELS.DIAGNOSIS;
         
         
-        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        const source = audioContext.createMediaStreamSource(stream);
-        const analyser = audioContext.createAnalyser();
-        source.connect(analyser);
+        const messages = [
+            { role: 'system', content: systemPrompt },
+        ];
         
         
-        stream.getTracks().forEach(track => track.stop());
-        await audioContext.close();
+        if (modelType === 'FOLLOW_UP' && conversationHistory.length > 0) {
+            
+            if (initialDiagnosisSummary) {
+                messages.push({ 
+                    role: 'system', 
+                    content: `Previous diagnosis summary: ${initialDiagnosisSummary}` 
+                });
+            }
+            
+            
+            const memoryContext = formatConversationMemory(conversationMemory);
+            if (memoryContext) {
+                messages.push({ role: 'system', content: memoryContext });
+            }
+            
+            
+            messages.push(...conversationMemory.pendingTurns, ...conversationHistory);
+        }
         
         
-        if (micStatusIcon && micStatusText) {
-            micStatusIcon.className = 'fas fa-microphone text-green-500 mr-2';
-            micStatusText.textContent = 'Microphone ready';
-        }
-        if (requestMicBtn) {
-            requestMicBtn.classList.add('d-none');
-        }
-        if (startRecordingBtn) {
-            startRecordingBtn.disabled = false;
-            startRecordingBtn.classList.remove('opacity-50');
-        }
+        messages.push({ role: 'user', content: prompt });
         
-        return true;
         
-    } catch (error) {
-        console.error('Microphone access error:', error);
+        let requestedTokens = maxTokens;
         
         
-        if (micStatusIcon && micStatusText) {
-            micStatusIcon.className = 'fas fa-microphone-slash text-red-500 mr-2';
-            
-            if (error.name === 'NotAllowedError') {
-                micStatusText.textContent = 'Microphone access blocked';
-            } else if (error.name === 'NotFoundError') {
-                micStatusText.textContent = 'No microphone found';
-            } else if (error.name === 'NotSupportedError') {
-                micStatusText.textContent = 'Microphone not supported';
-            } else {
-                micStatusText.textContent = 'Microphone error';
-            }
+        if (modelType === 'DIAGNOSIS') {
+            const { tokens: promptTokens } = await tokenBudgeter.countTokens(prompt, model);
+            requestedTokens = Math.min(3000, Math.max(maxTokens, promptTokens));
         }
         
-        if (requestMicBtn) {
-            requestMicBtn.classList.remove('d-none');
-            if (error.name === 'NotAllowedError') {
-                requestMicBtn.innerHTML = '<i class="fas fa-microphone mr-1"></i> Enable Microphone';
-            } else {
-                requestMicBtn.innerHTML = '<i class="fas fa-refresh mr-1"></i> Try Again';
-            }
+        else if (modelType === 'SUMMARY') {
+            requestedTokens = Math.min(maxTokens, 400);
         }
         
-        if (startRecordingBtn) {
-            startRecordingBtn.disabled = true;
-            startRecordingBtn.classList.add('opacity-50');
+        else if (modelType === 'FOLLOW_UP') {
+            requestedTokens = Math.min(maxTokens, 600);
         }
         
-        if (recordingStatus) {
-            let errorMessage = '';
-            
-            if (error.name === 'NotAllowedError') {
-                errorMessage = 'Please click the microphone icon in your browser\'s address bar and allow access.';
-            } else if (error.name === 'NotFoundError') {
-                errorMessage = 'Please connect a microphone and refresh the page.';
-            } else if (error.name === 'NotSupportedError') {
-                errorMessage = 'Please use Chrome, Firefox, or Safari for recording.';
-            } else {
-                errorMessage = `Error: ${error.message}`;
-            }
-            
-            recordingStatus.innerHTML = `<i class="fas fa-info-circle mr-2"></i> ${errorMessage}`;
-            recordingStatus.className = 'text-amber-600 text-sm mt-2';
-        }
         
-        return false;
-    }
-}
-
-
-document.addEventListener('DOMContentLoaded', function() {
-    
-    validateApiConfiguration();
-    
-    
-    const urlParams = new URLSearchParams(window.location.search);
-    const tabParam = urlParams.get('tab');
-    
-    if (tabParam) {
+        const budget = await tokenBudgeter.planCompletion(messages, model, requestedTokens);
+        const dynamicTokens = budget.maxTokens;
+        console.log(`${modelType} prompt uses ${budget.promptTokens}${budget.exact ? '' : ' (estimated)'} tokens of ${budget.contextWindow}`);
         
-        const tabToActivate = document.querySelector(`#${tabParam}-tab`);
-        if (tabToActivate) {
-            const tab = new bootstrap.Tab(tabToActivate);
-            tab.show();
-        }
-    } else {
         
-        const activeTab = localStorage.getItem('activeTab');
-        if (activeTab) {
-            
-            const tabToActivate = document.querySelector(`#${activeTab}-tab`);
-            if (tabToActivate) {
-                const tab = new bootstrap.Tab(tabToActivate);
-                tab.show();
-            }
-            
-            localStorage.removeItem('activeTab');
+        if (targetElement && getModelCapabilities(model).supportsStreaming && !responseFormat) {
+            console.log(`Using streaming for ${modelType} model with ${dynamicTokens} tokens`);
+            return streamResponse(model, messages, dynamicTokens, targetElement, modelType, signal);
         }
-    }
-    
-    
-    animateElementsOnLoad();
-    
-    
-    const viewSummaryBtn = document.getElementById('viewSummaryBtn');
-    if (viewSummaryBtn) {
-        viewSummaryBtn.addEventListener('click', function() {
-            const summaryContainer = document.getElementById('diagnosisSummaryContainer');
-            const summaryContent = document.getElementById('diagnosisSummaryContent');
-            
-            if (summaryContainer && summaryContent) {
-                
-                if (summaryContainer.classList.contains('d-none')) {
-                    
-                    summaryContainer.classList.remove('d-none');
-                    
-                    
-                    if (initialDiagnosisSummary) {
-                        summaryContent.innerHTML = convertMarkdownToHTML(initialDiagnosisSummary, true);
-                    } else {
-                        summaryContent.textContent = 'No diagnosis summary available yet.';
-                    }
-                    
-                    
-                    this.innerHTML = '<i class="fas fa-eye-slash"></i> Hide Summary';
-                } else {
-                    
-                    summaryContainer.classList.add('d-none');
-                    
-                    
-                    this.innerHTML = '<i class="fas fa-eye"></i> View Summary';
-                }
-            }
-        });
-    }
-    
-    
-    setupRecordingIndicator();
-});
-
-
-function validateApiConfiguration() {
-    if (!API_KEY || API_KEY === 'your-api-key-here' || API_KEY.length < 40) {
-        console.error('Invalid API key configuration');
         
+        console.log(`Using regular API call for ${modelType} model with ${dynamicTokens} tokens`);
         
-        const warningDiv = document.createElement('div');
-        warningDiv.className = 'alert alert-warning fixed-top m-3';
-        warningDiv.style.zIndex = '9999';
-        warningDiv.innerHTML = `
-            <i class="fas fa-exclamation-triangle mr-2"></i>
-            <strong>Configuration Warning:</strong> API key appears to be invalid or missing. 
-            Please check your configuration in script.js file.
-        `;
         
-        document.body.appendChild(warningDiv);
+        const outgoing = await prepareOutgoingMessages(model, messages);
         
         
-        setTimeout(() => {
-            if (warningDiv.parentNode) {
-                warningDiv.parentNode.removeChild(warningDiv);
-            }
-        }, 10000);
-    } else {
-        console.log('API configuration appears valid');
-    }
-}
-
-
-function wait(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-
-function validateApiConfiguration() {
-    if (!API_KEY || API_KEY === 'your-api-key-here' || API_KEY.length < 40) {
-        console.error('Invalid API key configuration');
+        const temperature = MODEL_TEMPERATURES[modelType] ?? MODEL_TEMPERATURES.DIAGNOSIS;
+        
+        
+        const descriptor = createRequestDescriptor(getRequestFeature(modelType), model, 'chat');
         
         
-        const warningDiv = document.createElement('div');
-        warningDiv.className = 'alert alert-warning fixed-top m-3';
-        warningDiv.style.zIndex = '9999';
-        warningDiv.innerHTML = `
-            <i class="fas fa-exclamation-triangle mr-2"></i>
-            <strong>Configuration Warning:</strong> API key appears to be invalid or missing. 
-            Please check your configuration in script.js file.
-        `;
+        const primaryApiCall = async (request) => {
+            return requestChatCompletion({
+                model: request.model,
+                messages: outgoing.messages,
+                temperature: temperature,
+                maxTokens: dynamicTokens,
+                responseFormat: responseFormat,
+                signal: signal,
+                descriptor: request
+            });
+        };
         
-        document.body.appendChild(warningDiv);
         
+        const createFallbackCall = (fallbackModel, fallbackLevel) => {
+            return async (request) => {
+                console.log(`Attempting fallback with ${fallbackModel} model (level ${fallbackLevel})`);
+                
+                const fallbackBudget = await tokenBudgeter.planCompletion(outgoing.messages, request.model, dynamicTokens);
+                
+                return requestChatCompletion({
+                    model: request.model,
+                    messages: outgoing.messages,
+                    temperature: temperature,
+                    maxTokens: fallbackBudget.maxTokens,
+                    responseFormat: responseFormat,
+                    signal: signal,
+                    descriptor: request
+                });
+            };
+        };
         
-        setTimeout(() => {
-            if (warningDiv.parentNode) {
-                warningDiv.parentNode.removeChild(warningDiv);
-            }
-        }, 10000);
-    } else {
-        console.log('API configuration appears valid');
-    }
-}
-
-
-function setupRecordingIndicator() {
-    const startRecordingBtn = document.getElementById('startRecording');
-    const stopRecordingBtn = document.getElementById('stopRecording');
-    const recordingStatus = document.getElementById('recordingStatus');
-    
-    if (startRecordingBtn && stopRecordingBtn && recordingStatus) {
-        startRecordingBtn.addEventListener('click', function() {
-            
-            recordingStatus.innerHTML = '<span class="recording-indicator"></span> Recording in progress...';
-            recordingStatus.classList.remove('text-gray-500');
-            recordingStatus.classList.add('text-red-500', 'font-medium');
-        });
         
-        stopRecordingBtn.addEventListener('click', function() {
-            
-            recordingStatus.innerHTML = 'Recording stopped';
-            recordingStatus.classList.remove('text-red-500', 'font-medium');
-            recordingStatus.classList.add('text-gray-500');
-            
-            
-            setTimeout(() => {
-                recordingStatus.innerHTML = 'Processing audio...';
-            }, 2000);
-        });
+        const result = await makeApiRequestWithMultiFallback(primaryApiCall, createFallbackCall, descriptor, targetElement, signal);
+        return outgoing.reidentify(result);
+    } catch (error) {
+        if (!isAbortError(error)) {
+            console.error('Error calling GPT-4:', error);
+        }
+        throw error;
     }
 }
 
 
-function animateElementsOnLoad() {
-    
-    document.querySelectorAll('.card').forEach((card, index) => {
-        setTimeout(() => {
-            card.classList.add('fade-in');
-            card.style.opacity = '1';
-        }, 100 * index);
-    });
-}
-
-function animateElement(element, animationClass, duration = 500) {
-    if (!element) return;
-    
-    element.classList.add(animationClass);
-    setTimeout(() => {
-        element.classList.remove(animationClass);
-    }, duration);
-}
-
-function showElement(element, animationClass = 'fade-in') {
-    if (!element) return;
-    
-    element.classList.remove('d-none');
-    element.classList.add(animationClass);
-}
-
-function hideElement(element, callback = null) {
-    if (!element) return;
-    
-    
-    element.classList.add('d-none');
+function showTruncationNotice(targetElement, truncated) {
+    if (!targetElement || !targetElement.parentNode) return;
     
+    const existingNotice = targetElement.nextElementSibling;
+    if (existingNotice && existingNotice.classList.contains('stream-truncated-notice')) {
+        existingNotice.remove();
+    }
     
-    if (callback && typeof callback === 'function') {
-        callback();
+    if (truncated) {
+        const notice = document.createElement('div');
+        notice.className = 'stream-truncated-notice';
+        notice.innerHTML = '<i class="fas fa-cut mr-1"></i> The response was cut off because it reached the length limit.';
+        targetElement.insertAdjacentElement('afterend', notice);
     }
 }
 
 
-const MODELS = {
-    DIAGNOSIS: 'gpt-5',                     
-    FOLLOW_UP: 'gpt-5-mini',                
-    SUMMARY: 'gpt-5-mini',                  
-    REPORT: 'gpt-4o-mini',                  
-    TRANSCRIPTION: 'gpt-4o-transcribe',     
-    AUDIO_TRANSCRIPTION: 'whisper-1'        
-};
-
-let conversationHistory = [];
-let aiQuestions = [];
-let initialDiagnosisSummary = null;
-const MAX_HISTORY_TURNS = 5; 
-
-
-let isRecording = false;
-let recordingStream = null;
-let recordingMediaRecorder = null;
-let recordingChunks = [];
+const STREAM_CONTINUATION_PROMPT = 'Your previous reply was interrupted. Continue it from exactly where it stopped, mid-sentence if necessary. Do not repeat any earlier text and do not add a preamble.';
 
 
-async function testMicrophone() {
-    console.log('Testing microphone...');
+async function streamResponse(model, messages, maxTokens, targetElement, modelType, signal = null) {
+    const segments = [];
+    let currentPart = { model: model, content: '' };
+    let outgoing = null;
     
-    try {
-        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-        console.log('Microphone test successful');
-        stream.getTracks().forEach(track => track.stop());
-        return true;
-    } catch (error) {
-        console.error('Microphone test failed:', error);
-        return false;
-    }
-}
-
-
-async function startSimpleRecording() {
-    console.log('Starting recording...');
+    let partRenderer = null;
     
-    if (isRecording) return;
+    const stitchSegments = (parts) => parts.map(part => part.content).join('');
     
-    const startBtn = document.getElementById('startRecording');
-    const stopBtn = document.getElementById('stopRecording');
-    const status = document.getElementById('recordingStatus');
+    const showStreamedContent = () => {
+        targetElement.style.display = 'block';
+        targetElement.style.opacity = '1';
+        targetElement.style.visibility = 'visible';
+        
+        
+        targetElement.scrollTop = targetElement.scrollHeight;
+    };
+    
+    const renderCurrentPart = () => {
+        if (!targetElement || !currentPart.content) return;
+        
+        if (!partRenderer) {
+            const previousPart = segments.filter(part => part.content).pop();
+            if (previousPart) {
+                const marker = document.createElement('div');
+                marker.className = 'stream-continuation-marker';
+                marker.setAttribute('contenteditable', 'false');
+                marker.innerHTML = '<i class="fas fa-random mr-1"></i> ';
+                marker.appendChild(document.createTextNode(`${previousPart.model} was interrupted here. Continued by ${currentPart.model}.`));
+                targetElement.appendChild(marker);
+            }
+            partRenderer = createStreamingMarkdownRenderer(targetElement, showStreamedContent);
+        }
+        partRenderer.update(outgoing.reidentify(currentPart.content));
+    };
     
     try {
+        console.log(`Starting streaming for ${modelType} model to element:`, targetElement?.id);
         
-        if (startBtn) startBtn.classList.add('d-none');
-        if (stopBtn) stopBtn.classList.remove('d-none');
-        if (status) {
-            status.innerHTML = 'Getting microphone...';
-            status.className = 'text-blue-600 text-sm mt-2';
+        
+        outgoing = await prepareOutgoingMessages(model, messages);
+        
+        
+        const temperature = MODEL_TEMPERATURES[modelType] ?? MODEL_TEMPERATURES.DIAGNOSIS;
+        
+        
+        if (targetElement) {
+            
+            targetElement.innerHTML = '';
+            showTruncationNotice(targetElement, false);
+            
+            
+            targetElement.classList.remove('d-none');
+            targetElement.style.display = 'block';
+            targetElement.style.opacity = '1';
+            targetElement.style.visibility = 'visible';
+            
+            
+            const originalTransition = targetElement.style.transition;
+            targetElement.style.transition = 'none';
+            
+            
+            void targetElement.offsetWidth;
         }
         
         
-        recordingStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        let streamFinishReason = null;
         
+        const startPart = (request) => {
+            currentPart = { model: request.model, content: '' };
+            partRenderer = null;
+        };
         
-        recordingMediaRecorder = new MediaRecorder(recordingStream);
-        recordingChunks = [];
+        const renderStreamedContent = (content) => {
+            currentPart.content = content;
+            renderCurrentPart();
+        };
         
-        recordingMediaRecorder.ondataavailable = (event) => {
-            if (event.data.size > 0) {
-                recordingChunks.push(event.data);
+        
+        const keepPartialOutput = (error) => {
+            if (isAbortError(error) || !currentPart.content) return;
+            
+            if (partRenderer) partRenderer.finish();
+            segments.push(currentPart);
+            console.log(`Kept ${currentPart.content.length} characters from interrupted ${currentPart.model} output`);
+            currentPart = { model: currentPart.model, content: '' };
+        };
+        
+        
+        const buildAttemptRequest = async (request, requestedTokens) => {
+            const previousContent = stitchSegments(segments);
+            if (!previousContent) {
+                const { maxTokens: attemptTokens } = await tokenBudgeter.planCompletion(outgoing.messages, request.model, requestedTokens);
+                return { messages: outgoing.messages, maxTokens: attemptTokens };
             }
+            
+            const continuationMessages = [
+                ...outgoing.messages,
+                { role: 'assistant', content: previousContent },
+                { role: 'user', content: STREAM_CONTINUATION_PROMPT }
+            ];
+            const { tokens: producedTokens } = await tokenBudgeter.countTokens(previousContent, request.model);
+            const { maxTokens: attemptTokens } = await tokenBudgeter.planCompletion(
+                continuationMessages,
+                request.model,
+                Math.max(requestedTokens - producedTokens, 256)
+            );
+            
+            console.log(`${describeRequest(request)}: continuing from ${previousContent.length} characters of earlier output`);
+            return { messages: continuationMessages, maxTokens: attemptTokens };
         };
         
-        recordingMediaRecorder.onstop = async () => {
-            console.log('Recording stopped');
+        
+        const finishAttempt = (request, content) => {
+            currentPart.content = content;
+            renderCurrentPart();
+            if (partRenderer) partRenderer.finish();
+            
+            segments.push(currentPart);
+            return outgoing.reidentify(stitchSegments(segments));
+        };
+        
+        
+        const recordStreamUsage = async (request, attemptMessages, usage, content) => {
+            request.usage = usage
+                ? { model: request.model, ...usage }
+                : await estimateUsage(request.model, attemptMessages, content);
+        };
+        
+        
+        const streamAttempt = async (request, attemptRequest) => {
+            startPart(request);
             
             try {
-                const audioBlob = new Blob(recordingChunks, { type: 'audio/webm' });
-                console.log('Audio blob size:', audioBlob.size);
-                
-                if (audioBlob.size < 1000) {
-                    throw new Error('Recording too short');
-                }
+                const response = await sendChatRequest({
+                    model: request.model,
+                    messages: attemptRequest.messages,
+                    temperature: temperature,
+                    maxTokens: attemptRequest.maxTokens,
+                    stream: true,
+                    signal: signal,
+                    descriptor: request
+                });
                 
-                await transcribeSimple(audioBlob);
+                console.log(`Stream connection established for ${describeRequest(request)}`);
                 
-            } catch (error) {
-                console.error('Processing error:', error);
-                if (status) {
-                    status.innerHTML = `Error: ${error.message}`;
-                    status.className = 'text-red-600 text-sm mt-2';
-                }
-            } finally {
                 
-                if (startBtn) startBtn.classList.remove('d-none');
-                if (stopBtn) stopBtn.classList.add('d-none');
-                isRecording = false;
+                const { content, finishReason, usage, eventCount } = await readChatStream(response, renderStreamedContent);
+                console.log(`Stream completed for ${modelType} after ${eventCount} events`);
                 
-                if (recordingStream) {
-                    recordingStream.getTracks().forEach(track => track.stop());
-                }
+                streamFinishReason = finishReason;
+                await recordStreamUsage(request, attemptRequest.messages, usage, content);
+                return finishAttempt(request, content);
+            } catch (error) {
+                keepPartialOutput(error);
+                throw error;
             }
         };
         
         
-        recordingMediaRecorder.start(1000);
-        isRecording = true;
+        const completeAttempt = async (request, attemptRequest) => {
+            startPart(request);
+            streamFinishReason = null;
+            
+            const content = await requestChatCompletion({
+                model: request.model,
+                messages: attemptRequest.messages,
+                temperature: temperature,
+                maxTokens: attemptRequest.maxTokens,
+                signal: signal,
+                descriptor: request
+            });
+            
+            return finishAttempt(request, content);
+        };
         
-        if (status) {
-            status.innerHTML = 'Recording... Speak now!';
-            status.className = 'text-red-600 text-sm mt-2';
-        }
         
-    } catch (error) {
-        console.error('Recording error:', error);
+        const descriptor = createRequestDescriptor(getRequestFeature(modelType), model, 'chat-stream');
         
-        if (status) {
-            let message = 'Failed: ';
-            if (error.name === 'NotAllowedError') {
-                message = 'Microphone blocked. Allow access and try again.';
-            } else {
-                message += error.message;
+        
+        const streamingApiCall = async (request) => {
+            const attemptRequest = await buildAttemptRequest(request, maxTokens);
+            
+            if (!getModelCapabilities(request.model).supportsStreaming) {
+                return completeAttempt(request, attemptRequest);
             }
-            status.innerHTML = message;
-            status.className = 'text-red-600 text-sm mt-2';
-        }
+            return streamAttempt(request, attemptRequest);
+        };
         
-        if (startBtn) startBtn.classList.remove('d-none');
-        if (stopBtn) stopBtn.classList.add('d-none');
-    }
-}
-
-
-function stopSimpleRecording() {
-    if (isRecording && recordingMediaRecorder) {
-        recordingMediaRecorder.stop();
-    }
-}
-
-
-async function transcribeSimple(audioBlob) {
-    const status = document.getElementById('recordingStatus');
-    
-    try {
-        if (status) {
-            status.innerHTML = 'Transcribing...';
-            status.className = 'text-blue-600 text-sm mt-2';
-        }
         
-        const formData = new FormData();
-        formData.append('file', audioBlob, 'recording.webm');
-        formData.append('model', 'whisper-1');
-        formData.append('language', 'en');
+        const createFallbackCall = (fallbackModel, fallbackLevel) => {
+            return async (request) => {
+                console.log(`Streaming failed. Falling back to ${fallbackModel} model (level ${fallbackLevel})`);
+                
+                
+                if (fallbackLevel === 0 && getModelCapabilities(fallbackModel).supportsStreaming) { 
+                    try {
+                        return await streamAttempt(request, await buildAttemptRequest(request, maxTokens));
+                    } catch (streamError) {
+                        if (isAbortError(streamError)) {
+                            throw streamError;
+                        }
+                        
+                        console.error(`Fallback streaming with ${fallbackModel} failed:`, streamError);
+                        
+                    }
+                }
+                
+                
+                console.log(`Using non-streaming fallback with ${fallbackModel}`);
+                
+                return completeAttempt(request, await buildAttemptRequest(request, maxTokens));
+            };
+        };
+        
         
-        const response = await fetch(TRANSCRIPTION_API_URL, {
-            method: 'POST',
-            headers: { 'Authorization': `Bearer ${API_KEY}` },
-            body: formData
-        });
+        const result = await makeApiRequestWithMultiFallback(streamingApiCall, createFallbackCall, descriptor, targetElement, signal);
         
-        if (!response.ok) {
-            throw new Error(`API error: ${response.status}`);
-        }
+        console.log(`Streaming complete for ${modelType}, final content length: ${result.length}${segments.length > 1 ? ` from ${segments.length} parts (${segments.map(part => part.model).join(' → ')})` : ''}`);
         
-        const result = await response.json();
         
-        if (!result.text) {
-            throw new Error('No text received');
+        if (streamFinishReason === 'length') {
+            console.warn(`${modelType} response was cut off at the ${maxTokens}-token limit`);
         }
+        showTruncationNotice(targetElement, streamFinishReason === 'length');
         
-        const textArea = document.getElementById('transcribedText');
-        if (textArea) {
-            textArea.value = result.text;
-        }
         
-        if (status) {
-            status.innerHTML = 'Complete!';
-            status.className = 'text-green-600 text-sm mt-2';
+        if (targetElement) {
+            targetElement.style.display = 'block';
+            targetElement.style.opacity = '1';
+            targetElement.style.visibility = 'visible';
+            
+            
+            setTimeout(() => {
+                targetElement.style.transition = originalTransition || '';
+            }, 100);
         }
         
-        console.log('Transcription successful:', result.text);
         
+        return result;
     } catch (error) {
-        console.error('Transcription error:', error);
-        if (status) {
-            status.innerHTML = `Transcription failed: ${error.message}`;
-            status.className = 'text-red-600 text-sm mt-2';
+        if (error.name === 'AbortError') {
+            // A replacement stream may already own the element, so nothing more is drawn here.
+            if (partRenderer) partRenderer.cancel();
+            console.log(`Streaming cancelled for ${modelType}`);
+            throw error;
+        }
+        
+        console.error('Error streaming response:', error);
+        
+        
+        if (targetElement) {
+            const errorHtml = `<div class="alert alert-danger">Error: ${escapeHtml(error.message)}</div>`;
+            
+            
+            if (segments.length > 0) {
+                targetElement.insertAdjacentHTML('beforeend', errorHtml);
+            } else {
+                targetElement.innerHTML = errorHtml;
+            }
+            targetElement.style.display = 'block';
+            targetElement.style.opacity = '1';
+            targetElement.style.visibility = 'visible';
         }
+        
+        throw error;
     }
 }
 
 
-async function condenseDiagnosis(initialPrompt, initialResponse) {
-    try {
-        const condensationPrompt = `Condense this medical diagnosis into key points:
+function createDownloadLink(blob, filename) {
+    if (window.navigator && window.navigator.msSaveOrOpenBlob) {
+        
+        window.navigator.msSaveOrOpenBlob(blob, filename);
+    } else {
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        setTimeout(() => {
+            document.body.removeChild(a);
+            window.URL.revokeObjectURL(url);
+        }, 0);
+    }
+}
 
-Original patient information:
-${initialPrompt}
 
-Detailed diagnosis:
-${initialResponse}
+const DIAGNOSIS_RESPONSE_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['conditions', 'explanation', 'urgencyLevel', 'redFlags', 'followUpQuestions'],
+    properties: {
+        conditions: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 5,
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['name', 'likelihood', 'rationale', 'supportingFindings', 'contradictingFindings', 'tests'],
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    likelihood: { type: 'integer', minimum: 0, maximum: 100 },
+                    rationale: { type: 'string', minLength: 1 },
+                    supportingFindings: { type: 'array', items: { type: 'string', minLength: 1 } },
+                    contradictingFindings: { type: 'array', items: { type: 'string', minLength: 1 } },
+                    tests: { type: 'array', items: { type: 'string', minLength: 1 } }
+                }
+            }
+        },
+        explanation: { type: 'string' },
+        urgencyLevel: { type: 'string', enum: ['low', 'moderate', 'high'] },
+        redFlags: { type: 'array', items: { type: 'string', minLength: 1 } },
+        followUpQuestions: { type: 'array', minItems: 1, maxItems: 5, items: { type: 'string', minLength: 1 } }
+    }
+};
 
-Include:
-1. Most likely conditions (max 3)
-2. Key symptoms identified
-3. Recommended next steps
-4. Any critical warnings
 
-Format with clear headings and bullet points. Keep under 200 words.`;
+const DIAGNOSIS_RESPONSE_FORMAT = {
+    type: 'json_schema',
+    json_schema: {
+        name: 'diagnosis',
+        strict: true,
+        schema: toStrictSchema(DIAGNOSIS_RESPONSE_SCHEMA)
+    }
+};
+
 
-        
-        return await callGPT4(
-            condensationPrompt, 
-            'SUMMARY', 
-            'Condense medical information with clear headings. Use double line breaks before headings, keep bullet points together.', 
-            350
+// Strict mode rejects length, range and item-count keywords; validateAgainstSchema still enforces them.
+function toStrictSchema(schema) {
+    const { minLength, maxLength, minimum, maximum, minItems, maxItems, ...strictSchema } = schema;
+    
+    if (strictSchema.items) {
+        strictSchema.items = toStrictSchema(strictSchema.items);
+    }
+    if (strictSchema.properties) {
+        strictSchema.properties = Object.fromEntries(
+            Object.entries(strictSchema.properties).map(([key, value]) => [key, toStrictSchema(value)])
         );
-    } catch (error) {
-        console.error('Error condensing diagnosis:', error);
-        return 'Failed to condense diagnosis. Please see the detailed response.';
     }
+    
+    return strictSchema;
 }
 
 
-function updateConversationHistory(userMessage, aiResponse, isInitialDiagnosis = false) {
+function validateAgainstSchema(value, schema, path = '$') {
+    const errors = [];
+    const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
     
-    if (isInitialDiagnosis) {
-        
-        conversationHistory = [];
-        
-        
-        conversationHistory.push({ role: 'user', content: userMessage });
-        conversationHistory.push({ role: 'assistant', content: aiResponse });
-        
-        return;
+    if (schema.type === 'integer') {
+        if (!Number.isInteger(value)) {
+            return [`${path} must be an integer`];
+        }
+    } else if (schema.type && schema.type !== actualType) {
+        return [`${path} must be of type ${schema.type}`];
     }
     
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
     
-    conversationHistory.push({ role: 'user', content: userMessage });
-    conversationHistory.push({ role: 'assistant', content: aiResponse });
-    
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be <= ${schema.maximum}`);
+        }
+    }
     
-    const maxMessages = MAX_HISTORY_TURNS * 2; 
-    if (conversationHistory.length > maxMessages) {
-        conversationHistory = conversationHistory.slice(conversationHistory.length - maxMessages);
+    if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push(`${path} must not be empty`);
     }
-}
-
-
-function setupAudioVisualization(stream) {
     
-    if (!AudioContextClass) {
-        console.warn('AudioContext not supported in this browser');
-        return;
+    if (actualType === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} must have at most ${schema.maxItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+            });
+        }
     }
     
-    try {
+    if (actualType === 'object') {
+        const properties = schema.properties || {};
         
-        if (audioContext && audioContext.state !== 'closed') {
-            audioContext.close().catch(console.warn);
+        for (const key of schema.required || []) {
+            if (!(key in value)) {
+                errors.push(`${path}.${key} is required`);
+            }
         }
         
-        
-        audioContext = new AudioContextClass();
-        analyser = audioContext.createAnalyser();
-        
-        
-        const source = audioContext.createMediaStreamSource(stream);
-        source.connect(analyser);
-        
-        
-        analyser.fftSize = 256;
-        analyser.smoothingTimeConstant = 0.8;
-        
-        console.log('Audio visualization setup complete - AudioContext state:', audioContext.state);
-        
-        
-        if (audioContext.state === 'suspended') {
-            audioContext.resume().then(() => {
-                console.log('AudioContext resumed');
-            }).catch(error => {
-                console.error('Failed to resume AudioContext:', error);
-            });
+        for (const key of Object.keys(value)) {
+            if (properties[key]) {
+                errors.push(...validateAgainstSchema(value[key], properties[key], `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            }
         }
-        
+    }
+    
+    return errors;
+}
+
+
+function parseStructuredDiagnosis(response) {
+    return parseStructuredResponse(response, DIAGNOSIS_RESPONSE_SCHEMA);
+}
+
+
+function parseStructuredResponse(response, schema) {
+    if (!response || response.trim() === '') {
+        return { valid: false, data: null, errors: ['Response is empty'] };
+    }
+    
+    
+    const jsonText = response.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    
+    let data;
+    try {
+        data = JSON.parse(jsonText);
     } catch (error) {
-        console.error('Error setting up audio visualization:', error);
-        
-        audioContext = null;
-        analyser = null;
+        return { valid: false, data: null, errors: [`Response is not valid JSON: ${error.message}`] };
     }
+    
+    const errors = validateAgainstSchema(data, schema);
+    return { valid: errors.length === 0, data: errors.length === 0 ? data : null, errors };
+}
+
+
+function formatStructuredDiagnosis(data, includeConditions = true) {
+    const urgencyLabel = data.urgencyLevel.charAt(0).toUpperCase() + data.urgencyLevel.slice(1);
+    const conditions = data.conditions
+        .map((condition, index) => `${index + 1}. **${condition.name}** (${condition.likelihood}% likelihood) - ${condition.rationale}`)
+        .join('\n');
+    const tests = [...new Set(data.conditions.flatMap(condition => condition.tests))]
+        .map(test => `- ${test}`)
+        .join('\n');
+    const redFlags = data.redFlags.map(flag => `- ${flag}`).join('\n');
+    const questions = data.followUpQuestions.map((question, index) => `${index + 1}. ${question}`).join('\n');
+    
+    return [
+        includeConditions ? `**Likely Conditions:**\n${conditions}` : '',
+        data.explanation ? `**Brief Explanation:** ${data.explanation}` : '',
+        tests ? `**Recommended Tests:**\n${tests}` : '',
+        `**Urgency Level:** ${urgencyLabel}`,
+        redFlags ? `**Warning Signs:**\n${redFlags}` : '',
+        `**Follow-up Questions:**\n${questions}`
+    ].filter(Boolean).join('\n\n');
 }
 
 
-async function callGPT4(prompt, modelType = 'DIAGNOSIS', systemPrompt = 'You are a medical AI assistant.', maxTokens = 1000, targetElement = null) {
+function parseAIResponse(response) {
+    
+    const result = {
+        diagnosis: '',
+        followUpQuestions: [],
+        urgencyLevel: '' 
+    };
+    
     try {
         
-        if (!API_KEY || API_KEY === 'your-api-key-here') {
-            throw new Error('API key is missing. Please set your API key in the script.js file.');
-        }
-        
-        
-        const model = MODELS[modelType] || MODELS.DIAGNOSIS;
-        
-        
-        let dynamicTokens = maxTokens;
-        
-        
-        if (modelType === 'DIAGNOSIS') {
-            const inputLength = prompt.length;
-            const complexityFactor = prompt.includes('preexisting') || prompt.includes('additional') ? 1.2 : 1;
-            dynamicTokens = Math.min(3000, Math.max(maxTokens, Math.floor(inputLength / 3 * complexityFactor)));
+        if (!response || response.trim() === '') {
+            return result;
         }
         
-        else if (modelType === 'SUMMARY') {
-            dynamicTokens = Math.min(maxTokens, 400);
-        }
         
-        else if (modelType === 'FOLLOW_UP') {
-            dynamicTokens = Math.min(maxTokens, 600);
+        const urgencyMatch = response.match(/\*\*Urgency Level:\*\*\s*\[?(Low|Moderate|High)\]?/i);
+        if (urgencyMatch && urgencyMatch[1]) {
+            result.urgencyLevel = urgencyMatch[1].toLowerCase();
         }
         
         
-        const messages = [
-            { role: 'system', content: systemPrompt },
-        ];
-        
+        const followUpQuestionsMatch = response.match(/(?:# Follow-up Questions|# Additional Questions|Follow-up Questions:|Additional Questions:|(?:\*\*Follow-up Questions\*\*)|(?:\*\*Follow-up Questions:\*\*))([\s\S]*?)(?=(?:# |$))/i);
         
-        if (modelType === 'FOLLOW_UP' && conversationHistory.length > 0) {
+        if (followUpQuestionsMatch && followUpQuestionsMatch[1]) {
             
-            if (initialDiagnosisSummary) {
-                messages.push({ 
-                    role: 'system', 
-                    content: `Previous diagnosis summary: ${initialDiagnosisSummary}` 
+            const questionsText = followUpQuestionsMatch[1].trim();
+            const questionMatches = questionsText.match(/(?:^|\n)(?:\d+\.|\*|\-)\s*(.+?)(?=(?:\n(?:\d+\.|\*|\-)|$))/g);
+            
+            if (questionMatches) {
+                result.followUpQuestions = questionMatches.map(q => {
+                    
+                    return q.replace(/(?:^|\n)(?:\d+\.|\*|\-)\s*/, '').trim();
                 });
+            } else {
+                
+                result.followUpQuestions = questionsText.split(/\n+/).filter(q => q.trim().length > 0);
             }
             
             
-            messages.push(...conversationHistory);
-        }
-        
-        
-        messages.push({ role: 'user', content: prompt });
-        
-        
-        if (targetElement && model !== MODELS.TRANSCRIPTION) {
-            console.log(`Using streaming for ${modelType} model with ${dynamicTokens} tokens`);
-            return streamResponse(model, messages, dynamicTokens, targetElement, modelType);
+            response = response.replace(followUpQuestionsMatch[0], '');
         }
         
-        console.log(`Using regular API call for ${modelType} model with ${dynamicTokens} tokens`);
-        
         
-        let temperature = 0.7;
-        if (modelType === 'SUMMARY') {
-            temperature = 0.5; 
-        } else if (modelType === 'FOLLOW_UP') {
-            temperature = 0.6; 
-        }
+        result.diagnosis = response.trim();
         
+        return result;
+    } catch (error) {
+        console.error('Error parsing AI response:', error);
+        return {
+            diagnosis: response, 
+            followUpQuestions: [],
+            urgencyLevel: ''
+        };
+    }
+}
+
+
+function displayAIQuestions(questions) {
+    if (!questions || questions.length === 0) {
+        return;
+    }
+    
+    
+    const aiQuestionsContainer = document.getElementById('aiQuestions');
+    aiQuestionsContainer.innerHTML = '';
+    
+    questions.forEach((question, index) => {
+        const questionBtn = document.createElement('button');
+        questionBtn.className = 'btn btn-sm btn-outline-secondary mb-2 me-2 rounded-pill opacity-0';
+        questionBtn.textContent = question;
+        questionBtn.style.transition = 'all 0.3s ease';
         
-        const primaryApiCall = async () => {
-        const response = await fetch(API_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${API_KEY}`
-            },
-            body: JSON.stringify({
-                model: model,
-                messages: messages,
-                temperature: temperature,
-                max_tokens: dynamicTokens
-            })
+        questionBtn.addEventListener('click', function() {
+            animateElement(questionBtn, 'pulse-animation');
+            questionBtn.classList.add('used');
+            sendChatMessage(question);
         });
         
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(`API request failed: ${response.status} ${response.statusText} - ${errorData.error?.message || 'Unknown error'}`);
-        }
+        aiQuestionsContainer.appendChild(questionBtn);
         
-        const data = await response.json();
-        return data.choices[0].message.content;
-        };
         
+        setTimeout(() => {
+            questionBtn.classList.add('fade-in');
+            questionBtn.style.opacity = '1';
+        }, 100 * index);
+    });
+    
+    
+    const followUpQuestionsDialog = document.getElementById('followUpQuestionsDialog');
+    const followUpQuestionsContainer = document.getElementById('followUpQuestionsContainer');
+    
+    
+    followUpQuestionsContainer.innerHTML = '';
+    
+    
+    questions.forEach((question, index) => {
+        const questionId = `question-${index}`;
+        const questionDiv = document.createElement('div');
+        questionDiv.className = 'follow-up-question';
         
-        const createFallbackCall = (fallbackModel, fallbackLevel) => {
-            return async () => {
-                console.log(`Attempting fallback with ${fallbackModel} model (level ${fallbackLevel})`);
-                
-                
-                let fallbackTokens = dynamicTokens;
-                if (fallbackModel === 'gpt-3.5-turbo') {
-                    fallbackTokens = Math.min(dynamicTokens, 2000); 
-                }
-                
-                const response = await fetch(API_URL, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${API_KEY}`
-                    },
-                    body: JSON.stringify({
-                        model: fallbackModel,
-                        messages: messages,
-                        temperature: temperature,
-                        max_tokens: fallbackTokens
-                    })
-                });
-                
-                if (!response.ok) {
-                    const errorData = await response.json().catch(() => ({}));
-                    throw new Error(`Fallback API request failed: ${response.status} ${response.statusText} - ${errorData.error?.message || 'Unknown error'}`);
-                }
-                
-                const data = await response.json();
-                return data.choices[0].message.content;
-            };
-        };
+        const questionLabel = document.createElement('label');
+        questionLabel.htmlFor = questionId;
+        questionLabel.textContent = question;
         
+        const answerInput = document.createElement('textarea');
+        answerInput.className = 'form-control';
+        answerInput.id = questionId;
+        answerInput.name = questionId;
+        answerInput.placeholder = 'Your answer...';
+        answerInput.rows = 2;
         
-        return await makeApiRequestWithMultiFallback(primaryApiCall, createFallbackCall, targetElement);
-    } catch (error) {
-        console.error('Error calling GPT-4:', error);
-        throw error;
+        questionDiv.appendChild(questionLabel);
+        questionDiv.appendChild(answerInput);
+        followUpQuestionsContainer.appendChild(questionDiv);
+    });
+    
+    
+    followUpQuestionsDialog.classList.remove('d-none');
+    
+    
+    const followUpQuestionsForm = document.getElementById('followUpQuestionsForm');
+    
+    
+    const newForm = followUpQuestionsForm.cloneNode(true);
+    followUpQuestionsForm.parentNode.replaceChild(newForm, followUpQuestionsForm);
+    
+    
+    newForm.addEventListener('submit', handleFollowUpQuestionsSubmit);
+}
+
+
+function getConfidenceLevel(likelihood) {
+    if (likelihood >= 60) return 'high';
+    if (likelihood >= 30) return 'moderate';
+    return 'low';
+}
+
+
+function createFindingList(title, items, emptyText, className) {
+    const section = document.createElement('div');
+    section.className = `condition-findings ${className}`;
+    
+    const heading = document.createElement('h6');
+    heading.textContent = title;
+    section.appendChild(heading);
+    
+    if (items.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'text-gray-500 text-sm';
+        empty.textContent = emptyText;
+        section.appendChild(empty);
+        return section;
     }
+    
+    const list = document.createElement('ul');
+    items.forEach(item => {
+        const listItem = document.createElement('li');
+        listItem.textContent = item;
+        list.appendChild(listItem);
+    });
+    section.appendChild(list);
+    
+    return section;
 }
 
 
-async function streamResponse(model, messages, maxTokens, targetElement, modelType) {
-    try {
-        console.log(`Starting streaming for ${modelType} model to element:`, targetElement?.id);
-        
-        
-        let streamedContent = '';
-        
+function createConditionCard(condition, index, insight) {
+    const level = getConfidenceLevel(condition.likelihood);
+    const card = document.createElement('div');
+    card.className = 'condition-card';
+    
+    
+    const header = document.createElement('button');
+    header.type = 'button';
+    header.className = 'condition-card-header';
+    header.setAttribute('aria-expanded', 'false');
+    header.innerHTML = `
+        <span class="condition-rank">${index + 1}</span>
+        <span class="condition-name"></span>
+        <span class="confidence-indicator ${level}" title="Model-estimated likelihood">
+            <span class="confidence-bar"><span class="confidence-fill" style="width: ${condition.likelihood}%"></span></span>
+            <span class="confidence-value">${condition.likelihood}%</span>
+        </span>
+        <i class="fas fa-chevron-down condition-chevron"></i>`;
+    header.querySelector('.condition-name').textContent = condition.name;
+    
+    
+    const body = document.createElement('div');
+    body.className = 'condition-card-body d-none';
+    
+    const rationale = document.createElement('p');
+    rationale.className = 'condition-rationale';
+    rationale.textContent = condition.rationale;
+    body.appendChild(rationale);
+    
+    body.appendChild(createFindingList('Supporting findings', condition.supportingFindings, 'None reported in the intake.', 'supporting'));
+    body.appendChild(createFindingList('Contradicting findings', condition.contradictingFindings, 'None reported in the intake.', 'contradicting'));
+    body.appendChild(createFindingList('Suggested tests', condition.tests, 'No specific tests suggested.', 'tests'));
+    
+    const insightSection = document.createElement('div');
+    insightSection.className = 'condition-insight';
+    insightSection.innerHTML = '<h6><i class="fas fa-comment-medical mr-1"></i> Focused follow-up</h6>';
+    const insightContent = document.createElement('div');
+    insightContent.className = 'condition-insight-content';
+    if (insight) {
+        insightContent.innerHTML = convertMarkdownToHTML(insight.answer);
+    }
+    insightSection.appendChild(insightContent);
+    body.appendChild(insightSection);
+    
+    
+    header.addEventListener('click', () => {
+        const expanded = body.classList.toggle('d-none') === false;
+        header.setAttribute('aria-expanded', String(expanded));
+        card.classList.toggle('expanded', expanded);
         
-        let temperature = 0.7;
-        if (modelType === 'SUMMARY') {
-            temperature = 0.5; 
-        } else if (modelType === 'FOLLOW_UP') {
-            temperature = 0.6; 
+        if (expanded && (!insightContent.hasChildNodes() || insightContent.dataset.failed) && !card.dataset.loading) {
+            askConditionFollowUp(condition, card, insightContent);
         }
+    });
+    
+    card.appendChild(header);
+    card.appendChild(body);
+    return card;
+}
+
+
+async function askConditionFollowUp(condition, card, targetElement) {
+    const caseRecord = currentCase;
+    const requestKey = `diagnosis:condition:${condition.name}`;
+    const controller = activeRequests.start(requestKey);
+    const conditionPrompt = renderPromptTemplate('conditionFollowUp', { condition: condition.name });
+    const prompt = conditionPrompt.user;
+    
+    card.dataset.loading = 'true';
+    delete targetElement.dataset.failed;
+    targetElement.innerHTML = '<div class="typing-indicator"><span></span><span></span><span></span></div>';
+    
+    try {
+        const response = await callGPT4(
+            prompt,
+            'FOLLOW_UP',
+            conditionPrompt.system,
+            600,
+            targetElement,
+            null,
+            controller.signal
+        );
         
         
-        if (targetElement) {
-            
-            targetElement.innerHTML = '';
-            
-            
-            targetElement.classList.remove('d-none');
-            targetElement.style.display = 'block';
-            targetElement.style.opacity = '1';
-            targetElement.style.visibility = 'visible';
-            
-            
-            const originalTransition = targetElement.style.transition;
-            targetElement.style.transition = 'none';
-            
-            
-            void targetElement.offsetWidth;
+        if (caseRecord && caseRecord === currentCase) {
+            currentCase.conditionInsights = currentCase.conditionInsights || {};
+            currentCase.conditionInsights[condition.name] = {
+                createdAt: new Date().toISOString(),
+                question: prompt,
+                answer: response
+            };
+            recordPromptUse(currentCase, `Condition: ${condition.name}`, conditionPrompt);
+            await saveCurrentCase();
         }
-        
-        
-        const streamingApiCall = async () => {
-        
-        const response = await fetch(API_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${API_KEY}`
-            },
-            body: JSON.stringify({
-                model: model,
-                messages: messages,
-                temperature: temperature,
-                max_tokens: maxTokens,
-                stream: true 
-            })
-        });
-        
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(`API request failed: ${response.status} ${response.statusText} - ${errorData.error?.message || 'Unknown error'}`);
+    } catch (error) {
+        targetElement.innerHTML = '';
+        targetElement.dataset.failed = 'true';
+        
+        if (isAbortError(error)) {
+            const stoppedElement = document.createElement('p');
+            stoppedElement.className = 'generation-stopped';
+            stoppedElement.textContent = 'Stopped. Collapse and expand the card to try again.';
+            targetElement.appendChild(stoppedElement);
+            return;
         }
         
-        console.log(`Stream connection established for ${modelType}`);
-        
-        
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder('utf-8');
-        
+        console.error(`Error getting follow-up for ${condition.name}:`, error);
+        const errorElement = document.createElement('div');
+        errorElement.className = 'alert alert-danger';
+        errorElement.textContent = `Error: ${error.message} Collapse and expand the card to try again.`;
+        targetElement.appendChild(errorElement);
+    } finally {
+        delete card.dataset.loading;
+        activeRequests.finish(requestKey, controller);
+    }
+}
+
+
+function renderDifferentialPanel(data, insights = {}) {
+    const panel = document.getElementById('differentialPanel');
+    if (!panel) return;
+    
+    panel.innerHTML = '';
+    
+    if (!data) {
+        panel.classList.add('d-none');
+        return;
+    }
+    
+    const heading = document.createElement('h6');
+    heading.className = 'differential-heading';
+    heading.textContent = 'Differential Diagnosis';
+    panel.appendChild(heading);
+    
+    data.conditions
+        .slice()
+        .sort((a, b) => b.likelihood - a.likelihood)
+        .forEach((condition, index) => {
+            panel.appendChild(createConditionCard(condition, index, (insights || {})[condition.name]));
+        });
+    
+    panel.classList.remove('d-none');
+}
+
+
+function getUrgencyDisplay(urgencyLevel) {
+    if (urgencyLevel === 'moderate') {
+        return { icon: 'exclamation-circle', text: 'Moderate urgency' };
+    }
+    if (urgencyLevel === 'high') {
+        return { icon: 'exclamation-triangle', text: 'HIGH URGENCY - Seek medical attention promptly' };
+    }
+    return { icon: 'info-circle', text: 'Low urgency' };
+}
+
+
+function renderDiagnosisTopControls(resultsElement, urgencyLevel) {
+    const existingControls = resultsElement.querySelector('.diagnosis-top-controls');
+    if (existingControls) {
+        existingControls.parentNode.removeChild(existingControls);
+    }
+    
+    
+    const headerViewSummaryBtn = document.getElementById('viewSummaryBtn');
+    if (headerViewSummaryBtn && headerViewSummaryBtn.parentNode) {
+        headerViewSummaryBtn.parentNode.removeChild(headerViewSummaryBtn);
+    }
+    
+    const summaryContainer = document.getElementById('diagnosisSummaryContainer');
+    if (summaryContainer) {
+        summaryContainer.classList.add('d-none');
+    }
+    
+    
+    const viewSummaryBtn = document.createElement('button');
+    viewSummaryBtn.id = 'viewSummaryBtn';
+    viewSummaryBtn.type = 'button';
+    viewSummaryBtn.innerHTML = '<i class="fas fa-eye"></i> View Diagnosis Summary';
+    
+    viewSummaryBtn.addEventListener('click', function() {
+        const summaryContainer = document.getElementById('diagnosisSummaryContainer');
+        const summaryContent = document.getElementById('diagnosisSummaryContent');
         
-        let chunkCounter = 0;
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) {
-                console.log(`Stream completed for ${modelType} after ${chunkCounter} chunks`);
-                break;
-            }
-            
-            
-            const chunk = decoder.decode(value);
-            chunkCounter++;
-            
+        if (summaryContainer && summaryContent) {
             
-            const lines = chunk.split('\n').filter(line => line.trim() !== '');
-            console.log(`Processing chunk ${chunkCounter} with ${lines.length} lines for ${modelType}`);
-            
-            for (const line of lines) {
+            if (summaryContainer.classList.contains('d-none')) {
                 
-                if (line.includes('[DONE]')) continue;
+                summaryContainer.classList.remove('d-none');
+                summaryContent.innerHTML = convertMarkdownToHTML(initialDiagnosisSummary, true);
                 
                 
-                const jsonString = line.replace(/^data: /, '').trim();
+                this.innerHTML = '<i class="fas fa-eye-slash"></i> Hide Summary';
                 
-                if (!jsonString) continue;
                 
-                try {
-                    
-                    const json = JSON.parse(jsonString);
-                    
-                    
-                    const contentDelta = json.choices[0]?.delta?.content || '';
-                    
-                    
-                    streamedContent += contentDelta;
+                setTimeout(() => {
                     
+                    window.location.hash = 'diagnosisSummaryContainer';
                     
-                    if (targetElement && contentDelta) {
-                        
-                        targetElement.innerHTML = convertMarkdownToHTML(streamedContent);
-                        
-                        
-                        targetElement.style.display = 'block';
-                        targetElement.style.opacity = '1';
-                        targetElement.style.visibility = 'visible';
-                        
-                        
-                        targetElement.scrollTop = targetElement.scrollHeight;
-                        
-                        
-                        if (chunkCounter % 10 === 0) {
-                            console.log(`Updated ${targetElement.id} with content length: ${streamedContent.length}`);
-                        }
-                    }
-                } catch (e) {
                     
-                    console.warn('Invalid JSON in stream:', jsonString, e);
-                }
+                    summaryContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                }, 100); 
+            } else {
+                
+                summaryContainer.classList.add('d-none');
+                
+                
+                this.innerHTML = '<i class="fas fa-eye"></i> View Diagnosis Summary';
             }
         }
+    });
+    
+    
+    const topControlsContainer = document.createElement('div');
+    topControlsContainer.className = 'diagnosis-top-controls';
+    topControlsContainer.style.marginBottom = '1rem';
+    topControlsContainer.appendChild(viewSummaryBtn);
+    
+    
+    if (urgencyLevel) {
+        const { icon, text } = getUrgencyDisplay(urgencyLevel);
+        const urgencyWarning = document.createElement('div');
+        urgencyWarning.className = `urgency-warning ${urgencyLevel}`;
+        urgencyWarning.innerHTML = `<i class="fas fa-${icon}"></i> ${text}`;
+        topControlsContainer.appendChild(urgencyWarning);
+    }
+    
+    
+    resultsElement.insertBefore(topControlsContainer, resultsElement.firstChild);
+}
+
+
+function updateUrgencyWarning(urgencyLevel) {
+    const existingWarning = document.querySelector('.urgency-warning');
+    if (!existingWarning) return;
+    
+    
+    existingWarning.classList.remove('low', 'moderate', 'high');
+    existingWarning.classList.add(urgencyLevel);
+    
+    const { icon, text } = getUrgencyDisplay(urgencyLevel);
+    existingWarning.innerHTML = `<i class="fas fa-${icon}"></i> ${text} (Updated)`;
+    
+    
+    existingWarning.classList.add('pulse-animation');
+    setTimeout(() => {
+        existingWarning.classList.remove('pulse-animation');
+    }, 2000);
+}
+
+
+async function handleFollowUpQuestionsSubmit(e) {
+    e.preventDefault();
+    
+    
+    const form = e.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    
+    
+    submitButton.disabled = true;
+    submitButton.innerHTML = '<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> Processing...';
+    
+    
+    const answers = [];
+    const questionElements = form.querySelectorAll('.follow-up-question');
+    
+    questionElements.forEach((questionElement, index) => {
+        const question = questionElement.querySelector('label').textContent;
+        const answer = questionElement.querySelector('textarea').value.trim();
+        
+        if (answer) {
+            answers.push({ question, answer });
+        }
+    });
+    
+    if (answers.length === 0) {
+        alert('Please answer at least one question.');
+        submitButton.disabled = false;
+        submitButton.innerHTML = '<i class="fas fa-paper-plane mr-2"></i> Submit Answers';
+        return;
+    }
+    
+    
+    const answersText = answers.map(a => `Q: ${a.question}\nA: ${a.answer}`).join('\n\n');
+    
+    
+    const assessmentPrompt = renderPromptTemplate('followUpAssessment', {
+        initialSummary: initialDiagnosisSummary || 'No initial diagnosis summary available.',
+        answers: answersText
+    });
+    const updatePrompt = assessmentPrompt.user;
+
+    const caseRecord = currentCase;
+    const controller = activeRequests.start('diagnosis:assessment');
+    
+    try {
+        
+        const updatedDiagnosis = document.getElementById('updatedDiagnosis');
+        const updatedDiagnosisContent = document.getElementById('updatedDiagnosisContent');
+        
+        
+        updatedDiagnosisContent.innerHTML = '<div class="typing-indicator"><span></span><span></span><span></span></div>';
+        
+        
+        updatedDiagnosis.classList.remove('d-none');
+        updatedDiagnosisContent.classList.remove('d-none');
+        updatedDiagnosisContent.style.display = 'block';
+        updatedDiagnosisContent.style.opacity = '1';
+        updatedDiagnosisContent.style.visibility = 'visible';
         
-            return streamedContent;
-        };
         
+        updatedDiagnosisContent.style.transition = 'none';
         
-        const createFallbackCall = (fallbackModel, fallbackLevel) => {
-            return async () => {
-                console.log(`Streaming failed. Falling back to ${fallbackModel} model (level ${fallbackLevel})`);
-                
-                
-                let fallbackTokens = maxTokens;
-                if (fallbackModel === 'gpt-3.5-turbo') {
-                    fallbackTokens = Math.min(maxTokens, 2000); 
-                }
-                
-                
-                if (fallbackLevel === 0) { 
-                    try {
-                        const response = await fetch(API_URL, {
-                            method: 'POST',
-                            headers: {
-                                'Content-Type': 'application/json',
-                                'Authorization': `Bearer ${API_KEY}`
-                            },
-                            body: JSON.stringify({
-                                model: fallbackModel,
-                                messages: messages,
-                                temperature: temperature,
-                                max_tokens: fallbackTokens,
-                                stream: true
-                            })
-                        });
-                        
-                        if (!response.ok) {
-                            throw new Error(`Fallback streaming failed: ${response.status}`);
-                        }
-                        
-                        console.log(`Fallback stream connection established with ${fallbackModel}`);
-                        
-                        
-                        const reader = response.body.getReader();
-                        const decoder = new TextDecoder('utf-8');
-                        
-                        
-                        let fallbackContent = '';
-                        let chunkCounter = 0;
-                        
-                        while (true) {
-                            const { done, value } = await reader.read();
-                            if (done) {
-                                console.log(`Fallback stream completed after ${chunkCounter} chunks`);
-                                break;
-                            }
-                            
-                            
-                            const chunk = decoder.decode(value);
-                            chunkCounter++;
-                            
-                            
-                            const lines = chunk.split('\n').filter(line => line.trim() !== '');
-                            
-                            for (const line of lines) {
-                                
-                                if (line.includes('[DONE]')) continue;
-                                
-                                
-                                const jsonString = line.replace(/^data: /, '').trim();
-                                
-                                if (!jsonString) continue;
-                                
-                                try {
-                                    
-                                    const json = JSON.parse(jsonString);
-                                    
-                                    
-                                    const contentDelta = json.choices[0]?.delta?.content || '';
-                                    
-                                    
-                                    fallbackContent += contentDelta;
-                                    
-                                    
-                                    if (targetElement && contentDelta) {
-                                        
-                                        targetElement.innerHTML = convertMarkdownToHTML(fallbackContent);
-                                        
-                                        
-                                        targetElement.style.display = 'block';
-                                        targetElement.style.opacity = '1';
-                                        targetElement.style.visibility = 'visible';
-                                        
-                                        
-                                        targetElement.scrollTop = targetElement.scrollHeight;
-                                    }
-                                } catch (e) {
-                                    
-                                    console.warn('Invalid JSON in fallback stream:', jsonString, e);
-                                }
-                            }
-                        }
-                        
-                        return fallbackContent;
-                    } catch (streamError) {
-                        console.error(`Fallback streaming with ${fallbackModel} failed:`, streamError);
-                        
-                    }
-                }
-                
-                
-                console.log(`Using non-streaming fallback with ${fallbackModel}`);
-                
-                const response = await fetch(API_URL, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${API_KEY}`
-                    },
-                    body: JSON.stringify({
-                        model: fallbackModel,
-                        messages: messages,
-                        temperature: temperature,
-                        max_tokens: fallbackTokens
-                    })
-                });
-                
-                if (!response.ok) {
-                    const errorData = await response.json().catch(() => ({}));
-                    throw new Error(`Fallback API request failed: ${response.status} ${response.statusText} - ${errorData.error?.message || 'Unknown error'}`);
-                }
-                
-                const data = await response.json();
-                const content = data.choices[0].message.content;
-                
-                
-                if (targetElement) {
-                    targetElement.innerHTML = convertMarkdownToHTML(content);
-                }
-                
-                return content;
-            };
-        };
         
+        void updatedDiagnosisContent.offsetWidth;
         
-        const result = await makeApiRequestWithMultiFallback(streamingApiCall, createFallbackCall, targetElement);
         
-        console.log(`Streaming complete for ${modelType}, final content length: ${result.length}`);
+        updatedDiagnosis.scrollIntoView({ behavior: 'smooth' });
         
         
-        if (targetElement) {
-            targetElement.style.display = 'block';
-            targetElement.style.opacity = '1';
-            targetElement.style.visibility = 'visible';
-            
-            
-            setTimeout(() => {
-                targetElement.style.transition = originalTransition || '';
-            }, 100);
+        const updatedAssessment = await callGPT4(
+            updatePrompt,
+            'DIAGNOSIS',
+            assessmentPrompt.system,
+            1000,
+            updatedDiagnosisContent,
+            null,
+            controller.signal
+        );
+        
+        
+        if (caseRecord !== currentCase) return;
+        
+        
+        const { urgencyLevel } = parseAIResponse(updatedAssessment);
+        
+        
+        if (urgencyLevel) {
+            updateUrgencyWarning(urgencyLevel);
         }
         
         
-        return result;
-    } catch (error) {
-        console.error('Error streaming response:', error);
+        if (currentCase) {
+            recordTriageDisagreement(currentCase.triage, urgencyLevel, 'updated assessment');
+        }
         
         
-        if (targetElement) {
-            targetElement.innerHTML = `<div class="alert alert-danger">Error: ${error.message}</div>`;
-            targetElement.style.display = 'block';
-            targetElement.style.opacity = '1';
-            targetElement.style.visibility = 'visible';
+        updateConversationHistory(updatePrompt, updatedAssessment);
+        
+        
+        if (currentCase) {
+            currentCase.updatedAssessments.push({
+                createdAt: new Date().toISOString(),
+                answers: answers,
+                content: updatedAssessment,
+                urgencyLevel: urgencyLevel
+            });
+            recordPromptUse(currentCase, 'Updated assessment', assessmentPrompt);
+            await saveCurrentCase();
         }
         
-        throw error;
+    } catch (error) {
+        if (isAbortError(error)) {
+            if (controller.cancelReason === 'user') {
+                const stoppedElement = document.createElement('p');
+                stoppedElement.className = 'generation-stopped';
+                stoppedElement.textContent = 'Updated assessment was stopped.';
+                document.getElementById('updatedDiagnosisContent').appendChild(stoppedElement);
+            }
+            return;
+        }
+        
+        console.error('Error getting updated diagnosis:', error);
+        alert('Error: ' + error.message);
+    } finally {
+        activeRequests.finish('diagnosis:assessment', controller);
+        
+        submitButton.disabled = false;
+        submitButton.innerHTML = '<i class="fas fa-paper-plane mr-2"></i> Submit Answers';
     }
 }
 
 
-function createDownloadLink(blob, filename) {
-    if (window.navigator && window.navigator.msSaveOrOpenBlob) {
-        
-        window.navigator.msSaveOrOpenBlob(blob, filename);
-    } else {
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        setTimeout(() => {
-            document.body.removeChild(a);
-            window.URL.revokeObjectURL(url);
-        }, 0);
+const VITAL_LIMITS = {
+    weightKg: { min: 0.5, max: 650 },
+    heightCm: { min: 30, max: 275 },
+    systolic: { min: 50, max: 300 },
+    diastolic: { min: 20, max: 200 },
+    glucoseMgDl: { min: 10, max: 2000 },
+    temperatureC: { min: 25, max: 46 }
+};
+
+
+const UNIT_CONVERSIONS = {
+    lbPerKg: 2.20462,
+    cmPerInch: 2.54,
+    mgDlPerMmolL: 18.016
+};
+
+
+function roundTo(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+
+function parseNumber(value) {
+    const text = String(value ?? '').trim().replace(',', '.');
+    if (!/^-?(?:\d+\.?\d*|\.\d+)$/.test(text)) return NaN;
+    return parseFloat(text);
+}
+
+
+function parseBloodPressure(value) {
+    const match = String(value || '').match(/(\d{2,3})\s*(?:\/|over)\s*(\d{2,3})/i);
+    if (!match) return null;
+    
+    return { systolic: parseInt(match[1], 10), diastolic: parseInt(match[2], 10) };
+}
+
+
+function convertWeightToKg(value, unit) {
+    return unit === 'lb' ? value / UNIT_CONVERSIONS.lbPerKg : value;
+}
+
+
+function parseHeightToCm(value, unit) {
+    if (unit !== 'ft-in') {
+        return parseNumber(value);
     }
+    
+    
+    const match = String(value || '').trim().match(/^(\d+(?:\.\d+)?)\s*(?:'|ft|feet)?\s*(?:(\d+(?:\.\d+)?)\s*(?:"|''|in|inches)?)?$/i);
+    if (!match) return NaN;
+    
+    const inches = parseFloat(match[1]) * 12 + (match[2] ? parseFloat(match[2]) : 0);
+    return inches * UNIT_CONVERSIONS.cmPerInch;
 }
 
 
-function parseAIResponse(response) {
+function formatHeight(heightCm, unit) {
+    if (unit !== 'ft-in') {
+        return String(roundTo(heightCm, 1));
+    }
     
-    const result = {
-        diagnosis: '',
-        followUpQuestions: [],
-        urgencyLevel: '' 
-    };
+    const totalInches = Math.round(heightCm / UNIT_CONVERSIONS.cmPerInch);
+    return `${Math.floor(totalInches / 12)}'${totalInches % 12}"`;
+}
+
+
+function convertGlucoseToMgDl(value, unit) {
+    return unit === 'mmol/L' ? value * UNIT_CONVERSIONS.mgDlPerMmolL : value;
+}
+
+
+function convertTemperatureToCelsius(value, unit) {
+    return unit === 'F' ? (value - 32) * 5 / 9 : value;
+}
+
+
+function calculateBmi(weightKg, heightCm) {
+    const heightM = heightCm / 100;
+    return roundTo(weightKg / (heightM * heightM), 1);
+}
+
+
+function getBmiCategory(bmi) {
+    if (bmi < 18.5) return 'Underweight';
+    if (bmi < 25) return 'Normal weight';
+    if (bmi < 30) return 'Overweight';
+    return 'Obese';
+}
+
+
+function checkVitalRange(value, limitName, label, unitLabel) {
+    const { min, max } = VITAL_LIMITS[limitName];
+    if (isNaN(value)) {
+        return `${label} must be a number.`;
+    }
+    if (value < min || value > max) {
+        return `${label} must be between ${min} and ${max} ${unitLabel}.`;
+    }
+    return null;
+}
+
+
+function parseVitals(fields) {
+    const vitals = {};
+    const errors = {};
     
-    try {
-        
-        if (!response || response.trim() === '') {
-            return result;
+    
+    if (fields.weight) {
+        const weightKg = convertWeightToKg(parseNumber(fields.weight), fields.weightUnit);
+        const error = checkVitalRange(weightKg, 'weightKg', 'Weight', 'kg');
+        if (error) errors.weight = error;
+        else vitals.weightKg = roundTo(weightKg, 1);
+    }
+    
+    if (fields.height) {
+        const heightCm = parseHeightToCm(fields.height, fields.heightUnit);
+        const error = isNaN(heightCm) && fields.heightUnit === 'ft-in'
+            ? 'Height must look like 5\'10".'
+            : checkVitalRange(heightCm, 'heightCm', 'Height', 'cm');
+        if (error) errors.height = error;
+        else vitals.heightCm = roundTo(heightCm, 1);
+    }
+    
+    if (vitals.weightKg && vitals.heightCm) {
+        vitals.bmi = calculateBmi(vitals.weightKg, vitals.heightCm);
+        vitals.bmiCategory = getBmiCategory(vitals.bmi);
+    }
+    
+    
+    if (fields.bp) {
+        const bp = parseBloodPressure(fields.bp);
+        if (!bp) {
+            errors.bp = 'Blood pressure must be systolic/diastolic, e.g. 120/80.';
+        } else {
+            const error = checkVitalRange(bp.systolic, 'systolic', 'Systolic pressure', 'mmHg')
+                || checkVitalRange(bp.diastolic, 'diastolic', 'Diastolic pressure', 'mmHg')
+                || (bp.diastolic >= bp.systolic ? 'Diastolic pressure must be lower than systolic.' : null);
+            if (error) errors.bp = error;
+            else Object.assign(vitals, bp);
         }
-        
-        
-        const urgencyMatch = response.match(/\*\*Urgency Level:\*\*\s*\[?(Low|Moderate|High)\]?/i);
-        if (urgencyMatch && urgencyMatch[1]) {
-            result.urgencyLevel = urgencyMatch[1].toLowerCase();
+    }
+    
+    
+    if (fields.glucose) {
+        const glucoseMgDl = convertGlucoseToMgDl(parseNumber(fields.glucose), fields.glucoseUnit);
+        const error = checkVitalRange(glucoseMgDl, 'glucoseMgDl', 'Glucose', 'mg/dL');
+        if (error) errors.glucose = error;
+        else {
+            vitals.glucoseMgDl = Math.round(glucoseMgDl);
+            vitals.glucoseMmolL = roundTo(glucoseMgDl / UNIT_CONVERSIONS.mgDlPerMmolL, 1);
         }
-        
-        
-        const followUpQuestionsMatch = response.match(/(?:# Follow-up Questions|# Additional Questions|Follow-up Questions:|Additional Questions:|(?:\*\*Follow-up Questions\*\*)|(?:\*\*Follow-up Questions:\*\*))([\s\S]*?)(?=(?:# |$))/i);
-        
-        if (followUpQuestionsMatch && followUpQuestionsMatch[1]) {
-            
-            const questionsText = followUpQuestionsMatch[1].trim();
-            const questionMatches = questionsText.match(/(?:^|\n)(?:\d+\.|\*|\-)\s*(.+?)(?=(?:\n(?:\d+\.|\*|\-)|$))/g);
-            
-            if (questionMatches) {
-                result.followUpQuestions = questionMatches.map(q => {
-                    
-                    return q.replace(/(?:^|\n)(?:\d+\.|\*|\-)\s*/, '').trim();
-                });
-            } else {
-                
-                result.followUpQuestions = questionsText.split(/\n+/).filter(q => q.trim().length > 0);
-            }
-            
+    }
+    
+    
+    if (fields.temperature) {
+        const temperatureC = convertTemperatureToCelsius(parseNumber(fields.temperature), fields.temperatureUnit);
+        const error = checkVitalRange(temperatureC, 'temperatureC', 'Temperature', '°C');
+        if (error) errors.temperature = error;
+        else vitals.temperatureC = roundTo(temperatureC, 1);
+    }
+    
+    return { vitals, errors };
+}
+
+
+function readVitalFields() {
+    const fields = {};
+    ['weight', 'weightUnit', 'height', 'heightUnit', 'bp', 'glucose', 'glucoseUnit', 'temperature', 'temperatureUnit'].forEach(id => {
+        fields[id] = document.getElementById(id).value.trim();
+    });
+    return fields;
+}
+
+
+function showVitalErrors(errors) {
+    ['weight', 'height', 'bp', 'glucose', 'temperature'].forEach(field => {
+        const input = document.getElementById(field);
+        const feedback = document.querySelector(`.vital-feedback[data-for="${field}"]`);
+        
+        input.classList.toggle('is-invalid', Boolean(errors[field]));
+        if (feedback) {
+            feedback.textContent = errors[field] || '';
+            feedback.classList.toggle('d-none', !errors[field]);
+        }
+    });
+}
+
+
+function updateBmiDisplay() {
+    const bmiDisplay = document.getElementById('bmiDisplay');
+    if (!bmiDisplay) return;
+    
+    const { vitals } = parseVitals(readVitalFields());
+    if (vitals.bmi) {
+        bmiDisplay.innerHTML = `<i class="fas fa-weight mr-1"></i> BMI: <strong>${vitals.bmi}</strong> (${vitals.bmiCategory})`;
+        bmiDisplay.classList.remove('d-none');
+    } else {
+        bmiDisplay.classList.add('d-none');
+    }
+}
+
+
+function convertVitalInput(field, fromUnit, toUnit) {
+    const input = document.getElementById(field);
+    const value = input.value.trim();
+    if (!value || fromUnit === toUnit) return;
+    
+    if (field === 'height') {
+        const heightCm = parseHeightToCm(value, fromUnit);
+        if (!isNaN(heightCm)) input.value = formatHeight(heightCm, toUnit);
+        return;
+    }
+    
+    const number = parseNumber(value);
+    if (isNaN(number)) return;
+    
+    if (field === 'weight') {
+        input.value = toUnit === 'lb' ? roundTo(number * UNIT_CONVERSIONS.lbPerKg, 1) : roundTo(number / UNIT_CONVERSIONS.lbPerKg, 1);
+    } else if (field === 'glucose') {
+        input.value = toUnit === 'mmol/L' ? roundTo(number / UNIT_CONVERSIONS.mgDlPerMmolL, 1) : Math.round(number * UNIT_CONVERSIONS.mgDlPerMmolL);
+    } else if (field === 'temperature') {
+        input.value = toUnit === 'F' ? roundTo(number * 9 / 5 + 32, 1) : roundTo((number - 32) * 5 / 9, 1);
+    }
+}
+
+
+function updateHeightPlaceholder() {
+    const heightUnit = document.getElementById('heightUnit').value;
+    document.getElementById('height').placeholder = heightUnit === 'ft-in' ? 'Height (e.g. 5\'10")' : 'Height (cm)';
+}
+
+
+function initializeVitalInputs() {
+    ['weight', 'height', 'glucose', 'temperature'].forEach(field => {
+        const unitSelect = document.getElementById(`${field}Unit`);
+        if (!unitSelect) return;
+        
+        unitSelect.dataset.previousUnit = unitSelect.value;
+        unitSelect.addEventListener('change', () => {
+            convertVitalInput(field, unitSelect.dataset.previousUnit, unitSelect.value);
+            unitSelect.dataset.previousUnit = unitSelect.value;
             
-            response = response.replace(followUpQuestionsMatch[0], '');
+            updateHeightPlaceholder();
+            updateBmiDisplay();
+        });
+    });
+    
+    ['weight', 'height', 'bp', 'glucose', 'temperature'].forEach(field => {
+        const input = document.getElementById(field);
+        input.addEventListener('input', () => {
+            input.classList.remove('is-invalid');
+            updateBmiDisplay();
+        });
+        input.addEventListener('change', () => {
+            const { errors } = parseVitals(readVitalFields());
+            showVitalErrors(errors);
+        });
+    });
+}
+
+
+const TRIAGE_THRESHOLDS = {
+    feverCelsius: 40,
+    glucoseHighMgDl: 400,
+    glucoseLowMgDl: 54,
+    crisisSystolic: 180,
+    crisisDiastolic: 120
+};
+
+
+const TRIAGE_RULES = [
+    {
+        id: 'hyperpyrexia',
+        label: 'Very high fever',
+        evaluate(intake) {
+            const temperature = intake.vitals.temperatureC;
+            if (temperature === undefined || temperature < TRIAGE_THRESHOLDS.feverCelsius) return null;
+            return `Temperature ${temperature} °C (≥ ${TRIAGE_THRESHOLDS.feverCelsius} °C)`;
+        }
+    },
+    {
+        id: 'severe-hyperglycemia',
+        label: 'Very high blood glucose',
+        evaluate(intake) {
+            const glucose = intake.vitals.glucoseMgDl;
+            if (glucose === undefined || glucose < TRIAGE_THRESHOLDS.glucoseHighMgDl) return null;
+            return `Glucose ${glucose} mg/dL (≥ ${TRIAGE_THRESHOLDS.glucoseHighMgDl} mg/dL)`;
+        }
+    },
+    {
+        id: 'severe-hypoglycemia',
+        label: 'Very low blood glucose',
+        evaluate(intake) {
+            const glucose = intake.vitals.glucoseMgDl;
+            if (glucose === undefined || glucose >= TRIAGE_THRESHOLDS.glucoseLowMgDl) return null;
+            return `Glucose ${glucose} mg/dL (< ${TRIAGE_THRESHOLDS.glucoseLowMgDl} mg/dL)`;
+        }
+    },
+    {
+        id: 'hypertensive-crisis',
+        label: 'Hypertensive crisis',
+        evaluate(intake) {
+            const bp = intake.vitals;
+            if (bp.systolic === undefined) return null;
+            if (bp.systolic < TRIAGE_THRESHOLDS.crisisSystolic && bp.diastolic < TRIAGE_THRESHOLDS.crisisDiastolic) return null;
+            return `Blood pressure ${bp.systolic}/${bp.diastolic} mmHg (systolic ≥ ${TRIAGE_THRESHOLDS.crisisSystolic} or diastolic ≥ ${TRIAGE_THRESHOLDS.crisisDiastolic})`;
+        }
+    },
+    {
+        id: 'severe-chest-pain',
+        label: 'Severe chest pain',
+        evaluate(intake) {
+            const text = `${intake.symptoms || ''} ${intake.additional || ''}`;
+            if (intake.intensity !== 'severe' || !/chest\s+(?:pain|tightness|pressure)/i.test(text)) return null;
+            return 'Chest pain reported with severe intensity';
         }
-        
-        
-        result.diagnosis = response.trim();
-        
-        return result;
-    } catch (error) {
-        console.error('Error parsing AI response:', error);
-        return {
-            diagnosis: response, 
-            followUpQuestions: [],
-            urgencyLevel: ''
-        };
     }
-}
+];
 
 
-function displayAIQuestions(questions) {
-    if (!questions || questions.length === 0) {
-        return;
-    }
-    
-    
-    const aiQuestionsContainer = document.getElementById('aiQuestions');
-    aiQuestionsContainer.innerHTML = '';
-    
-    questions.forEach((question, index) => {
-        const questionBtn = document.createElement('button');
-        questionBtn.className = 'btn btn-sm btn-outline-secondary mb-2 me-2 rounded-pill opacity-0';
-        questionBtn.textContent = question;
-        questionBtn.style.transition = 'all 0.3s ease';
-        
-        questionBtn.addEventListener('click', function() {
-            document.getElementById('followUpQuestion').value = question;
-            animateElement(questionBtn, 'pulse-animation');
-        });
-        
-        aiQuestionsContainer.appendChild(questionBtn);
-        
-        
-        setTimeout(() => {
-            questionBtn.classList.add('fade-in');
-            questionBtn.style.opacity = '1';
-        }, 100 * index);
-    });
+function runTriage(intake) {
+    const flags = [];
     
+    for (const rule of TRIAGE_RULES) {
+        const detail = rule.evaluate(intake);
+        if (detail) {
+            flags.push({ id: rule.id, label: rule.label, detail });
+        }
+    }
     
-    const followUpQuestionsDialog = document.getElementById('followUpQuestionsDialog');
-    const followUpQuestionsContainer = document.getElementById('followUpQuestionsContainer');
+    return {
+        ranAt: new Date().toISOString(),
+        level: flags.length > 0 ? 'emergency' : 'none',
+        flags: flags,
+        disagreements: []
+    };
+}
+
+
+function renderTriageBanner(triage) {
+    const banner = document.getElementById('triageBanner');
+    if (!banner) return;
     
+    banner.innerHTML = '';
     
-    followUpQuestionsContainer.innerHTML = '';
+    if (!triage || triage.level !== 'emergency') {
+        banner.classList.add('d-none');
+        return;
+    }
     
+    const title = document.createElement('div');
+    title.className = 'triage-banner-title';
+    title.innerHTML = '<i class="fas fa-ambulance"></i> EMERGENCY RED FLAGS - Consider immediate emergency care';
+    banner.appendChild(title);
     
-    questions.forEach((question, index) => {
-        const questionId = `question-${index}`;
-        const questionDiv = document.createElement('div');
-        questionDiv.className = 'follow-up-question';
-        
-        const questionLabel = document.createElement('label');
-        questionLabel.htmlFor = questionId;
-        questionLabel.textContent = question;
-        
-        const answerInput = document.createElement('textarea');
-        answerInput.className = 'form-control';
-        answerInput.id = questionId;
-        answerInput.name = questionId;
-        answerInput.placeholder = 'Your answer...';
-        answerInput.rows = 2;
-        
-        questionDiv.appendChild(questionLabel);
-        questionDiv.appendChild(answerInput);
-        followUpQuestionsContainer.appendChild(questionDiv);
+    const list = document.createElement('ul');
+    triage.flags.forEach(flag => {
+        const item = document.createElement('li');
+        item.textContent = `${flag.label}: ${flag.detail}`;
+        list.appendChild(item);
     });
+    banner.appendChild(list);
+    
+    const lastDisagreement = triage.disagreements[triage.disagreements.length - 1];
+    if (lastDisagreement) {
+        const note = document.createElement('p');
+        note.className = 'triage-disagreement';
+        note.textContent = `The AI ${lastDisagreement.source} rated urgency as "${lastDisagreement.modelUrgency}". These rule-based flags take precedence.`;
+        banner.appendChild(note);
+    }
     
+    banner.classList.remove('d-none');
+}
+
+
+function recordTriageDisagreement(triage, modelUrgency, source) {
+    if (!triage) return null;
     
-    followUpQuestionsDialog.classList.remove('d-none');
-    
-    
-    const followUpQuestionsForm = document.getElementById('followUpQuestionsForm');
-    
+    const rulesFlagged = triage.level === 'emergency';
+    if (rulesFlagged === (modelUrgency === 'high')) {
+        return null;
+    }
     
-    const newForm = followUpQuestionsForm.cloneNode(true);
-    followUpQuestionsForm.parentNode.replaceChild(newForm, followUpQuestionsForm);
+    const disagreement = {
+        createdAt: new Date().toISOString(),
+        source: source,
+        ruleLevel: triage.level,
+        modelUrgency: modelUrgency || 'not stated',
+        direction: rulesFlagged ? 'model-lower' : 'model-higher',
+        flags: triage.flags.map(flag => flag.id)
+    };
     
+    triage.disagreements.push(disagreement);
+    console.warn(rulesFlagged
+        ? `Triage disagreement: rules flagged an emergency but the ${source} rated urgency "${disagreement.modelUrgency}"`
+        : `Triage disagreement: the ${source} rated urgency "high" but no emergency rule matched`);
+    renderTriageBanner(triage);
     
-    newForm.addEventListener('submit', handleFollowUpQuestionsSubmit);
+    return disagreement;
 }
 
 
-async function handleFollowUpQuestionsSubmit(e) {
+document.getElementById('diagnosisForm').addEventListener('submit', async function(e) {
     e.preventDefault();
     
+    const loadingElement = document.getElementById('loading');
+    const resultsElement = document.getElementById('results');
+    const errorElement = document.getElementById('error');
+    const followUpQuestionsDialog = document.getElementById('followUpQuestionsDialog');
+    const updatedDiagnosis = document.getElementById('updatedDiagnosis');
     
-    const form = e.target;
-    const submitButton = form.querySelector('button[type="submit"]');
     
+    hideElement(resultsElement);
+    hideElement(errorElement);
     
-    submitButton.disabled = true;
-    submitButton.innerHTML = '<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> Processing...';
     
+    activeRequests.cancelGroup('diagnosis', 'replaced');
+    const controller = activeRequests.start('diagnosis');
     
-    const answers = [];
-    const questionElements = form.querySelectorAll('.follow-up-question');
     
-    questionElements.forEach((questionElement, index) => {
-        const question = questionElement.querySelector('label').textContent;
-        const answer = questionElement.querySelector('textarea').value.trim();
-        
-        if (answer) {
-            answers.push({ question, answer });
-        }
-    });
+    currentCase = null;
+    resetChatTranscript();
+    renderDifferentialPanel(null);
+    renderTriageBanner(null);
+    renderPromptAudit(null);
     
-    if (answers.length === 0) {
-        alert('Please answer at least one question.');
-        submitButton.disabled = false;
-        submitButton.innerHTML = '<i class="fas fa-paper-plane mr-2"></i> Submit Answers';
-        return;
-    }
     
+    followUpQuestionsDialog.classList.add('d-none');
+    if (updatedDiagnosis) {
+        updatedDiagnosis.classList.add('d-none');
+    }
     
-    const answersText = answers.map(a => `Q: ${a.question}\nA: ${a.answer}`).join('\n\n');
     
+    showElement(loadingElement);
     
-    const updatePrompt = `
-Based on the initial diagnosis and the patient's answers to follow-up questions, please provide an updated assessment:
-
-Initial Diagnosis Summary:
-${initialDiagnosisSummary || "No initial diagnosis summary available."}
-
-Patient's Answers to Follow-up Questions:
-${answersText}
-
-Please provide an updated assessment with any new insights or changes to the initial diagnosis. Focus on how these answers affect your diagnostic impression.`;
-
     try {
         
-        const updatedDiagnosis = document.getElementById('updatedDiagnosis');
-        const updatedDiagnosisContent = document.getElementById('updatedDiagnosisContent');
+        const age = document.getElementById('age').value;
+        const gender = document.getElementById('gender').value;
+        const weight = document.getElementById('weight').value;
+        const height = document.getElementById('height').value;
+        const symptoms = document.getElementById('symptoms').value;
+        const duration = document.getElementById('duration').value;
+        const intensity = document.getElementById('intensity').value;
+        const bp = document.getElementById('bp').value;
+        const glucose = document.getElementById('glucose').value;
+        const temperature = document.getElementById('temperature').value;
+        const preexisting = document.getElementById('preexisting').value;
+        const additional = document.getElementById('additional').value;
         
         
-        updatedDiagnosisContent.innerHTML = '<div class="typing-indicator"><span></span><span></span><span></span></div>';
+        if (!age || !gender || !weight || !height || !symptoms || !duration || !intensity) {
+            throw new Error('Please fill in all required fields.');
+        }
         
         
-        updatedDiagnosis.classList.remove('d-none');
-        updatedDiagnosisContent.classList.remove('d-none');
-        updatedDiagnosisContent.style.display = 'block';
-        updatedDiagnosisContent.style.opacity = '1';
-        updatedDiagnosisContent.style.visibility = 'visible';
+        const vitalFields = readVitalFields();
+        const { vitals, errors: vitalErrors } = parseVitals(vitalFields);
+        showVitalErrors(vitalErrors);
+        if (Object.keys(vitalErrors).length > 0) {
+            throw new Error(`Please correct the vital signs: ${Object.values(vitalErrors).join(' ')}`);
+        }
         
         
-        updatedDiagnosisContent.style.transition = 'none';
+        const intake = {
+            age, gender, weight, height, symptoms, duration, intensity, bp, glucose, temperature, preexisting, additional,
+            weightUnit: vitalFields.weightUnit,
+            heightUnit: vitalFields.heightUnit,
+            glucoseUnit: vitalFields.glucoseUnit,
+            temperatureUnit: vitalFields.temperatureUnit,
+            vitals: vitals
+        };
         
         
-        void updatedDiagnosisContent.offsetWidth;
+        const triage = runTriage(intake);
+        renderTriageBanner(triage);
         
         
-        updatedDiagnosis.scrollIntoView({ behavior: 'smooth' });
+        const diagnosisPrompt = renderPromptTemplate('diagnosis', {
+            age, gender, symptoms, duration, intensity, preexisting, additional,
+            weight: `${vitals.weightKg} kg`,
+            height: `${vitals.heightCm} cm`,
+            bmi: `${vitals.bmi} (${vitals.bmiCategory})`,
+            bloodPressure: vitals.systolic ? `${vitals.systolic}/${vitals.diastolic} mmHg` : '',
+            glucose: vitals.glucoseMgDl ? `${vitals.glucoseMgDl} mg/dL (${vitals.glucoseMmolL} mmol/L)` : '',
+            temperature: vitals.temperatureC ? `${vitals.temperatureC}°C` : ''
+        });
+        const prompt = diagnosisPrompt.user;
+
         
+        const diagnosisContent = document.getElementById('diagnosisContent');
         
-        const systemPrompt = `Medical AI assistant for follow-up assessment. Format with:
-1. **Updated Assessment:** (focus on new information)
-2. **Recommended Tests:** (if applicable)
-3. **Urgency Level:** [Low/Moderate/High]
-
-Use double line breaks between sections. Be concise.`;
         
-        const updatedAssessment = await callGPT4(
-            updatePrompt,
+        diagnosisContent.innerHTML = '<div class="typing-indicator"><span></span><span></span><span></span></div>';
+        
+        
+        diagnosisContent.classList.remove('d-none');
+        diagnosisContent.style.display = 'block';
+        diagnosisContent.style.opacity = '1';
+        diagnosisContent.style.visibility = 'visible';
+        
+        
+        diagnosisContent.style.transition = 'none';
+        
+        
+        void diagnosisContent.offsetWidth;
+        
+        
+        loadingElement.classList.add('d-none');
+        
+        
+        resultsElement.classList.remove('d-none');
+        resultsElement.style.display = 'block';
+        resultsElement.style.opacity = '1';
+        resultsElement.style.visibility = 'visible';
+        
+        
+        diagnosisContent.scrollIntoView({ behavior: 'smooth' });
+        
+        const rawResponse = await callGPT4(
+            prompt,
             'DIAGNOSIS',
-            systemPrompt,
+            diagnosisPrompt.system,
             1000,
-            updatedDiagnosisContent
+            diagnosisContent,
+            DIAGNOSIS_RESPONSE_FORMAT,
+            controller.signal
         );
         
         
-        const { urgencyLevel } = parseAIResponse(updatedAssessment);
-        
+        const structured = parseStructuredDiagnosis(rawResponse);
+        let response, diagnosis, followUpQuestions, urgencyLevel;
         
-        if (urgencyLevel) {
+        if (structured.valid) {
+            response = formatStructuredDiagnosis(structured.data);
+            ({ diagnosis } = parseAIResponse(response));
+            ({ followUpQuestions, urgencyLevel } = structured.data);
             
-            const existingWarning = document.querySelector('.urgency-warning');
-            if (existingWarning) {
-                
-                existingWarning.classList.remove('low', 'moderate', 'high');
-                
-                
-                existingWarning.classList.add(urgencyLevel);
-                
-                
-                let icon = 'info-circle';
-                let text = 'Low urgency';
-                
-                if (urgencyLevel === 'moderate') {
-                    icon = 'exclamation-circle';
-                    text = 'Moderate urgency';
-                } else if (urgencyLevel === 'high') {
-                    icon = 'exclamation-triangle';
-                    text = 'HIGH URGENCY - Seek medical attention promptly';
-                }
-                
-                existingWarning.innerHTML = `<i class="fas fa-${icon}"></i> ${text} (Updated)`;
-                
-                
-                existingWarning.classList.add('pulse-animation');
-                setTimeout(() => {
-                    existingWarning.classList.remove('pulse-animation');
-                }, 2000);
-            }
+            renderDifferentialPanel(structured.data);
+            diagnosisContent.innerHTML = convertMarkdownToHTML(formatStructuredDiagnosis(structured.data, false));
+        } else {
+            console.warn('Structured diagnosis failed validation, falling back to markdown parsing:', structured.errors);
+            response = rawResponse;
+            ({ diagnosis, followUpQuestions, urgencyLevel } = parseAIResponse(rawResponse));
+            
+            diagnosisContent.innerHTML = convertMarkdownToHTML(rawResponse);
         }
         
         
-        updateConversationHistory(updatePrompt, updatedAssessment);
+        let summaryPrompt = null;
+        initialDiagnosisSummary = await condenseDiagnosis(prompt, diagnosis, controller.signal, condensationPrompt => {
+            summaryPrompt = condensationPrompt;
+        });
+        
+        
+        updateConversationHistory(prompt, response, true);
+        
+        
+        aiQuestions = followUpQuestions;
+        
+        
+        renderDiagnosisTopControls(resultsElement, urgencyLevel);
+        recordTriageDisagreement(triage, urgencyLevel, 'diagnosis');
         
+        
+        displayAIQuestions(followUpQuestions);
+        
+        
+        currentCase = createCaseRecord(intake);
+        Object.assign(currentCase, {
+            prompt: prompt,
+            response: response,
+            diagnosis: diagnosis,
+            structuredDiagnosis: structured.data,
+            urgencyLevel: urgencyLevel,
+            triage: triage
+        });
+        recordPromptUse(currentCase, 'Diagnosis', diagnosisPrompt);
+        if (summaryPrompt) {
+            recordPromptUse(currentCase, 'Diagnosis summary', summaryPrompt);
+        }
+        await saveCurrentCase();
     } catch (error) {
-        console.error('Error getting updated diagnosis:', error);
-        alert('Error: ' + error.message);
-    } finally {
+        if (isAbortError(error)) {
+            
+            if (controller.cancelReason === 'replaced') return;
+            
+            const diagnosisContent = document.getElementById('diagnosisContent');
+            diagnosisContent.innerHTML = '<p class="generation-stopped"><i class="fas fa-stop-circle mr-1"></i> Diagnosis generation was stopped.</p>';
+            hideElement(loadingElement);
+            return;
+        }
         
-        submitButton.disabled = false;
-        submitButton.innerHTML = '<i class="fas fa-paper-plane mr-2"></i> Submit Answers';
+        console.error('Error getting diagnosis:', error);
+        errorElement.textContent = error.message;
+        errorElement.classList.remove('d-none');
+        hideElement(loadingElement);
+    } finally {
+        activeRequests.finish('diagnosis', controller);
+    }
+});
+
+
+let chatExchanges = [];
+function formatChatTimestamp(isoString) {
+    const date = new Date(isoString);
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    
+    return date.toDateString() === new Date().toDateString() ? time : `${date.toLocaleDateString()} ${time}`;
+}
+
+
+function copyChatMessage(text, button) {
+    navigator.clipboard.writeText(text).then(() => {
+        button.innerHTML = '<i class="fas fa-check"></i>';
+        setTimeout(() => {
+            button.innerHTML = '<i class="fas fa-copy"></i>';
+        }, 1500);
+    }).catch(error => {
+        console.error('Failed to copy message:', error);
+    });
+}
+
+
+function createChatMessage(role, text, timestamp, actions = {}) {
+    const message = document.createElement('div');
+    message.className = `chat-message ${role}`;
+    
+    const bubble = document.createElement('div');
+    bubble.className = 'chat-bubble';
+    if (role === 'user') {
+        bubble.textContent = text;
+    } else if (text) {
+        bubble.innerHTML = convertMarkdownToHTML(text);
+    } else {
+        bubble.innerHTML = '<div class="typing-indicator"><span></span><span></span><span></span></div>';
+    }
+    
+    const meta = document.createElement('div');
+    meta.className = 'chat-meta';
+    
+    const time = document.createElement('span');
+    time.className = 'chat-time';
+    time.textContent = timestamp ? formatChatTimestamp(timestamp) : '';
+    meta.appendChild(time);
+    
+    if (text) {
+        const copyButton = document.createElement('button');
+        copyButton.type = 'button';
+        copyButton.className = 'chat-action';
+        copyButton.title = 'Copy';
+        copyButton.innerHTML = '<i class="fas fa-copy"></i>';
+        copyButton.addEventListener('click', () => copyChatMessage(text, copyButton));
+        meta.appendChild(copyButton);
     }
+    
+    if (actions.onRegenerate) {
+        const regenerateButton = document.createElement('button');
+        regenerateButton.type = 'button';
+        regenerateButton.className = 'chat-action';
+        regenerateButton.title = 'Regenerate';
+        regenerateButton.innerHTML = '<i class="fas fa-redo"></i>';
+        regenerateButton.addEventListener('click', actions.onRegenerate);
+        meta.appendChild(regenerateButton);
+    }
+    
+    message.appendChild(bubble);
+    message.appendChild(meta);
+    return message;
+}
+
+
+function renderChatTranscript() {
+    const transcript = document.getElementById('chatTranscript');
+    const emptyState = document.getElementById('chatEmpty');
+    if (!transcript) return;
+    
+    transcript.querySelectorAll('.chat-message').forEach(message => message.remove());
+    emptyState.classList.toggle('d-none', chatExchanges.length > 0);
+    
+    chatExchanges.forEach((exchange, index) => {
+        const isLatest = index === chatExchanges.length - 1;
+        
+        transcript.appendChild(createChatMessage('user', exchange.question, exchange.createdAt));
+        transcript.appendChild(createChatMessage('assistant', exchange.answer, exchange.answeredAt || exchange.createdAt, {
+            onRegenerate: isLatest ? () => sendChatMessage(exchange.question, true) : null
+        }));
+    });
+    
+    transcript.scrollTop = transcript.scrollHeight;
+}
+
+
+function setChatBusy(busy) {
+    const askButton = document.getElementById('askFollowUp');
+    askButton.disabled = busy;
+    askButton.innerHTML = busy
+        ? '<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> Processing...'
+        : '<i class="fas fa-paper-plane mr-1"></i> Ask';
+    
+    document.querySelectorAll('#chatTranscript .chat-action[title="Regenerate"], #aiQuestions button').forEach(button => {
+        button.disabled = busy;
+    });
 }
 
 
-document.getElementById('diagnosisForm').addEventListener('submit', async function(e) {
-    e.preventDefault();
-    
-    const loadingElement = document.getElementById('loading');
-    const resultsElement = document.getElementById('results');
-    const errorElement = document.getElementById('error');
-    const followUpQuestionsDialog = document.getElementById('followUpQuestionsDialog');
-    const updatedDiagnosis = document.getElementById('updatedDiagnosis');
-    
+async function sendChatMessage(question, regenerate = false) {
+    if (activeRequests.isActive('chat')) return;
     
-    hideElement(resultsElement);
-    hideElement(errorElement);
+    const transcript = document.getElementById('chatTranscript');
+    const previousExchange = regenerate ? chatExchanges[chatExchanges.length - 1] : null;
+    const askedAt = new Date().toISOString();
     
     
-    followUpQuestionsDialog.classList.add('d-none');
-    if (updatedDiagnosis) {
-        updatedDiagnosis.classList.add('d-none');
+    if (previousExchange) {
+        const lastUser = conversationHistory[conversationHistory.length - 2];
+        const lastAssistant = conversationHistory[conversationHistory.length - 1];
+        if (lastUser && lastAssistant && lastUser.content === question && lastAssistant.content === previousExchange.answer) {
+            conversationHistory.splice(-2, 2);
+        }
+        renderChatTranscript();
+        transcript.lastElementChild.remove();
+    } else {
+        document.getElementById('chatEmpty').classList.add('d-none');
+        transcript.appendChild(createChatMessage('user', question, askedAt));
     }
     
+    const pendingMessage = createChatMessage('assistant', '', null);
+    const pendingBubble = pendingMessage.querySelector('.chat-bubble');
+    transcript.appendChild(pendingMessage);
+    transcript.scrollTop = transcript.scrollHeight;
     
-    showElement(loadingElement);
+    const controller = activeRequests.start('chat');
+    const chatPrompt = renderPromptTemplate('followUpChat', { question });
+    setChatBusy(true);
     
     try {
+        const response = await callGPT4(
+            chatPrompt.user,
+            'FOLLOW_UP',
+            chatPrompt.system,
+            1000,
+            pendingBubble,
+            null,
+            controller.signal
+        );
         
-        const age = document.getElementById('age').value;
-        const gender = document.getElementById('gender').value;
-        const weight = document.getElementById('weight').value;
-        const height = document.getElementById('height').value;
-        const symptoms = document.getElementById('symptoms').value;
-        const duration = document.getElementById('duration').value;
-        const intensity = document.getElementById('intensity').value;
-        const bp = document.getElementById('bp').value;
-        const glucose = document.getElementById('glucose').value;
-        const temperature = document.getElementById('temperature').value;
-        const preexisting = document.getElementById('preexisting').value;
-        const additional = document.getElementById('additional').value;
         
+        updateConversationHistory(question, response);
         
-        if (!age || !gender || !weight || !height || !symptoms || !duration || !intensity) {
-            throw new Error('Please fill in all required fields.');
+        
+        const answeredAt = new Date().toISOString();
+        if (previousExchange) {
+            previousExchange.previousAnswers = [...(previousExchange.previousAnswers || []), previousExchange.answer];
+            previousExchange.answer = response;
+            previousExchange.answeredAt = answeredAt;
+        } else {
+            chatExchanges.push({ createdAt: askedAt, question: question, answer: response, answeredAt: answeredAt });
         }
         
+        if (currentCase) {
+            recordPromptUse(currentCase, previousExchange ? 'Regenerated follow-up answer' : 'Follow-up answer', chatPrompt);
+            await saveCurrentCase();
+        }
+    } catch (error) {
+        const cancelled = isAbortError(error);
+        if (cancelled) {
+            console.log('Follow-up request cancelled');
+        } else {
+            console.error('Error getting follow-up response:', error);
+        }
         
-        const prompt = `Patient info for diagnosis:
-Age: ${age}
-Gender: ${gender}
-Weight: ${weight} kg
-Height: ${height} cm
-Symptoms: ${symptoms}
-Duration: ${duration}
-Intensity: ${intensity}
-${bp ? `Blood Pressure: ${bp}` : ''}
-${glucose ? `Blood Glucose: ${glucose}` : ''}
-${temperature ? `Temperature: ${temperature}°C` : ''}
-${preexisting ? `Preexisting Conditions: ${preexisting}` : ''}
-${additional ? `Additional Information: ${additional}` : ''}
+        
+        if (previousExchange) {
+            if (!cancelled) {
+                alert('Error: ' + error.message);
+            }
+        } else {
+            const note = document.createElement('div');
+            note.className = cancelled ? 'chat-status' : 'chat-status error';
+            note.textContent = cancelled ? 'Generation stopped.' : `Error: ${error.message}`;
+            pendingBubble.appendChild(note);
+            pendingMessage.classList.add('failed');
+            return;
+        }
+    } finally {
+        activeRequests.finish('chat', controller);
+        setChatBusy(false);
+    }
+    
+    renderChatTranscript();
+}
 
-Format response with:
-**Likely Conditions:** (top 3)
-**Brief Explanation:**
-**Recommended Tests:**
-**Urgency Level:** [Low/Moderate/High]
-**Warning Signs:**
-**Follow-up Questions:** (3-5)`;
 
+function resetChatTranscript() {
+    activeRequests.cancel('chat', 'replaced');
+    chatExchanges = [];
+    conversationMemory = createConversationMemory();
+    renderChatTranscript();
+    renderConversationMemory();
+}
+
+
+document.getElementById('askFollowUp').addEventListener('click', function() {
+    const followUpQuestion = document.getElementById('followUpQuestion');
+    const question = followUpQuestion.value.trim();
+    
+    if (!question) {
+        alert('Please enter a question.');
+        return;
+    }
+    
+    followUpQuestion.value = '';
+    sendChatMessage(question);
+});
+
+
+document.getElementById('followUpQuestion').addEventListener('keydown', function(e) {
+    if (e.key === 'Enter' && !activeRequests.isActive('chat')) {
+        e.preventDefault();
+        document.getElementById('askFollowUp').click();
+    }
+});
+
+
+const VAULT_CONFIG = {
+    saltStorageKey: 'vaultSalt',
+    verifierStorageKey: 'vaultVerifier',
+    verifierPlaintext: 'healthcare-assistant-vault',
+    iterations: 600000,
+    minPassphraseLength: 8,
+    autoLockMs: 5 * 60 * 1000,
+    autoLockCheckInterval: 15000
+};
+
+const secureVault = {
+    key: null,
+    lastActivity: Date.now(),
+    autoLockTimer: null,
+    
+    isInitialized() {
+        return Boolean(localStorage.getItem(VAULT_CONFIG.saltStorageKey) && localStorage.getItem(VAULT_CONFIG.verifierStorageKey));
+    },
+    
+    isUnlocked() {
+        return this.key !== null;
+    },
+    
+    async deriveKey(passphrase, salt) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
         
-        const diagnosisContent = document.getElementById('diagnosisContent');
-        
-        
-        diagnosisContent.innerHTML = '<div class="typing-indicator"><span></span><span></span><span></span></div>';
-        
-        
-        diagnosisContent.classList.remove('d-none');
-        diagnosisContent.style.display = 'block';
-        diagnosisContent.style.opacity = '1';
-        diagnosisContent.style.visibility = 'visible';
-        
-        
-        diagnosisContent.style.transition = 'none';
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: salt, iterations: VAULT_CONFIG.iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+    
+    async setup(passphrase) {
+        if (!passphrase || passphrase.length < VAULT_CONFIG.minPassphraseLength) {
+            throw new Error(`Passphrase must be at least ${VAULT_CONFIG.minPassphraseLength} characters.`);
+        }
         
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        this.key = await this.deriveKey(passphrase, salt);
         
-        void diagnosisContent.offsetWidth;
+        const verifier = await this.encrypt(VAULT_CONFIG.verifierPlaintext);
+        localStorage.setItem(VAULT_CONFIG.saltStorageKey, bytesToBase64(salt));
+        localStorage.setItem(VAULT_CONFIG.verifierStorageKey, JSON.stringify(verifier));
         
+        this.onUnlocked();
+    },
+    
+    async unlock(passphrase) {
+        const salt = base64ToBytes(localStorage.getItem(VAULT_CONFIG.saltStorageKey));
+        const verifier = JSON.parse(localStorage.getItem(VAULT_CONFIG.verifierStorageKey));
+        const key = await this.deriveKey(passphrase, salt);
         
-        loadingElement.classList.add('d-none');
+        try {
+            const plaintext = await this.decryptWithKey(key, verifier);
+            if (plaintext !== VAULT_CONFIG.verifierPlaintext) {
+                throw new Error('Verifier mismatch');
+            }
+        } catch (error) {
+            throw new Error('Incorrect passphrase.');
+        }
         
+        this.key = key;
+        this.onUnlocked();
+    },
+    
+    lock(reason = 'manual') {
+        if (!this.key) return;
         
-        resultsElement.classList.remove('d-none');
-        resultsElement.style.display = 'block';
-        resultsElement.style.opacity = '1';
-        resultsElement.style.visibility = 'visible';
+        this.key = null;
+        clearInterval(this.autoLockTimer);
+        this.autoLockTimer = null;
         
+        console.log(`Vault locked (${reason})`);
+        document.dispatchEvent(new CustomEvent('vault:locked', { detail: { reason } }));
+    },
+    
+    reset() {
+        this.key = null;
+        clearInterval(this.autoLockTimer);
+        this.autoLockTimer = null;
+        localStorage.removeItem(VAULT_CONFIG.saltStorageKey);
+        localStorage.removeItem(VAULT_CONFIG.verifierStorageKey);
+    },
+    
+    onUnlocked() {
+        this.recordActivity();
+        clearInterval(this.autoLockTimer);
+        this.autoLockTimer = setInterval(() => {
+            if (Date.now() - this.lastActivity >= VAULT_CONFIG.autoLockMs) {
+                this.lock('inactivity');
+            }
+        }, VAULT_CONFIG.autoLockCheckInterval);
         
-        diagnosisContent.scrollIntoView({ behavior: 'smooth' });
+        console.log('Vault unlocked');
+        document.dispatchEvent(new CustomEvent('vault:unlocked'));
+    },
+    
+    recordActivity() {
+        this.lastActivity = Date.now();
+    },
+    
+    async encrypt(value) {
+        if (!this.key) {
+            throw new Error('Patient data is locked. Unlock with your passphrase to continue.');
+        }
         
-        const response = await callGPT4(
-            prompt,
-            'DIAGNOSIS',
-            'Medical AI assistant. Format diagnosis with:\n1. **Likely Conditions:** (top 3)\n2. **Brief Explanation:** (key symptoms)\n3. **Recommended Tests:**\n4. **Urgency Level:** [Low/Moderate/High]\n5. **Warning Signs:**\n6. **Follow-up Questions:** (3-5)\n\nUse double line breaks between sections. Be concise.',
-            1000,
-            diagnosisContent
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv },
+            this.key,
+            new TextEncoder().encode(JSON.stringify(value))
         );
         
+        return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(ciphertext)) };
+    },
+    
+    async decrypt(payload) {
+        if (!this.key) {
+            throw new Error('Patient data is locked. Unlock with your passphrase to continue.');
+        }
         
-        const { diagnosis, followUpQuestions, urgencyLevel } = parseAIResponse(response);
-        
-        
-        initialDiagnosisSummary = await condenseDiagnosis(prompt, diagnosis);
-        
-        
-        updateConversationHistory(prompt, response, true);
+        return this.decryptWithKey(this.key, payload);
+    },
+    
+    async decryptWithKey(key, payload) {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(payload.iv) },
+            key,
+            base64ToBytes(payload.data)
+        );
         
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+};
+
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+
+function showLockScreen(message = '') {
+    const lockScreen = document.getElementById('lockScreen');
+    if (!lockScreen) return;
+    
+    const isSetup = !secureVault.isInitialized();
+    const title = document.getElementById('lockScreenTitle');
+    const messageElement = document.getElementById('lockScreenMessage');
+    const passphraseInput = document.getElementById('vaultPassphrase');
+    const confirmInput = document.getElementById('vaultPassphraseConfirm');
+    const submitButton = document.getElementById('unlockVaultBtn');
+    const resetButton = document.getElementById('resetVaultBtn');
+    
+    title.textContent = isSetup ? 'Protect Patient Data' : 'Unlock Patient Data';
+    messageElement.textContent = message || (isSetup
+        ? `Choose a passphrase (at least ${VAULT_CONFIG.minPassphraseLength} characters). Saved cases are encrypted with it and cannot be recovered without it.`
+        : 'Enter your passphrase to decrypt saved cases.');
+    submitButton.innerHTML = isSetup
+        ? '<i class="fas fa-shield-alt mr-2"></i> Set Passphrase'
+        : '<i class="fas fa-unlock mr-2"></i> Unlock';
+    
+    passphraseInput.value = '';
+    passphraseInput.autocomplete = isSetup ? 'new-password' : 'current-password';
+    confirmInput.value = '';
+    confirmInput.classList.toggle('d-none', !isSetup);
+    confirmInput.required = isSetup;
+    resetButton.classList.toggle('d-none', isSetup);
+    hideElement(document.getElementById('lockScreenError'));
+    
+    lockScreen.classList.remove('d-none');
+    document.body.classList.add('vault-locked');
+    passphraseInput.focus();
+}
+
+
+function hideLockScreen() {
+    const lockScreen = document.getElementById('lockScreen');
+    if (lockScreen) {
+        lockScreen.classList.add('d-none');
+    }
+    document.body.classList.remove('vault-locked');
+}
+
+
+function initializeLockScreen() {
+    const lockScreenForm = document.getElementById('lockScreenForm');
+    const lockNowBtn = document.getElementById('lockNowBtn');
+    const resetVaultBtn = document.getElementById('resetVaultBtn');
+    
+    if (!lockScreenForm) return;
+    
+    if (!window.crypto || !window.crypto.subtle) {
+        console.error('WebCrypto is unavailable; patient data cannot be encrypted.');
+        showLockScreen('Secure storage requires a browser with WebCrypto over HTTPS or localhost.');
+        document.getElementById('unlockVaultBtn').disabled = true;
+        return;
+    }
+    
+    lockScreenForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
         
-        aiQuestions = followUpQuestions;
+        const passphrase = document.getElementById('vaultPassphrase').value;
+        const confirmPassphrase = document.getElementById('vaultPassphraseConfirm').value;
+        const errorElement = document.getElementById('lockScreenError');
+        const submitButton = document.getElementById('unlockVaultBtn');
+        const originalButtonText = submitButton.innerHTML;
         
+        hideElement(errorElement);
+        submitButton.disabled = true;
+        submitButton.innerHTML = '<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> Deriving key...';
         
-        const viewSummaryBtn = document.getElementById('viewSummaryBtn');
-        if (viewSummaryBtn) {
-            
-            const newViewSummaryBtn = viewSummaryBtn.cloneNode(true);
-            
-            
-            newViewSummaryBtn.className = ''; 
-            newViewSummaryBtn.innerHTML = '<i class="fas fa-eye"></i> View Diagnosis Summary';
-            
-            
-            newViewSummaryBtn.addEventListener('click', function() {
-                const summaryContainer = document.getElementById('diagnosisSummaryContainer');
-                const summaryContent = document.getElementById('diagnosisSummaryContent');
-                
-                if (summaryContainer && summaryContent) {
-                    
-                    if (summaryContainer.classList.contains('d-none')) {
-                        
-                        summaryContainer.classList.remove('d-none');
-                        summaryContent.innerHTML = convertMarkdownToHTML(initialDiagnosisSummary, true);
-                        
-                        
-                        this.innerHTML = '<i class="fas fa-eye-slash"></i> Hide Summary';
-                        
-                        
-                        setTimeout(() => {
-                            
-                            window.location.hash = 'diagnosisSummaryContainer';
-                            
-                            
-                            summaryContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
-                        }, 100); 
-                    } else {
-                        
-                        summaryContainer.classList.add('d-none');
-                        
-                        
-                        this.innerHTML = '<i class="fas fa-eye"></i> View Diagnosis Summary';
-                    }
-                }
-            });
-            
-            
-            const topControlsContainer = document.createElement('div');
-            topControlsContainer.className = 'diagnosis-top-controls';
-            topControlsContainer.style.marginBottom = '1rem';
-            
-            
-            topControlsContainer.appendChild(newViewSummaryBtn);
-            
-            
-            if (urgencyLevel) {
-                const urgencyWarning = document.createElement('div');
-                urgencyWarning.className = `urgency-warning ${urgencyLevel}`;
-                
-                let icon = 'info-circle';
-                let text = 'Low urgency';
-                
-                if (urgencyLevel === 'moderate') {
-                    icon = 'exclamation-circle';
-                    text = 'Moderate urgency';
-                } else if (urgencyLevel === 'high') {
-                    icon = 'exclamation-triangle';
-                    text = 'HIGH URGENCY - Seek medical attention promptly';
+        try {
+            if (secureVault.isInitialized()) {
+                await secureVault.unlock(passphrase);
+            } else {
+                if (passphrase !== confirmPassphrase) {
+                    throw new Error('Passphrases do not match.');
                 }
-                
-                urgencyWarning.innerHTML = `<i class="fas fa-${icon}"></i> ${text}`;
-                topControlsContainer.appendChild(urgencyWarning);
+                await secureVault.setup(passphrase);
+            }
+            hideLockScreen();
+        } catch (error) {
+            errorElement.textContent = error.message;
+            errorElement.classList.remove('d-none');
+        } finally {
+            submitButton.disabled = false;
+            submitButton.innerHTML = originalButtonText;
+            document.getElementById('vaultPassphrase').value = '';
+            document.getElementById('vaultPassphraseConfirm').value = '';
+        }
+    });
+    
+    if (lockNowBtn) {
+        lockNowBtn.addEventListener('click', () => secureVault.lock('manual'));
+    }
+    
+    if (resetVaultBtn) {
+        resetVaultBtn.addEventListener('click', async function() {
+            if (!confirm('This permanently erases all saved cases and the passphrase. Continue?')) {
+                return;
             }
             
+            try {
+                await caseStore.clear();
+            } catch (error) {
+                console.error('Error erasing cases:', error);
+            }
+            secureVault.reset();
+            showLockScreen();
+        });
+    }
+    
+    ['click', 'keydown', 'mousemove', 'scroll', 'touchstart'].forEach(eventName => {
+        document.addEventListener(eventName, () => secureVault.recordActivity(), { passive: true });
+    });
+    
+    document.addEventListener('vault:locked', event => {
+        const message = event.detail.reason === 'inactivity'
+            ? 'Locked after inactivity. Enter your passphrase to continue.'
+            : '';
+        showLockScreen(message);
+    });
+    
+    showLockScreen();
+}
+
+
+const CASE_DB_NAME = 'healthcareAssistantCases';
+const CASE_DB_VERSION = 1;
+const CASE_STORE_NAME = 'cases';
+
+const caseStore = {
+    dbPromise: null,
+    
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+        
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported in this browser. Cases cannot be saved.'));
+                return;
+            }
             
-            resultsElement.insertBefore(topControlsContainer, resultsElement.firstChild);
+            const request = indexedDB.open(CASE_DB_NAME, CASE_DB_VERSION);
             
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(CASE_STORE_NAME)) {
+                    const store = db.createObjectStore(CASE_STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+        
+        return this.dbPromise;
+    },
+    
+    async run(mode, operation) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(CASE_STORE_NAME, mode);
+            const request = operation(transaction.objectStore(CASE_STORE_NAME));
             
-            if (viewSummaryBtn.parentNode) {
-                viewSummaryBtn.parentNode.removeChild(viewSummaryBtn);
-            }
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+    
+    async save(record) {
+        const encrypted = await secureVault.encrypt(record);
+        return this.run('readwrite', store => store.put({
+            id: record.id,
+            updatedAt: record.updatedAt,
+            encrypted: encrypted
+        }));
+    },
+    
+    async get(id) {
+        const stored = await this.run('readonly', store => store.get(id));
+        return stored ? this.decryptRecord(stored) : stored;
+    },
+    
+    async list() {
+        const stored = await this.run('readonly', store => store.getAll());
+        const records = await Promise.all(stored.map(entry => this.decryptRecord(entry)));
+        return records.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+    
+    remove(id) {
+        return this.run('readwrite', store => store.delete(id));
+    },
+    
+    clear() {
+        return this.run('readwrite', store => store.clear());
+    },
+    
+    decryptRecord(stored) {
+        if (!stored.encrypted) {
+            return stored;
         }
+        return secureVault.decrypt(stored.encrypted);
+    },
+    
+    async encryptLegacyRecords() {
+        const stored = await this.run('readonly', store => store.getAll());
+        const legacyRecords = stored.filter(entry => !entry.encrypted);
         
+        for (const record of legacyRecords) {
+            await this.save(record);
+        }
         
-        displayAIQuestions(followUpQuestions);
+        if (legacyRecords.length > 0) {
+            console.log(`Encrypted ${legacyRecords.length} previously unencrypted case(s)`);
+        }
+    }
+};
+
+let casesCache = [];
+
+
+function generateCaseId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    return `case-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+
+function createCaseRecord(intake) {
+    const now = new Date().toISOString();
+    
+    return {
+        id: generateCaseId(),
+        createdAt: now,
+        updatedAt: now,
+        intake: { ...intake },
+        prompt: '',
+        response: '',
+        diagnosis: '',
+        structuredDiagnosis: null,
+        conditionInsights: {},
+        urgencyLevel: '',
+        triage: null,
+        summary: null,
+        aiQuestions: [],
+        conversationHistory: [],
+        memory: createConversationMemory(),
+        updatedAssessments: [],
+        followUps: [],
+        promptAudit: []
+    };
+}
+
+
+async function saveCurrentCase() {
+    if (!currentCase) return;
+    
+    currentCase.updatedAt = new Date().toISOString();
+    currentCase.summary = initialDiagnosisSummary;
+    currentCase.aiQuestions = aiQuestions.slice();
+    currentCase.conversationHistory = conversationHistory.map(message => ({ ...message }));
+    currentCase.memory = cloneConversationMemory(conversationMemory);
+    currentCase.followUps = chatExchanges.map(exchange => ({ ...exchange }));
+    
+    renderPromptAudit(currentCase);
+    
+    const record = currentCase;
+    try {
+        await caseStore.save(record);
+        console.log(`Case ${record.id} saved`);
     } catch (error) {
-        console.error('Error getting diagnosis:', error);
-        errorElement.textContent = error.message;
+        console.error('Error saving case:', error);
+        const errorElement = document.getElementById('error');
+        errorElement.textContent = `This case was not saved: ${error.message}`;
         errorElement.classList.remove('d-none');
-        hideElement(loadingElement);
     }
-});
+}
 
 
-document.getElementById('askFollowUp').addEventListener('click', async function() {
-    const followUpQuestion = document.getElementById('followUpQuestion');
-    const followUpResponse = document.getElementById('followUpResponse');
+function restoreDiagnosisForm(intake) {
+    Object.keys(intake).forEach(field => {
+        const input = document.getElementById(field);
+        if (input) {
+            input.value = intake[field] || '';
+        }
+    });
     
     
-    if (!followUpQuestion.value.trim()) {
-        alert('Please enter a question.');
-        return;
-    }
+    ['weightUnit', 'heightUnit', 'glucoseUnit', 'temperatureUnit'].forEach(id => {
+        const unitSelect = document.getElementById(id);
+        if (!(id in intake)) {
+            unitSelect.selectedIndex = 0;
+        }
+        unitSelect.dataset.previousUnit = unitSelect.value;
+    });
     
+    showVitalErrors({});
+    updateHeightPlaceholder();
+    updateBmiDisplay();
+}
+
+
+function renderCase(record) {
+    const resultsElement = document.getElementById('results');
+    const diagnosisContent = document.getElementById('diagnosisContent');
+    const updatedDiagnosis = document.getElementById('updatedDiagnosis');
+    const updatedDiagnosisContent = document.getElementById('updatedDiagnosisContent');
     
-    const originalButtonText = this.innerHTML;
-    this.disabled = true;
-    this.innerHTML = '<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> Processing...';
+    hideElement(document.getElementById('loading'));
+    hideElement(document.getElementById('error'));
     
-    try {
-        
-        const prompt = followUpQuestion.value.trim();
-        
-        
-        const followUpResponse = document.getElementById('followUpResponse');
-        followUpResponse.innerHTML = '<div class="typing-indicator"><span></span><span></span><span></span></div>';
-        
-        
-        followUpResponse.classList.remove('d-none');
-        followUpResponse.style.display = 'block';
-        followUpResponse.style.opacity = '1';
-        followUpResponse.style.visibility = 'visible';
-        
-        
-        followUpResponse.style.transition = 'none';
-        
-        
-        void followUpResponse.offsetWidth;
+    renderTriageBanner(record.triage);
+    renderDifferentialPanel(record.structuredDiagnosis, record.conditionInsights);
+    diagnosisContent.innerHTML = convertMarkdownToHTML(record.structuredDiagnosis ? formatStructuredDiagnosis(record.structuredDiagnosis, false) : record.response);
+    resultsElement.classList.remove('d-none');
+    renderDiagnosisTopControls(resultsElement, record.urgencyLevel);
+    
+    
+    document.getElementById('followUpQuestionsDialog').classList.add('d-none');
+    document.getElementById('aiQuestions').innerHTML = '';
+    displayAIQuestions(record.aiQuestions);
+    
+    
+    const lastAssessment = record.updatedAssessments[record.updatedAssessments.length - 1];
+    if (lastAssessment) {
+        document.querySelectorAll('#followUpQuestionsContainer .follow-up-question').forEach(questionElement => {
+            const question = questionElement.querySelector('label').textContent;
+            const previousAnswer = lastAssessment.answers.find(answer => answer.question === question);
+            if (previousAnswer) {
+                questionElement.querySelector('textarea').value = previousAnswer.answer;
+            }
+        });
         
+        updatedDiagnosisContent.innerHTML = convertMarkdownToHTML(lastAssessment.content);
+        updatedDiagnosis.classList.remove('d-none');
         
-        followUpResponse.scrollIntoView({ behavior: 'smooth' });
+        if (lastAssessment.urgencyLevel) {
+            updateUrgencyWarning(lastAssessment.urgencyLevel);
+        }
+    } else {
+        updatedDiagnosis.classList.add('d-none');
+    }
+    
+    
+    renderChatTranscript();
+    renderConversationMemory();
+    renderPromptAudit(record);
+}
+
+
+function clearCaseView() {
+    activeRequests.cancelAll('replaced');
+    
+    currentCase = null;
+    conversationHistory = [];
+    initialDiagnosisSummary = null;
+    aiQuestions = [];
+    resetChatTranscript();
+    
+    ['diagnosisForm', 'followUpQuestionsForm', 'reportForm'].forEach(id => {
+        const form = document.getElementById(id);
+        if (form) form.reset();
+    });
+    document.getElementById('followUpQuestion').value = '';
+    ['diagnosisContent', 'followUpQuestionsContainer', 'updatedDiagnosisContent', 'diagnosisSummaryContent', 'aiQuestions', 'formattedReport'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) element.innerHTML = '';
+    });
+    ['results', 'loading', 'error', 'followUpQuestionsDialog', 'updatedDiagnosis', 'diagnosisSummaryContainer', 'reportContent', 'reportLoading', 'reportError'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) element.classList.add('d-none');
+    });
+    
+    renderDifferentialPanel(null);
+    renderTriageBanner(null);
+    renderPromptAudit(null);
+}
+
+
+async function openCase(caseId) {
+    const record = await caseStore.get(caseId);
+    if (!record) {
+        throw new Error('This case no longer exists.');
+    }
+    
+    activeRequests.cancelGroup('diagnosis', 'replaced');
+    activeRequests.cancel('chat', 'replaced');
+    
+    currentCase = record;
+    conversationHistory = record.conversationHistory.map(message => ({ ...message }));
+    conversationMemory = record.memory ? cloneConversationMemory(record.memory) : createConversationMemory();
+    chatExchanges = record.followUps.map(followUp => ({ ...followUp }));
+    initialDiagnosisSummary = record.summary;
+    aiQuestions = record.aiQuestions.slice();
+    
+    restoreDiagnosisForm(record.intake);
+    renderCase(record);
+    
+    
+    const diagnosisTab = document.getElementById('diagnosis-tab');
+    if (diagnosisTab) {
+        new bootstrap.Tab(diagnosisTab).show();
+    }
+    
+    console.log(`Case ${caseId} reopened`);
+}
+
+
+async function deleteCase(caseId) {
+    await caseStore.remove(caseId);
+    
+    if (currentCase && currentCase.id === caseId) {
+        currentCase = null;
+    }
+    
+    await refreshCaseList();
+}
+
+
+function caseMatchesQuery(record, query) {
+    if (!query) return true;
+    
+    const haystack = [
+        ...Object.values(record.intake).filter(value => typeof value !== 'object'),
+        record.diagnosis,
+        record.summary,
+        record.urgencyLevel,
+        ...record.followUps.map(followUp => followUp.question),
+        new Date(record.createdAt).toLocaleDateString()
+    ].filter(Boolean).join(' ').toLowerCase();
+    
+    return query.toLowerCase().split(/\s+/).every(term => haystack.includes(term));
+}
+
+
+function renderCaseList() {
+    const caseList = document.getElementById('caseList');
+    const caseListEmpty = document.getElementById('caseListEmpty');
+    const searchInput = document.getElementById('caseSearch');
+    if (!caseList) return;
+    
+    const query = searchInput ? searchInput.value.trim() : '';
+    const matches = casesCache.filter(record => caseMatchesQuery(record, query));
+    
+    caseList.innerHTML = '';
+    
+    if (matches.length === 0) {
+        caseListEmpty.textContent = casesCache.length === 0 ? 'No saved cases yet.' : 'No cases match your search.';
+        caseListEmpty.classList.remove('d-none');
+        return;
+    }
+    caseListEmpty.classList.add('d-none');
+    
+    matches.forEach(record => {
+        const item = document.createElement('div');
+        item.className = 'case-item';
+        item.dataset.caseId = record.id;
         
+        const details = document.createElement('div');
+        details.className = 'case-item-details';
         
-        const response = await callGPT4(
-            prompt,
-            'FOLLOW_UP',
-            'You are a medical AI assistant answering follow-up questions about a diagnosis. Be concise but thorough. Provide specific, actionable information.',
-            1000,
-            followUpResponse
-        );
+        const title = document.createElement('div');
+        title.className = 'case-item-title';
+        title.textContent = record.intake.symptoms.length > 100 ? record.intake.symptoms.slice(0, 100) + '...' : record.intake.symptoms;
         
+        const meta = document.createElement('div');
+        meta.className = 'case-item-meta';
+        const followUpCount = record.followUps.length + record.updatedAssessments.length;
+        meta.textContent = `Age ${record.intake.age} · ${record.intake.gender} · ${new Date(record.createdAt).toLocaleString()} · ${followUpCount} follow-up${followUpCount === 1 ? '' : 's'}`;
         
-        updateConversationHistory(prompt, response);
+        details.appendChild(title);
+        details.appendChild(meta);
         
+        if (record.urgencyLevel) {
+            const badge = document.createElement('span');
+            badge.className = `case-urgency-badge ${record.urgencyLevel}`;
+            badge.textContent = record.urgencyLevel;
+            details.appendChild(badge);
+        }
         
-        followUpQuestion.value = '';
+        const actions = document.createElement('div');
+        actions.className = 'case-item-actions';
+        actions.innerHTML = `
+            <button type="button" class="btn btn-sm btn-outline-primary" data-action="open"><i class="fas fa-folder-open mr-1"></i> Open</button>
+            <button type="button" class="btn btn-sm btn-outline-danger" data-action="delete"><i class="fas fa-trash mr-1"></i> Delete</button>
+        `;
         
+        item.appendChild(details);
+        item.appendChild(actions);
+        caseList.appendChild(item);
+    });
+}
+
+
+async function refreshCaseList() {
+    const casesError = document.getElementById('casesError');
+    
+    if (!secureVault.isUnlocked()) {
+        casesCache = [];
+        renderCaseList();
+        return;
+    }
+    
+    try {
+        casesCache = await caseStore.list();
+        hideElement(casesError);
     } catch (error) {
-        console.error('Error getting follow-up response:', error);
-        alert('Error: ' + error.message);
-    } finally {
-        
-        this.disabled = false;
-        this.innerHTML = originalButtonText;
+        console.error('Error loading cases:', error);
+        casesCache = [];
+        if (casesError) {
+            casesError.textContent = error.message;
+            casesError.classList.remove('d-none');
+        }
     }
-});
+    
+    renderCaseList();
+}
+
+
+function initializeCaseHistory() {
+    const casesTab = document.getElementById('cases-tab');
+    const caseSearch = document.getElementById('caseSearch');
+    const caseList = document.getElementById('caseList');
+    
+    if (!casesTab || !caseList) return;
+    
+    casesTab.addEventListener('shown.bs.tab', refreshCaseList);
+    
+    document.addEventListener('vault:unlocked', async () => {
+        try {
+            await caseStore.encryptLegacyRecords();
+        } catch (error) {
+            console.error('Error encrypting existing cases:', error);
+        }
+        refreshCaseList();
+    });
+    
+    document.addEventListener('vault:locked', () => {
+        casesCache = [];
+        renderCaseList();
+        clearCaseView();
+    });
+    
+    if (caseSearch) {
+        caseSearch.addEventListener('input', renderCaseList);
+    }
+    
+    caseList.addEventListener('click', async function(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        
+        const caseId = button.closest('.case-item').dataset.caseId;
+        
+        try {
+            if (button.dataset.action === 'open') {
+                await openCase(caseId);
+            } else if (button.dataset.action === 'delete') {
+                if (confirm('Delete this case permanently?')) {
+                    await deleteCase(caseId);
+                }
+            }
+        } catch (error) {
+            console.error('Case action failed:', error);
+            alert('Error: ' + error.message);
+        }
+    });
+}
 
 
 async function startRecording() {
@@ -2315,7 +7768,7 @@ async function setupMediaRecorder() {
             } catch (error) {
                 console.error('Recording stop error:', error);
                 const recordingStatus = document.getElementById('recordingStatus');
-                if (recordingStatus) {
+                if (recordingStatus && !isAbortError(error)) {
                     recordingStatus.innerHTML = `<i class="fas fa-exclamation-circle mr-2"></i> Error: ${error.message}`;
                     recordingStatus.className = 'text-red-600 text-sm mt-2';
                 }
@@ -2485,11 +7938,10 @@ async function transcribeAudio(audioData = null) {
         recordingStatus.classList.add('text-blue-600', 'font-medium');
     }
     
+    const controller = activeRequests.start('transcription');
+    
     try {
         
-        const formData = new FormData();
-        
-        
         let fileName = 'recording.wav';
         let mimeType = blobToTranscribe.type;
         
@@ -2502,77 +7954,48 @@ async function transcribeAudio(audioData = null) {
         }
         
         
-        formData.append('file', blobToTranscribe, fileName);
-        formData.append('model', MODELS.AUDIO_TRANSCRIPTION); 
-        formData.append('language', 'en');
-        formData.append('response_format', 'json');
+        const transcriptionFields = {
+            file: blobToTranscribe,
+            fileName: fileName,
+            model: MODELS.AUDIO_TRANSCRIPTION,
+            language: TRANSCRIPTION_LANGUAGE,
+            responseFormat: 'json',
+            signal: controller.signal
+        };
         
         console.log(`Transcribing audio file: ${fileName}, size: ${blobToTranscribe.size} bytes`);
         
         
-        const makeTranscriptionCall = async () => {
-            const response = await fetch(TRANSCRIPTION_API_URL, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${API_KEY}`
-                },
-                body: formData
-            });
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-                
-                try {
-                    const errorData = JSON.parse(errorText);
-                    if (errorData.error && errorData.error.message) {
-                        errorMessage = errorData.error.message;
-                    }
-                } catch (e) {
-                    
-                }
-                
-                throw new Error(`Transcription API error: ${errorMessage}`);
-            }
-            
-            const data = await response.json();
+        const descriptor = createRequestDescriptor('transcription', MODELS.AUDIO_TRANSCRIPTION, 'transcription', [MODELS.TRANSCRIPTION]);
+        
+        
+        const makeTranscriptionCall = async (request) => {
+            const text = await requestTranscription({ ...transcriptionFields, model: request.model, descriptor: request });
             
-            if (!data.text) {
+            if (!text) {
                 throw new Error('No transcription text returned from API');
             }
             
-            return data.text.trim();
+            return text;
         };
         
         
-        const createFallback = (fallbackLevel) => {
-            return async () => {
+        const createFallback = (fallbackModel, fallbackLevel) => {
+            return async (request) => {
                 if (fallbackLevel === 0) {
                     
-                    console.log('Trying fallback: converting to WAV format');
+                    console.log(`Trying fallback: converting to WAV format for ${fallbackModel}`);
                     
                     try {
                         const wavBlob = await convertAudioToWav(blobToTranscribe);
-                        const fallbackFormData = new FormData();
-                        fallbackFormData.append('file', wavBlob, 'recording.wav');
-                        fallbackFormData.append('model', MODELS.AUDIO_TRANSCRIPTION);
-                        fallbackFormData.append('language', 'en');
-                        fallbackFormData.append('response_format', 'json');
                         
-                        const response = await fetch(TRANSCRIPTION_API_URL, {
-                            method: 'POST',
-                            headers: {
-                                'Authorization': `Bearer ${API_KEY}`
-                            },
-                            body: fallbackFormData
+                        return await requestTranscription({
+                            ...transcriptionFields,
+                            model: request.model,
+                            file: wavBlob,
+                            fileName: 'recording.wav',
+                            descriptor: request
                         });
-                        
-                        if (!response.ok) {
-                            throw new Error(`Fallback transcription failed: ${response.status}`);
-                        }
-                        
-                        const data = await response.json();
-                        return data.text ? data.text.trim() : '';
                     } catch (error) {
                         console.warn('WAV conversion fallback failed:', error);
                         throw error;
@@ -2588,7 +8011,9 @@ async function transcribeAudio(audioData = null) {
         const transcribedText = await makeApiRequestWithMultiFallback(
             makeTranscriptionCall,
             createFallback,
-            null
+            descriptor,
+            null,
+            controller.signal
         );
         
         if (!transcribedText || transcribedText.trim() === '') {
@@ -2622,6 +8047,14 @@ async function transcribeAudio(audioData = null) {
         return transcribedText;
         
     } catch (error) {
+        if (isAbortError(error)) {
+            if (recordingStatus && controller.cancelReason === 'user') {
+                recordingStatus.innerHTML = '<i class="fas fa-ban mr-2"></i> Transcription cancelled.';
+                recordingStatus.className = 'text-gray-500 text-sm mt-2';
+            }
+            throw error;
+        }
+        
         console.error('Error transcribing audio:', error);
         
         
@@ -2633,6 +8066,8 @@ async function transcribeAudio(audioData = null) {
         
         
         throw error;
+    } finally {
+        activeRequests.finish('transcription', controller);
     }
 }
 
@@ -2696,49 +8131,378 @@ async function convertAudioToWav(audioBlob) {
 }
 
 
-function audioBufferToWav(audioBuffer) {
-    const numChannels = audioBuffer.numberOfChannels;
-    const sampleRate = audioBuffer.sampleRate;
-    const format = 1; 
-    const bitDepth = 16;
+function audioBufferToWav(audioBuffer) {
+    const numChannels = audioBuffer.numberOfChannels;
+    const sampleRate = audioBuffer.sampleRate;
+    const format = 1; 
+    const bitDepth = 16;
+    
+    const length = audioBuffer.length * numChannels * 2;
+    const buffer = new ArrayBuffer(44 + length);
+    const view = new DataView(buffer);
+    
+    
+    const writeString = (offset, string) => {
+        for (let i = 0; i < string.length; i++) {
+            view.setUint8(offset + i, string.charCodeAt(i));
+        }
+    };
+    
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + length, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, format, true);
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * numChannels * (bitDepth / 8), true);
+    view.setUint16(32, numChannels * (bitDepth / 8), true);
+    view.setUint16(34, bitDepth, true);
+    writeString(36, 'data');
+    view.setUint32(40, length, true);
+    
+    
+    let offset = 44;
+    for (let i = 0; i < audioBuffer.length; i++) {
+        for (let channel = 0; channel < numChannels; channel++) {
+            const sample = audioBuffer.getChannelData(channel)[i];
+            const intSample = Math.max(-1, Math.min(1, sample)) * 0x7FFF;
+            view.setInt16(offset, intSample, true);
+            offset += 2;
+        }
+    }
+    
+    return new Blob([buffer], { type: 'audio/wav' });
+}
+
+
+const MARKDOWN_SANITIZER_CONFIG = {
+    allowedTags: {
+        p: [], br: [], hr: [], strong: [], em: [], del: [], code: ['class'], pre: [],
+        h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+        ul: [], ol: ['start'], li: [], blockquote: [],
+        table: [], thead: [], tbody: [], tr: [], th: ['align'], td: ['align'],
+        a: ['href', 'title', 'target', 'rel']
+    },
+    droppedTags: ['script', 'style', 'iframe', 'frame', 'object', 'embed', 'template', 'noscript', 'svg', 'math', 'textarea', 'select', 'button', 'form', 'input', 'link', 'meta', 'base', 'title'],
+    allowedSchemes: ['http:', 'https:', 'mailto:', 'tel:']
+};
+
+const MARKDOWN_LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const MARKDOWN_TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+const MARKDOWN_FENCE_PATTERN = /^\s*(```|~~~)\s*([\w+-]*)\s*$/;
+const MARKDOWN_HEADING_LINE_PATTERN = /^#{1,6}\s/;
+
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+
+function sanitizeUrl(url) {
+    const trimmed = String(url || '').trim();
+    if (trimmed.startsWith('#')) return trimmed;
+    
+    try {
+        const parsed = new URL(trimmed, window.location.href);
+        return MARKDOWN_SANITIZER_CONFIG.allowedSchemes.includes(parsed.protocol) ? trimmed : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+
+function isSafeAttributeValue(tag, name, value) {
+    if (name === 'href') return sanitizeUrl(value) !== null;
+    if (name === 'class') return tag === 'code' && /^language-[\w+-]+$/.test(value);
+    if (name === 'align') return /^(left|center|right)$/.test(value);
+    if (name === 'start') return /^\d+$/.test(value);
+    if (name === 'target') return value === '_blank';
+    if (name === 'rel') return value === 'noopener noreferrer';
+    return true;
+}
+
+
+function sanitizeNode(parent) {
+    Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) return;
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            node.remove();
+            return;
+        }
+        
+        const tag = node.tagName.toLowerCase();
+        if (MARKDOWN_SANITIZER_CONFIG.droppedTags.includes(tag)) {
+            node.remove();
+            return;
+        }
+        
+        sanitizeNode(node);
+        
+        
+        const allowedAttributes = MARKDOWN_SANITIZER_CONFIG.allowedTags[tag];
+        if (!allowedAttributes) {
+            node.replaceWith(...node.childNodes);
+            return;
+        }
+        
+        Array.from(node.attributes).forEach(attribute => {
+            const name = attribute.name.toLowerCase();
+            if (!allowedAttributes.includes(name) || !isSafeAttributeValue(tag, name, attribute.value)) {
+                node.removeAttribute(attribute.name);
+            }
+        });
+        
+        if (tag === 'a' && node.hasAttribute('href')) {
+            node.setAttribute('target', '_blank');
+            node.setAttribute('rel', 'noopener noreferrer');
+        }
+    });
+}
+
+
+function sanitizeHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    sanitizeNode(template.content);
+    return template.innerHTML;
+}
+
+
+function renderMarkdownInline(text) {
+    const placeholders = [];
+    const hold = (html) => `\u0000${placeholders.push(html) - 1}\u0000`;
+    
+    let html = text
+        .replace(/`([^`]+)`/g, (match, code) => hold(`<code>${escapeHtml(code)}</code>`))
+        .replace(/\[([^\]]+)\]\(\s*<?((?:[^()\s<>]|\([^()\s]*\))+)>?(?:\s+"([^"]*)")?\s*\)/g, (match, label, url, title) => {
+            const href = sanitizeUrl(url);
+            const labelHtml = renderMarkdownInline(label);
+            if (!href) return hold(labelHtml);
+            
+            const titleAttribute = title ? ` title="${escapeHtml(title)}"` : '';
+            return hold(`<a href="${escapeHtml(href)}"${titleAttribute} target="_blank" rel="noopener noreferrer">${labelHtml}</a>`);
+        });
+    
+    html = escapeHtml(html)
+        .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(?=\S)(.+?)__/g, '<strong>$1</strong>')
+        .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>')
+        .replace(/\*(?=\S)(.+?)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)(.+?)_(?!\w)/g, '$1<em>$2</em>');
+    
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => placeholders[Number(index)]);
+}
+
+
+function getIndentWidth(whitespace) {
+    return whitespace.replace(/\t/g, '    ').length;
+}
+
+
+function splitTableRow(line) {
+    return line
+        .trim()
+        .replace(/^\|/, '')
+        .replace(/(^|[^\\])\|$/, '$1')
+        .split(/(?<!\\)\|/)
+        .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+
+function isMarkdownTableStart(lines, index) {
+    return lines[index].includes('|')
+        && index + 1 < lines.length
+        && MARKDOWN_TABLE_SEPARATOR_PATTERN.test(lines[index + 1])
+        && (lines[index].trim().startsWith('|') || lines[index + 1].includes('|'));
+}
+
+
+function startsMarkdownBlock(lines, index) {
+    const line = lines[index];
+    return /^\s*(```|~~~)/.test(line)
+        || /^\s{0,3}#{1,6}\s/.test(line)
+        || /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)
+        || /^\s{0,3}>/.test(line)
+        || MARKDOWN_LIST_ITEM_PATTERN.test(line)
+        || isMarkdownTableStart(lines, index);
+}
+
+
+function renderMarkdownTable(lines, start) {
+    const header = splitTableRow(lines[start]);
+    const alignments = splitTableRow(lines[start + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        if (cell.startsWith(':')) return 'left';
+        return null;
+    });
     
-    const length = audioBuffer.length * numChannels * 2;
-    const buffer = new ArrayBuffer(44 + length);
-    const view = new DataView(buffer);
+    const cellHtml = (tag, cells) => header.map((unused, column) => {
+        const align = alignments[column] ? ` align="${alignments[column]}"` : '';
+        return `<${tag}${align}>${renderMarkdownInline(cells[column] || '')}</${tag}>`;
+    }).join('');
     
+    let index = start + 2;
+    const rows = [];
+    while (index < lines.length && lines[index].trim() && lines[index].includes('|')) {
+        rows.push(`<tr>${cellHtml('td', splitTableRow(lines[index]))}</tr>`);
+        index++;
+    }
     
-    const writeString = (offset, string) => {
-        for (let i = 0; i < string.length; i++) {
-            view.setUint8(offset + i, string.charCodeAt(i));
+    const body = rows.length > 0 ? `<tbody>${rows.join('')}</tbody>` : '';
+    return { html: `<table><thead><tr>${cellHtml('th', header)}</tr></thead>${body}</table>`, next: index };
+}
+
+
+function renderMarkdownList(lines, start) {
+    const first = lines[start].match(MARKDOWN_LIST_ITEM_PATTERN);
+    const indent = getIndentWidth(first[1]);
+    const ordered = /\d/.test(first[2]);
+    const startNumber = ordered ? parseInt(first[2], 10) : 1;
+    const items = [];
+    let index = start;
+    
+    while (index < lines.length) {
+        const line = lines[index];
+        
+        if (!line.trim()) {
+            
+            let next = index + 1;
+            while (next < lines.length && !lines[next].trim()) next++;
+            
+            const nextMatch = next < lines.length ? lines[next].match(MARKDOWN_LIST_ITEM_PATTERN) : null;
+            if (nextMatch && getIndentWidth(nextMatch[1]) >= indent && (getIndentWidth(nextMatch[1]) >= indent + 2 || /\d/.test(nextMatch[2]) === ordered)) {
+                index = next;
+                continue;
+            }
+            break;
         }
-    };
+        
+        const match = line.match(MARKDOWN_LIST_ITEM_PATTERN);
+        const lineIndent = getIndentWidth(line.match(/^\s*/)[0]);
+        
+        if (lineIndent < indent) break;
+        
+        
+        if (match && lineIndent < indent + 2) {
+            if (/\d/.test(match[2]) !== ordered) break;
+            
+            items.push({ lines: [match[3]], nested: '' });
+            index++;
+        } else if (match && items.length > 0) {
+            const nested = renderMarkdownList(lines, index);
+            items[items.length - 1].nested += nested.html;
+            index = nested.next;
+        } else if (!match && lineIndent >= indent + 2 && items.length > 0) {
+            items[items.length - 1].lines.push(line.trim());
+            index++;
+        } else {
+            break;
+        }
+    }
     
-    writeString(0, 'RIFF');
-    view.setUint32(4, 36 + length, true);
-    writeString(8, 'WAVE');
-    writeString(12, 'fmt ');
-    view.setUint32(16, 16, true);
-    view.setUint16(20, format, true);
-    view.setUint16(22, numChannels, true);
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, sampleRate * numChannels * (bitDepth / 8), true);
-    view.setUint16(32, numChannels * (bitDepth / 8), true);
-    view.setUint16(34, bitDepth, true);
-    writeString(36, 'data');
-    view.setUint32(40, length, true);
+    const tag = ordered ? 'ol' : 'ul';
+    const startAttribute = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+    const itemsHtml = items.map(item => `<li>${item.lines.map(renderMarkdownInline).join('<br>')}${item.nested}</li>`).join('');
     
+    return { html: `<${tag}${startAttribute}>${itemsHtml}</${tag}>`, next: index };
+}
+
+
+function renderMarkdownBlocks(lines, splitLabelLines = false) {
+    const blocks = [];
+    let index = 0;
     
-    let offset = 44;
-    for (let i = 0; i < audioBuffer.length; i++) {
-        for (let channel = 0; channel < numChannels; channel++) {
-            const sample = audioBuffer.getChannelData(channel)[i];
-            const intSample = Math.max(-1, Math.min(1, sample)) * 0x7FFF;
-            view.setInt16(offset, intSample, true);
-            offset += 2;
+    while (index < lines.length) {
+        const line = lines[index];
+        
+        if (!line.trim()) {
+            index++;
+            continue;
+        }
+        
+        
+        const fence = line.match(MARKDOWN_FENCE_PATTERN);
+        if (fence) {
+            const code = [];
+            index++;
+            while (index < lines.length && !lines[index].trim().startsWith(fence[1])) {
+                code.push(lines[index]);
+                index++;
+            }
+            index++;
+            
+            const language = fence[2] ? ` class="language-${fence[2]}"` : '';
+            blocks.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+        
+        
+        const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            const level = heading[1].length;
+            blocks.push(`<h${level}>${renderMarkdownInline(heading[2])}</h${level}>`);
+            index++;
+            continue;
+        }
+        
+        if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            blocks.push('<hr>');
+            index++;
+            continue;
+        }
+        
+        
+        if (/^\s{0,3}>/.test(line)) {
+            const quoted = [];
+            while (index < lines.length && /^\s{0,3}>/.test(lines[index])) {
+                quoted.push(lines[index].replace(/^\s{0,3}>\s?/, ''));
+                index++;
+            }
+            blocks.push(`<blockquote>${renderMarkdownBlocks(quoted, splitLabelLines)}</blockquote>`);
+            continue;
+        }
+        
+        if (isMarkdownTableStart(lines, index)) {
+            const table = renderMarkdownTable(lines, index);
+            blocks.push(table.html);
+            index = table.next;
+            continue;
+        }
+        
+        if (MARKDOWN_LIST_ITEM_PATTERN.test(line)) {
+            const list = renderMarkdownList(lines, index);
+            blocks.push(list.html);
+            index = list.next;
+            continue;
+        }
+        
+        
+        const paragraph = [line.trim()];
+        index++;
+        while (index < lines.length
+            && lines[index].trim()
+            && !startsMarkdownBlock(lines, index)
+            && !(splitLabelLines && lines[index].trim().startsWith('**'))) {
+            paragraph.push(lines[index].trim());
+            index++;
         }
+        blocks.push(`<p>${paragraph.map(renderMarkdownInline).join('<br>')}</p>`);
     }
     
-    return new Blob([buffer], { type: 'audio/wav' });
+    return blocks.join('');
+}
+
+
+function shouldSplitLabelLines(markdown, isSummary) {
+    return isSummary || markdown.includes('Updated Assessment') || markdown.includes('Urgency Level');
 }
 
 
@@ -2746,120 +8510,332 @@ function convertMarkdownToHTML(markdown, isSummary = false) {
     if (!markdown) return '';
     
     
-    let html = markdown
-        .replace(/^### (.*$)/gim, '<h3>$1</h3>')
-        .replace(/^## (.*$)/gim, '<h2>$1</h2>')
-        .replace(/^# (.*$)/gim, '<h1>$1</h1>');
+    const splitLabelLines = shouldSplitLabelLines(markdown, isSummary);
+    const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
     
+    return sanitizeHtml(renderMarkdownBlocks(lines, splitLabelLines));
+}
+
+
+// Cuts fall outside code fences, after a blank line a list cannot continue past, and around unindented headings.
+function findMarkdownBlockBoundary(lines) {
+    const isHeadingLine = (line) => MARKDOWN_HEADING_LINE_PATTERN.test(line) && !line.includes('|');
+    const completeLines = lines.length - 1;
+    let boundary = 0;
+    let fence = null;
+    
+    for (let index = 0; index < completeLines; index++) {
+        const line = lines[index];
+        
+        if (fence) {
+            if (line.trim().startsWith(fence)) fence = null;
+            continue;
+        }
+        
+        if (index > 0) {
+            const previous = lines[index - 1];
+            const afterBlank = !previous.trim() && line.trim() && !MARKDOWN_LIST_ITEM_PATTERN.test(line);
+            if (afterBlank || isHeadingLine(previous) || isHeadingLine(line)) {
+                boundary = index;
+            }
+        }
+        
+        const opener = line.match(MARKDOWN_FENCE_PATTERN);
+        if (opener) fence = opener[1];
+    }
     
-    html = html
-        .replace(/\*\*(.*?)\*\*/gim, '<strong>$1</strong>')
-        .replace(/\*(.*?)\*/gim, '<em>$1</em>')
-        .replace(/__(.*?)__/gim, '<strong>$1</strong>')
-        .replace(/_(.*?)_/gim, '<em>$1</em>');
+    if (!fence && completeLines > 0 && isHeadingLine(lines[completeLines - 1])) {
+        boundary = completeLines;
+    }
+    return boundary;
+}
+
+
+function getTextOffsetWithin(nodes, container, offset) {
+    const range = document.createRange();
+    range.setStart(nodes[0], 0);
+    range.setEnd(container, offset);
+    return range.toString().length;
+}
+
+
+function placeCaretAtTextOffset(nodes, offset) {
+    const selection = window.getSelection();
+    let remaining = offset;
+    let lastText = null;
+    
+    for (const root of nodes) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        let node = root.nodeType === Node.TEXT_NODE ? root : walker.nextNode();
+        
+        while (node) {
+            if (remaining <= node.textContent.length) {
+                selection.collapse(node, remaining);
+                return;
+            }
+            remaining -= node.textContent.length;
+            lastText = node;
+            node = walker.nextNode();
+        }
+    }
     
+    if (lastText) selection.collapse(lastText, lastText.textContent.length);
+}
+
+
+function createStreamingMarkdownRenderer(container, onRender = null, isSummary = false) {
+    let markdown = '';
+    let committedText = '';
+    let committedHtml = '';
+    let committedNodes = [];
+    let tailHtml = '';
+    let tailNodes = [];
+    let splitLabelLines = isSummary;
+    let frame = null;
+    
+    const toNodes = (html) => {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        return Array.from(template.content.childNodes);
+    };
     
-    html = html
-        .replace(/^\s*\*\s(.*$)/gim, '<li>$1</li>')
-        .replace(/^\s*-\s(.*$)/gim, '<li>$1</li>')
-        .replace(/^\s*\d+\.\s(.*$)/gim, '<li>$1</li>');
+    const insertBeforeTail = (nodes) => {
+        const anchor = tailNodes.find(node => node.parentNode === container) || null;
+        nodes.forEach(node => container.insertBefore(node, anchor));
+    };
     
+    const getTailCaretOffset = () => {
+        const selection = window.getSelection();
+        const caretNode = selection && selection.rangeCount > 0 && selection.isCollapsed ? selection.anchorNode : null;
+        if (!caretNode || !tailNodes.some(node => node.contains(caretNode))) return null;
+        
+        return getTextOffsetWithin(tailNodes, caretNode, selection.anchorOffset);
+    };
     
-    html = html
-        .replace(/<li>.*?<\/li>/gs, match => {
-            if (match.includes('</li><li>')) {
-                return '<ul>' + match + '</ul>';
-            }
-            return match;
-        });
+    const replaceTail = (html) => {
+        if (html === tailHtml) return;
+        
+        const last = tailNodes[tailNodes.length - 1];
+        const anchor = last && last.parentNode === container ? last.nextSibling : null;
+        tailNodes.forEach(node => node.remove());
+        
+        tailHtml = html;
+        tailNodes = toNodes(html);
+        tailNodes.forEach(node => container.insertBefore(node, anchor));
+    };
     
+    const reset = () => {
+        committedNodes.forEach(node => node.remove());
+        committedText = '';
+        committedHtml = '';
+        committedNodes = [];
+    };
     
-    if (isSummary || html.includes('Updated Assessment') || html.includes('Urgency Level')) {
+    const render = () => {
+        frame = null;
+        const text = markdown.replace(/\r\n?/g, '\n');
         
-        html = html.replace(/(<strong>)/g, '\n\n$1');
         
+        // Label lines depend on the whole document, so earlier blocks would now split differently.
+        const labelLines = shouldSplitLabelLines(text, isSummary);
+        if (labelLines !== splitLabelLines || !text.startsWith(committedText)) {
+            reset();
+            splitLabelLines = labelLines;
+        }
         
-        html = html.replace(/(<\/li>)\s*\n+\s*(<li>)/g, '$1$2');
-    }
-    
+        const lines = text.slice(committedText.length).split('\n');
+        const boundary = findMarkdownBlockBoundary(lines);
+        const caretOffset = getTailCaretOffset();
+        let redrawnNodes = [];
+        
+        if (boundary > 0) {
+            const completed = lines.slice(0, boundary);
+            const html = sanitizeHtml(renderMarkdownBlocks(completed, splitLabelLines));
+            const nodes = toNodes(html);
+            
+            insertBeforeTail(nodes);
+            committedNodes.push(...nodes);
+            redrawnNodes = nodes;
+            committedText += completed.join('\n') + '\n';
+            committedHtml += html;
+        }
+        
+        const previousTail = tailNodes;
+        replaceTail(sanitizeHtml(renderMarkdownBlocks(lines.slice(boundary), splitLabelLines)));
+        
+        if (caretOffset !== null && tailNodes !== previousTail) {
+            placeCaretAtTextOffset([...redrawnNodes, ...tailNodes], caretOffset);
+        }
+        
+        if (onRender) onRender();
+    };
     
-    const paragraphs = html.split(/\n\s*\n/);
-    html = paragraphs.map(p => {
+    return {
+        update(content) {
+            markdown = content || '';
+            if (frame === null) {
+                frame = requestAnimationFrame(render);
+            }
+        },
+        
+        // If the blocks do not add up to a full render, the document is redrawn once in full.
+        finish() {
+            this.cancel();
+            render();
+            
+            const expected = convertMarkdownToHTML(markdown, isSummary);
+            if (committedHtml + tailHtml !== expected) {
+                console.warn('Incremental markdown render diverged from a full render; redrawing');
+                reset();
+                replaceTail(expected);
+            }
+        },
         
-        if (p.includes('<li>') || p.includes('<h') || p.includes('<strong>') || p.match(/^<[a-z]/i)) {
-            return p;
+        cancel() {
+            if (frame !== null) {
+                cancelAnimationFrame(frame);
+                frame = null;
+            }
+        }
+    };
+}
+
+
+function htmlInlineToMarkdown(nodes) {
+    return Array.from(nodes).map(node => {
+        if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+        
+        const tag = node.tagName.toLowerCase();
+        const inner = htmlInlineToMarkdown(node.childNodes);
+        
+        if (tag === 'br') return '\n';
+        if (!inner.trim()) return inner;
+        if (tag === 'strong' || tag === 'b') return `**${inner}**`;
+        if (tag === 'em' || tag === 'i') return `*${inner}*`;
+        if (tag === 'del' || tag === 's') return `~~${inner}~~`;
+        if (tag === 'code') return `\`${node.textContent}\``;
+        if (tag === 'a' && node.getAttribute('href')) {
+            const title = node.getAttribute('title') ? ` "${node.getAttribute('title')}"` : '';
+            return `[${inner}](${node.getAttribute('href')}${title})`;
         }
-        return `<p>${p}</p>`;
+        if (tag === 'p' || tag === 'div') return inner + '\n';
+        return inner;
     }).join('');
-    
-    
-    html = html.replace(/\n(?![^<]*<\/li>)/g, '<br>');
-    
-    
-    html = html.replace(/<p><\/p>/g, '');
-    
-    return html;
 }
 
 
-function stripHtml(html) {
-    if (!html) return '';
-    
-    
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = html;
-    
+function htmlListToMarkdown(list, depth) {
+    const ordered = list.tagName.toLowerCase() === 'ol';
+    let number = parseInt(list.getAttribute('start') || '1', 10);
+    const indent = '  '.repeat(depth);
+    
+    return Array.from(list.children)
+        .filter(child => child.tagName.toLowerCase() === 'li')
+        .map(item => {
+            const marker = ordered ? `${number++}.` : '-';
+            const nestedLists = Array.from(item.children).filter(child => /^(ul|ol)$/i.test(child.tagName));
+            const text = htmlInlineToMarkdown(Array.from(item.childNodes).filter(child => !nestedLists.includes(child))).trim();
+            const continuation = '\n' + indent + ' '.repeat(marker.length + 1);
+            
+            const lines = [`${indent}${marker} ${text.split('\n').join(continuation)}`];
+            nestedLists.forEach(nested => lines.push(htmlListToMarkdown(nested, depth + 1)));
+            return lines.join('\n');
+        })
+        .join('\n');
+}
+
+
+function htmlTableToMarkdown(table) {
+    const rows = Array.from(table.querySelectorAll('tr'));
+    if (rows.length === 0) return '';
+    
+    const cellsOf = (row) => Array.from(row.children).map(cell => htmlInlineToMarkdown(cell.childNodes).trim().replace(/\|/g, '\\|').replace(/\n/g, ' '));
+    const toRow = (cells) => `| ${cells.join(' | ')} |`;
+    
+    const headerCells = Array.from(rows[0].children);
+    const separator = headerCells.map(cell => {
+        const align = cell.getAttribute('align');
+        if (align === 'center') return ':---:';
+        if (align === 'right') return '---:';
+        if (align === 'left') return ':---';
+        return '---';
+    });
     
-    let text = '';
-    const nodes = tempDiv.childNodes;
+    return [toRow(cellsOf(rows[0])), toRow(separator), ...rows.slice(1).map(row => toRow(cellsOf(row)))].join('\n');
+}
+
+
+// Notes the app adds to streamed output; they are not part of the report text.
+const REPORT_ANNOTATION_SELECTOR = '.stream-continuation-marker, .alert';
+
+
+function htmlBlocksToMarkdown(nodes) {
+    const blocks = [];
+    let inline = [];
+    
+    const flushInline = () => {
+        const text = htmlInlineToMarkdown(inline).trim();
+        if (text) blocks.push(text);
+        inline = [];
+    };
     
-    function processNode(node, level = 0) {
+    Array.from(nodes).forEach(node => {
+        const tag = node.nodeType === Node.ELEMENT_NODE ? node.tagName.toLowerCase() : null;
         
-        if (node.nodeType === Node.TEXT_NODE) {
-            text += node.textContent;
-        } else if (node.nodeType === Node.ELEMENT_NODE) {
-            
-            const tagName = node.tagName.toLowerCase();
-            
-            if (tagName === 'h1') {
-                text += '\n\n# ' + node.textContent + '\n\n';
-            } else if (tagName === 'h2') {
-                text += '\n\n## ' + node.textContent + '\n\n';
-            } else if (tagName === 'h3') {
-                text += '\n\n### ' + node.textContent + '\n\n';
-            } else if (tagName === 'p') {
-                text += '\n\n' + node.textContent + '\n\n';
-            } else if (tagName === 'li') {
-                text += '\n• ' + node.textContent;
-            } else if (tagName === 'strong' || tagName === 'b') {
-                text += node.textContent;
-            } else if (tagName === 'em' || tagName === 'i') {
-                text += node.textContent;
-            } else if (tagName === 'br') {
-                text += '\n';
-            } else if (tagName === 'ul' || tagName === 'ol') {
-                
-                text += '\n';
-                for (let i = 0; i < node.childNodes.length; i++) {
-                    processNode(node.childNodes[i], level + 1);
-                }
-                text += '\n';
-            } else {
-                
-                for (let i = 0; i < node.childNodes.length; i++) {
-                    processNode(node.childNodes[i], level);
-                }
-            }
+        if (tag && node.matches(REPORT_ANNOTATION_SELECTOR)) return;
+        if (!tag || !/^(h[1-6]|p|div|ul|ol|pre|blockquote|hr|table)$/.test(tag)) {
+            inline.push(node);
+            return;
         }
-    }
+        flushInline();
+        
+        
+        if (/^h[1-6]$/.test(tag)) {
+            blocks.push(`${'#'.repeat(Number(tag[1]))} ${htmlInlineToMarkdown(node.childNodes).trim()}`);
+        } else if (tag === 'p') {
+            blocks.push(htmlInlineToMarkdown(node.childNodes).trim());
+        } else if (tag === 'div') {
+            blocks.push(htmlBlocksToMarkdown(node.childNodes));
+        } else if (tag === 'ul' || tag === 'ol') {
+            blocks.push(htmlListToMarkdown(node, 0));
+        } else if (tag === 'pre') {
+            const code = node.querySelector('code');
+            const language = ((code && code.className) || '').replace(/^language-/, '');
+            blocks.push('```' + language + '\n' + node.textContent.replace(/\n$/, '') + '\n```');
+        } else if (tag === 'blockquote') {
+            blocks.push(htmlBlocksToMarkdown(node.childNodes).split('\n').map(line => `> ${line}`.trimEnd()).join('\n'));
+        } else if (tag === 'hr') {
+            blocks.push('---');
+        } else if (tag === 'table') {
+            blocks.push(htmlTableToMarkdown(node));
+        }
+    });
+    flushInline();
     
+    return blocks.filter(block => block.trim()).join('\n\n');
+}
+
+
+function markdownInlineToPlainText(text) {
+    return text
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => label === url ? label : `${label} (${url})`)
+        .replace(/\*\*(.+?)\*\*|__(.+?)__/g, '$1$2')
+        .replace(/~~(.+?)~~/g, '$1')
+        .replace(/\*(\S.*?)\*/g, '$1')
+        .replace(/`([^`]+)`/g, '$1');
+}
+
+
+// convertMarkdownToHTML(stripHtml(html)) renders the same document, including hand edits.
+function stripHtml(html) {
+    if (!html) return '';
     
-    for (let i = 0; i < nodes.length; i++) {
-        processNode(nodes[i]);
-    }
     
+    const template = document.createElement('template');
+    template.innerHTML = html;
     
-    return text
+    return htmlBlocksToMarkdown(template.content.childNodes)
         .replace(/\n{3,}/g, '\n\n')
         .replace(/^\s+|\s+$/g, '');
 }
@@ -2877,13 +8853,88 @@ document.getElementById('reportType').addEventListener('change', function() {
 });
 
 
+const REPORT_MIN_COMPLETION_TOKENS = 1000;
+
+
+function buildReportMessages({ reportType, patientName, patientId, patientAge, patientGender, currentDate, transcribedText, additionalNotes }) {
+    const reportPrompt = renderPromptTemplate('report', {
+        reportType, patientName, patientId, patientAge, patientGender,
+        reportDate: currentDate,
+        findings: transcribedText,
+        notes: additionalNotes
+    });
+    
+    return {
+        messages: [
+            { role: 'system', content: reportPrompt.system },
+            { role: 'user', content: reportPrompt.user }
+        ],
+        template: reportPrompt.template
+    };
+}
+
+
+let reportTokenUsageTimer = null;
+
+
+async function updateReportTokenUsage() {
+    const usageElement = document.getElementById('reportTokenUsage');
+    if (!usageElement) return;
+    
+    const transcribedText = document.getElementById('transcribedText').value;
+    const additionalNotes = document.getElementById('additionalNotes').value;
+    
+    if (!transcribedText && !additionalNotes) {
+        usageElement.textContent = '';
+        usageElement.classList.remove('text-red-600');
+        return;
+    }
+    
+    const { messages } = buildReportMessages({
+        reportType: document.getElementById('reportType').value || 'medical',
+        patientName: document.getElementById('patientName').value,
+        patientId: document.getElementById('patientId').value,
+        patientAge: document.getElementById('reportPatientAge').value,
+        patientGender: document.getElementById('reportPatientGender').value,
+        currentDate: new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+        transcribedText: transcribedText,
+        additionalNotes: additionalNotes
+    });
+    
+    try {
+        const budget = await tokenBudgeter.planCompletion(messages, MODELS.REPORT, REPORT_MIN_COMPLETION_TOKENS, REPORT_MIN_COMPLETION_TOKENS);
+        usageElement.textContent = `Prompt: ${budget.promptTokens.toLocaleString()}${budget.exact ? '' : ' (estimated)'} of ${budget.contextWindow.toLocaleString()} tokens`;
+        usageElement.classList.remove('text-red-600');
+    } catch (error) {
+        if (!(error instanceof TokenBudgetError)) throw error;
+        
+        usageElement.textContent = error.message;
+        usageElement.classList.add('text-red-600');
+    }
+}
+
+
+function scheduleReportTokenUsage() {
+    clearTimeout(reportTokenUsageTimer);
+    reportTokenUsageTimer = setTimeout(() => {
+        updateReportTokenUsage().catch(error => console.error('Failed to count report tokens:', error));
+    }, 300);
+}
+
+
+['transcribedText', 'additionalNotes'].forEach(id => {
+    document.getElementById(id).addEventListener('input', scheduleReportTokenUsage);
+});
+
+
 document.getElementById('reportForm').addEventListener('submit', async (e) => {
     e.preventDefault();
     
     
-    if (!API_KEY || API_KEY.trim() === '') {
+    const configError = getLlmProviderConfigError();
+    if (configError) {
         const reportErrorElement = document.getElementById('reportError');
-        reportErrorElement.textContent = 'Error: API key is missing. Please check your configuration.';
+        reportErrorElement.textContent = `Error: ${configError} Please check your configuration.`;
         reportErrorElement.classList.remove('d-none');
         return;
     }
@@ -2933,41 +8984,26 @@ document.getElementById('reportForm').addEventListener('submit', async (e) => {
     
     showElement(reportLoadingElement);
     
+    const controller = activeRequests.start('report');
+    
     try {
         console.log('Generating report...');
         
         
-        const totalInputLength = transcribedText.length + additionalNotes.length;
-        if (totalInputLength > 30000) { 
-            throw new Error('The combined text is too long. Please reduce the content length.');
-        }
-        
+        phiRedactor.clearIdentifiers();
+        phiRedactor.registerIdentifier('NAME', patientName);
+        phiRedactor.registerIdentifier('ID', patientId);
         
-        const dynamicTokens = Math.min(4000, 1000 + Math.floor(totalInputLength / 3));
         
+        const { messages, template: reportTemplate } = buildReportMessages({
+            reportType, patientName, patientId, patientAge, patientGender, currentDate, transcribedText, additionalNotes
+        });
         
-        const systemPrompt = `Format the given information into a professional ${reportType} report with standard medical sections. Use proper markdown formatting (# for main headings, ## for subheadings, etc.) for section titles. Do not use HTML tags. Include a proper header with patient details and date. Be concise but complete.`;
         
-        const userPrompt = `Format as ${reportType} report:
-
-REPORT HEADER:
-- Patient Name: ${patientName}
-- Patient ID: ${patientId}
-- Age: ${patientAge}
-- Gender: ${patientGender}
-- Date of Report: ${currentDate}
-
-Findings: ${transcribedText}
-Notes: ${additionalNotes}
-
-Include these sections:
-1. Patient Information
-2. Examination Details
-3. Findings
-4. Impression/Conclusion
-5. Recommendations
-
-Format it professionally with clear section headers using markdown formatting (# for headings, * for lists, etc.). Do not use HTML tags. Ensure the report is complete and no content is cut off.`;
+        const { tokens: inputTokens } = await tokenBudgeter.countTokens(`${transcribedText}\n${additionalNotes}`, MODELS.REPORT);
+        const budget = await tokenBudgeter.planCompletion(messages, MODELS.REPORT, Math.min(4000, 1000 + inputTokens), REPORT_MIN_COMPLETION_TOKENS);
+        const dynamicTokens = budget.maxTokens;
+        console.log(`Report prompt uses ${budget.promptTokens}${budget.exact ? '' : ' (estimated)'} tokens, allowing ${dynamicTokens} for the report`);
 
         
         const formattedReportElement = document.getElementById('formattedReport');
@@ -2995,10 +9031,7 @@ Format it professionally with clear section headers using markdown formatting (#
         reportLoadingElement.classList.add('d-none');
         
         
-        const messages = [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt }
-        ];
+        document.getElementById('reportTemplateVersion').textContent = `Prompt template: ${formatPromptVersion(reportTemplate.name, reportTemplate.version)}`;
         
         
         const formattedReport = await streamResponse(
@@ -3006,11 +9039,23 @@ Format it professionally with clear section headers using markdown formatting (#
             messages,
             dynamicTokens,
             formattedReportElement,
-            'REPORT'
+            'REPORT',
+            controller.signal
         );
         
     } catch (error) {
+        if (isAbortError(error)) {
+            if (controller.cancelReason === 'user') {
+                hideElement(reportLoadingElement);
+                reportErrorElement.textContent = 'Report generation was stopped. The partial report above can still be edited.';
+                reportErrorElement.classList.remove('d-none');
+            }
+            return;
+        }
+        
         handleReportError(error);
+    } finally {
+        activeRequests.finish('report', controller);
     }
 });
 
@@ -3137,21 +9182,27 @@ document.getElementById('downloadPdf').addEventListener('click', () => {
         const lineHeight = 5;
         
         
+        const ensureSpace = (height) => {
+            if (cursorY + height > pageHeight - margin) {
+                doc.addPage();
+                cursorY = margin + 10;
+            }
+        };
+        
+        
         for (let i = 0; i < paragraphs.length; i++) {
             const paragraph = paragraphs[i].trim();
+            const paragraphLines = paragraph.split('\n');
             
             
             if (paragraph.startsWith('# ')) {
                 
-                if (cursorY + 10 > pageHeight - margin) {
-                    doc.addPage();
-                    cursorY = margin + 10;
-                }
+                ensureSpace(10);
                 
                 doc.setFont('helvetica', 'bold');
                 doc.setFontSize(12);
                 doc.setTextColor(0, 51, 102);
-                doc.text(paragraph.replace(/^# /, ''), margin, cursorY);
+                doc.text(markdownInlineToPlainText(paragraph.replace(/^# /, '')), margin, cursorY);
                 cursorY += 7;
                 
                 
@@ -3159,42 +9210,72 @@ document.getElementById('downloadPdf').addEventListener('click', () => {
                 doc.setLineWidth(0.2);
                 doc.line(margin, cursorY - 2, pageWidth - margin, cursorY - 2);
                 
-            } else if (paragraph.startsWith('## ')) {
+            } else if (/^#{2,6} /.test(paragraph)) {
                 
-                if (cursorY + 8 > pageHeight - margin) {
-                    doc.addPage();
-                    cursorY = margin + 10;
-                }
+                ensureSpace(8);
                 
                 doc.setFont('helvetica', 'bold');
                 doc.setFontSize(11);
-                doc.text(paragraph.replace(/^## /, ''), margin, cursorY);
+                doc.text(markdownInlineToPlainText(paragraph.replace(/^#{2,6} /, '')), margin, cursorY);
                 cursorY += 6;
                 
-            } else if (paragraph.startsWith('• ') || paragraph.startsWith('* ')) {
-                
-                const bulletText = paragraph.replace(/^[•*] /, '');
-                const bulletLines = doc.splitTextToSize(bulletText, contentWidth - 5);
-                
-                if (cursorY + (bulletLines.length * lineHeight) > pageHeight - margin) {
-                    doc.addPage();
-                    cursorY = margin + 10;
-                }
+            } else if (MARKDOWN_LIST_ITEM_PATTERN.test(paragraphLines[0]) || paragraph.startsWith('• ')) {
                 
                 doc.setFont('helvetica', 'normal');
                 doc.setFontSize(10);
-                doc.text('•', margin, cursorY);
-                doc.text(bulletLines, margin + 5, cursorY);
-                cursorY += bulletLines.length * lineHeight;
+                
+                paragraphLines.forEach(line => {
+                    const item = line.match(MARKDOWN_LIST_ITEM_PATTERN) || line.match(/^(\s*)(•)\s+(.*)$/);
+                    const depth = Math.floor(getIndentWidth(line.match(/^\s*/)[0]) / 2);
+                    const itemIndent = margin + depth * 5;
+                    const bulletText = markdownInlineToPlainText(item ? item[3] : line.trim());
+                    const bulletLines = doc.splitTextToSize(bulletText, contentWidth - 7 - depth * 5);
+                    
+                    ensureSpace(bulletLines.length * lineHeight);
+                    
+                    if (item) {
+                        doc.text(/\d/.test(item[2]) ? item[2] : '•', itemIndent, cursorY);
+                    }
+                    doc.text(bulletLines, itemIndent + 7, cursorY);
+                    cursorY += bulletLines.length * lineHeight;
+                });
+                cursorY += 2;
+                
+            } else if (paragraph.startsWith('```')) {
+                
+                const codeLines = paragraphLines.slice(1, paragraphLines[paragraphLines.length - 1].startsWith('```') ? -1 : undefined);
+                
+                doc.setFont('courier', 'normal');
+                doc.setFontSize(9);
+                codeLines.forEach(line => {
+                    ensureSpace(lineHeight);
+                    doc.text(line, margin + 2, cursorY);
+                    cursorY += lineHeight;
+                });
+                cursorY += 2;
+                
+            } else if (paragraph.startsWith('|') && paragraphLines.length > 1 && MARKDOWN_TABLE_SEPARATOR_PATTERN.test(paragraphLines[1])) {
+                
+                const rows = paragraphLines.filter((line, index) => index !== 1).map(splitTableRow);
+                const columnWidth = contentWidth / Math.max(1, rows[0].length);
+                
+                rows.forEach((cells, rowIndex) => {
+                    const cellLines = cells.map(cell => doc.splitTextToSize(markdownInlineToPlainText(cell), columnWidth - 2));
+                    const rowHeight = Math.max(...cellLines.map(lines => lines.length)) * lineHeight;
+                    
+                    ensureSpace(rowHeight);
+                    doc.setFont('helvetica', rowIndex === 0 ? 'bold' : 'normal');
+                    doc.setFontSize(9);
+                    cellLines.forEach((lines, column) => doc.text(lines, margin + column * columnWidth, cursorY));
+                    cursorY += rowHeight + 1;
+                });
+                cursorY += 2;
                 
             } else {
                 
-                const lines = doc.splitTextToSize(paragraph, contentWidth);
+                const lines = doc.splitTextToSize(markdownInlineToPlainText(paragraph.replace(/^> ?/gm, '')), contentWidth);
                 
-                if (cursorY + (lines.length * lineHeight) > pageHeight - margin) {
-                    doc.addPage();
-                    cursorY = margin + 10;
-                }
+                ensureSpace(lines.length * lineHeight);
                 
                 doc.setFont('helvetica', 'normal');
                 doc.setFontSize(10);
@@ -3232,7 +9313,7 @@ function handleReportError(error) {
     reportErrorElement.classList.remove('d-none');
     
     
-    if (error.message && error.message.includes('400')) {
+    if (!(error instanceof TokenBudgetError) && error.message && error.message.includes('400')) {
         reportErrorElement.innerHTML = 'Error 400: Bad Request. This could be due:<br>' +
             '- Invalid API key<br>' +
             '- Model not available in your region<br>' +
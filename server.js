@@ -0,0 +1,367 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { Readable, pipeline } = require('stream');
+
+const SERVER_CONFIG = {
+    port: parseInt(process.env.PORT || '8080', 10),
+    host: process.env.HOST || '127.0.0.1',
+    upstreamBaseUrl: (process.env.UPSTREAM_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+    apiKey: process.env.OPENAI_API_KEY || '',
+    rateLimitPerMinute: parseInt(process.env.RATE_LIMIT_PER_MINUTE || '20', 10),
+    globalRateLimitPerMinute: parseInt(process.env.GLOBAL_RATE_LIMIT_PER_MINUTE || '60', 10),
+    rateLimitResetTime: 60000,
+    maxJsonBodyBytes: 1024 * 1024,
+    maxAudioBodyBytes: 25 * 1024 * 1024,
+    allowedModels: (process.env.ALLOWED_MODELS || '')
+        .split(',')
+        .map(model => model.trim())
+        .filter(Boolean)
+};
+
+const STATIC_FILES = {
+    '/': 'index.html',
+    '/index.html': 'index.html',
+    '/app.html': 'app.html',
+    '/script.js': 'script.js',
+    '/styles.css': 'styles.css',
+    '/vendor/js-tiktoken/lite.js': 'vendor/js-tiktoken/lite.js',
+    '/vendor/js-tiktoken/base64-js.js': 'vendor/js-tiktoken/base64-js.js',
+    '/vendor/js-tiktoken/ranks/o200k_base.js': 'vendor/js-tiktoken/ranks/o200k_base.js',
+    '/vendor/js-tiktoken/ranks/cl100k_base.js': 'vendor/js-tiktoken/ranks/cl100k_base.js'
+};
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8'
+};
+
+
+class HttpError extends Error {
+    constructor(status, message, headers = {}) {
+        super(message);
+        this.status = status;
+        this.headers = headers;
+    }
+}
+
+
+const rateLimiter = {
+    clients: new Map(),
+    global: [],
+
+    cleanup(timestamps, currentTime) {
+        const windowStart = currentTime - SERVER_CONFIG.rateLimitResetTime;
+        while (timestamps.length > 0 && timestamps[0] < windowStart) {
+            timestamps.shift();
+        }
+    },
+
+    getWaitTime(timestamps, limit, currentTime) {
+        this.cleanup(timestamps, currentTime);
+        if (timestamps.length < limit) return 0;
+        return Math.max(0, (timestamps[0] + SERVER_CONFIG.rateLimitResetTime) - currentTime);
+    },
+
+    acquire(clientId) {
+        const now = Date.now();
+
+        if (!this.clients.has(clientId)) {
+            this.clients.set(clientId, []);
+        }
+        const clientRequests = this.clients.get(clientId);
+
+        const waitTime = Math.max(
+            this.getWaitTime(clientRequests, SERVER_CONFIG.rateLimitPerMinute, now),
+            this.getWaitTime(this.global, SERVER_CONFIG.globalRateLimitPerMinute, now)
+        );
+
+        if (waitTime > 0) {
+            return waitTime;
+        }
+
+        clientRequests.push(now);
+        this.global.push(now);
+        return 0;
+    },
+
+    prune() {
+        const now = Date.now();
+        for (const [clientId, timestamps] of this.clients) {
+            this.cleanup(timestamps, now);
+            if (timestamps.length === 0) {
+                this.clients.delete(clientId);
+            }
+        }
+    }
+};
+
+
+function getClientId(req) {
+    return req.socket.remoteAddress || 'unknown';
+}
+
+
+function sendJson(res, status, payload, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(payload));
+}
+
+
+function sendError(res, status, message, headers = {}) {
+    sendJson(res, status, { error: { message } }, headers);
+}
+
+
+function readBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                reject(new HttpError(413, `Request body exceeds ${maxBytes} bytes`));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+
+async function readJsonBody(req) {
+    const body = await readBody(req, SERVER_CONFIG.maxJsonBodyBytes);
+
+    try {
+        return JSON.parse(body.toString('utf8'));
+    } catch (error) {
+        throw new HttpError(400, 'Request body must be valid JSON');
+    }
+}
+
+
+function validateChatPayload(payload) {
+    if (!payload || !Array.isArray(payload.messages) || payload.messages.length === 0) {
+        throw new HttpError(400, 'Request must include a non-empty messages array');
+    }
+    if (!payload.model || typeof payload.model !== 'string') {
+        throw new HttpError(400, 'Request must include a model');
+    }
+    if (SERVER_CONFIG.allowedModels.length > 0 && !SERVER_CONFIG.allowedModels.includes(payload.model)) {
+        throw new HttpError(403, `Model ${payload.model} is not allowed`);
+    }
+}
+
+
+function enforceRateLimit(req) {
+    const waitTime = rateLimiter.acquire(getClientId(req));
+
+    if (waitTime > 0) {
+        throw new HttpError(429, 'Rate limit exceeded. Please wait before sending more requests.', {
+            'Retry-After': String(Math.ceil(waitTime / 1000))
+        });
+    }
+}
+
+
+function createUpstreamAbort(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            controller.abort();
+        }
+    });
+    return controller.signal;
+}
+
+
+async function forwardUpstreamError(upstream, res) {
+    const errorText = await upstream.text().catch(() => '');
+    let message = `Upstream request failed with status ${upstream.status}`;
+
+    try {
+        const errorData = JSON.parse(errorText);
+        if (errorData.error && errorData.error.message) {
+            message = errorData.error.message;
+        }
+    } catch (e) {
+
+    }
+
+    const headers = {};
+    const retryAfter = upstream.headers.get('retry-after');
+    if (retryAfter) {
+        headers['Retry-After'] = retryAfter;
+    }
+
+    sendError(res, upstream.status, message, headers);
+}
+
+
+async function handleChat(req, res, stream) {
+    const payload = await readJsonBody(req);
+    validateChatPayload(payload);
+    enforceRateLimit(req);
+
+    if (stream) {
+        payload.stream = true;
+    } else {
+        delete payload.stream;
+    }
+
+    const upstream = await fetch(`${SERVER_CONFIG.upstreamBaseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${SERVER_CONFIG.apiKey}`
+        },
+        body: JSON.stringify(payload),
+        signal: createUpstreamAbort(res)
+    });
+
+    if (!upstream.ok) {
+        await forwardUpstreamError(upstream, res);
+        return;
+    }
+
+    if (!stream) {
+        sendJson(res, 200, await upstream.json());
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    pipeline(Readable.fromWeb(upstream.body), res, (error) => {
+        if (!error || error.name === 'AbortError' || error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+            return;
+        }
+        console.error(`Stream error on ${req.method} ${req.url}:`, error);
+    });
+}
+
+
+async function handleTranscribe(req, res) {
+    const contentType = req.headers['content-type'] || '';
+    if (!contentType.startsWith('multipart/form-data')) {
+        throw new HttpError(400, 'Transcription requests must be multipart/form-data');
+    }
+
+    enforceRateLimit(req);
+    const body = await readBody(req, SERVER_CONFIG.maxAudioBodyBytes);
+
+    const upstream = await fetch(`${SERVER_CONFIG.upstreamBaseUrl}/audio/transcriptions`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': contentType,
+            'Authorization': `Bearer ${SERVER_CONFIG.apiKey}`
+        },
+        body: body,
+        signal: createUpstreamAbort(res)
+    });
+
+    if (!upstream.ok) {
+        await forwardUpstreamError(upstream, res);
+        return;
+    }
+
+    sendJson(res, 200, await upstream.json());
+}
+
+
+function serveStatic(req, res, pathname) {
+    const fileName = STATIC_FILES[pathname];
+    if (!fileName) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    const filePath = path.join(__dirname, fileName);
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            sendError(res, 404, 'Not found');
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(fileName)] || 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(req.method === 'HEAD' ? undefined : content);
+    });
+}
+
+
+async function handleRequest(req, res) {
+    const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (pathname === '/api/health' && req.method === 'GET') {
+        sendJson(res, 200, { ok: true, configured: Boolean(SERVER_CONFIG.apiKey) });
+        return;
+    }
+
+    if (pathname.startsWith('/api/')) {
+        if (req.method !== 'POST') {
+            throw new HttpError(405, 'Method not allowed', { 'Allow': 'POST' });
+        }
+        if (!SERVER_CONFIG.apiKey) {
+            throw new HttpError(503, 'The server has no API key configured. Set OPENAI_API_KEY and restart.');
+        }
+
+        if (pathname === '/api/chat') {
+            await handleChat(req, res, false);
+        } else if (pathname === '/api/chat/stream') {
+            await handleChat(req, res, true);
+        } else if (pathname === '/api/transcribe') {
+            await handleTranscribe(req, res);
+        } else {
+            throw new HttpError(404, 'Not found');
+        }
+        return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        throw new HttpError(405, 'Method not allowed', { 'Allow': 'GET, HEAD' });
+    }
+
+    serveStatic(req, res, pathname);
+}
+
+
+const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+        if (error.name === 'AbortError') {
+            return;
+        }
+
+        const status = error instanceof HttpError ? error.status : 502;
+        const headers = error instanceof HttpError ? error.headers : {};
+
+        if (!(error instanceof HttpError)) {
+            const requestId = req.headers['x-request-id'] ? ` (request ${req.headers['x-request-id']})` : '';
+            console.error(`Proxy error on ${req.method} ${req.url}${requestId}:`, error);
+        }
+
+        if (res.headersSent) {
+            res.destroy();
+            return;
+        }
+
+        sendError(res, status, error.message, headers);
+    });
+});
+
+setInterval(() => rateLimiter.prune(), SERVER_CONFIG.rateLimitResetTime).unref();
+
+server.listen(SERVER_CONFIG.port, SERVER_CONFIG.host, () => {
+    console.log(`HealthcareAssistant server listening on http://${SERVER_CONFIG.host}:${SERVER_CONFIG.port}`);
+    if (!SERVER_CONFIG.apiKey) {
+        console.warn('OPENAI_API_KEY is not set; /api routes will return 503 until it is configured.');
+    }
+});
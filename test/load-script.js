@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+
+function createElementStub() {
+    return {
+        addEventListener() {},
+        removeEventListener() {},
+        appendChild() {},
+        setAttribute() {},
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        style: {},
+        dataset: {}
+    };
+}
+
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+
+// Copies results out of the script's realm so deepStrictEqual can compare them with literals.
+function toPlainData(value) {
+    return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+
+function readScript() {
+    return fs.readFileSync(path.join(ROOT, 'script.js'), 'utf8');
+}
+
+
+function loadScript() {
+    const context = {
+        console: { log() {}, warn() {}, error() {} },
+        document: {
+            addEventListener() {},
+            getElementById: () => createElementStub(),
+            createElement: () => createElementStub(),
+            querySelector: () => null,
+            querySelectorAll: () => []
+        },
+        location: { search: '', href: 'http://localhost:8080/app.html', origin: 'http://localhost:8080' },
+        navigator: {},
+        localStorage: createStorage(),
+        addEventListener() {},
+        setTimeout,
+        clearTimeout,
+        requestAnimationFrame: (callback) => setTimeout(callback, 0),
+        cancelAnimationFrame: clearTimeout,
+        URL,
+        URLSearchParams,
+        TextEncoder,
+        TextDecoder,
+        AbortController
+    };
+    context.window = context;
+    vm.createContext(context);
+    vm.runInContext(readScript(), context, { filename: 'script.js' });
+    
+    return (expression) => toPlainData(vm.runInContext(expression, context));
+}
+
+
+function loadScriptWithDom() {
+    const { JSDOM, VirtualConsole } = require('jsdom');
+    const html = fs.readFileSync(path.join(ROOT, 'app.html'), 'utf8').replace(/<script[\s\S]*?<\/script>/g, '');
+    const dom = new JSDOM(html, {
+        url: 'http://localhost:8080/app.html',
+        runScripts: 'outside-only',
+        virtualConsole: new VirtualConsole()
+    });
+    dom.window.eval(readScript());
+    
+    const run = (expression) => toPlainData(dom.window.eval(expression));
+    run.close = () => dom.window.close();
+    return run;
+}
+
+
+module.exports = { loadScript, loadScriptWithDom };
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript, loadScriptWithDom } = require('./load-script');
+
+const REPORT_MARKDOWN = [
+    '# Discharge summary',
+    '',
+    '**Patient:** Jane Doe',
+    '',
+    '## Findings',
+    '',
+    '1. Throbbing headache',
+    '2. Photophobia',
+    '   - worse in the morning',
+    '',
+    '> Seen with her partner.',
+    '',
+    '| Test | Result |',
+    '| --- | --- |',
+    '| CT | Normal |',
+    '',
+    '```',
+    'BP 148/92',
+    '```',
+    '',
+    'See [guidance](https://example.org) and take *ibuprofen* with `food`.'
+].join('\n');
+
+
+test('escapeHtml escapes markup and quotes', () => {
+    const run = loadScript();
+    
+    assert.strictEqual(
+        run(`escapeHtml('<a href="x">Tom & Jerry\\'s</a>')`),
+        '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;'
+    );
+});
+
+
+test('sanitizeUrl keeps allowed schemes, anchors and relative links only', () => {
+    const run = loadScript();
+    
+    assert.deepStrictEqual(
+        run(`['https://example.com', 'mailto:a@b.c', '#top', '/relative'].map(sanitizeUrl)`),
+        ['https://example.com', 'mailto:a@b.c', '#top', '/relative']
+    );
+    assert.deepStrictEqual(
+        run(`['javascript:alert(1)', ' JAVASCRIPT:alert(1)', 'data:text/html,x'].map(sanitizeUrl)`),
+        [null, null, null]
+    );
+});
+
+
+test('renderMarkdownBlocks renders headings, nested ordered lists, quotes and code', () => {
+    const run = loadScript();
+    
+    const lines = ['# Title', '', 'Some **bold** and `<code>`', '', '3. three', '4. four', '   - nested', '', '> quote', '', '```js', '<b>x</b>', '```'];
+    assert.strictEqual(
+        run(`renderMarkdownBlocks(${JSON.stringify(lines)})`),
+        '<h1>Title</h1>'
+            + '<p>Some <strong>bold</strong> and <code>&lt;code&gt;</code></p>'
+            + '<ol start="3"><li>three</li><li>four<ul><li>nested</li></ul></li></ol>'
+            + '<blockquote><p>quote</p></blockquote>'
+            + '<pre><code class="language-js">&lt;b&gt;x&lt;/b&gt;</code></pre>'
+    );
+});
+
+
+test('renderMarkdownBlocks renders tables with column alignment', () => {
+    const run = loadScript();
+    
+    const html = run(`renderMarkdownBlocks(['| A | B |', '| --- | :---: |', '| 1 | 2 |'])`);
+    assert.match(html, /^<table/);
+    assert.match(html, /<th[^>]*>A<\/th>/);
+    assert.match(html, /<td align="center">2<\/td>/);
+});
+
+
+test('links with disallowed schemes are rendered as plain text', () => {
+    const run = loadScript();
+    
+    assert.strictEqual(
+        run(`renderMarkdownBlocks(['[link](javascript:alert(1)) and [ok](https://x.org)'])`),
+        '<p>link and <a href="https://x.org" target="_blank" rel="noopener noreferrer">ok</a></p>'
+    );
+});
+
+
+test('raw HTML in markdown is shown as text', () => {
+    const run = loadScript();
+    
+    assert.strictEqual(
+        run(`renderMarkdownBlocks(['Hello <script>alert(1)</script>'])`),
+        '<p>Hello &lt;script&gt;alert(1)&lt;/script&gt;</p>'
+    );
+});
+
+
+test('sanitizeHtml drops scripts, event handlers and unsafe links', () => {
+    const run = loadScriptWithDom();
+    
+    try {
+        assert.strictEqual(
+            run(`sanitizeHtml('<p onclick="x()">Hi <script>alert(1)</script><img src=x onerror=alert(1)><a href="javascript:alert(1)">bad</a> <a href="https://x.org" onmouseover="y">ok</a> <custom-tag>text</custom-tag><iframe src="https://x.org">in</iframe><code class="language-js evil">c</code></p>')`),
+            '<p>Hi <a>bad</a> <a href="https://x.org" target="_blank" rel="noopener noreferrer">ok</a> text<code>c</code></p>'
+        );
+    } finally {
+        run.close();
+    }
+});
+
+
+test('stripHtml turns rendered markdown back into markdown that renders the same', () => {
+    const run = loadScriptWithDom();
+    
+    try {
+        const html = run(`convertMarkdownToHTML(${JSON.stringify(REPORT_MARKDOWN)})`);
+        const markdown = run(`stripHtml(${JSON.stringify(html)})`);
+        
+        assert.strictEqual(run(`convertMarkdownToHTML(${JSON.stringify(markdown)})`), html);
+        assert.match(markdown, /^# Discharge summary/);
+        assert.match(markdown, /\| CT \| Normal \|/);
+    } finally {
+        run.close();
+    }
+});
+
+
+test('stripHtml keeps edits made in the rendered report', () => {
+    const run = loadScriptWithDom();
+    
+    try {
+        const html = run(`convertMarkdownToHTML(${JSON.stringify(REPORT_MARKDOWN)})`).replace('Photophobia', 'Photophobia and <b>nausea</b>');
+        
+        assert.match(run(`stripHtml(${JSON.stringify(html)})`), /2\. Photophobia and \*\*nausea\*\*/);
+    } finally {
+        run.close();
+    }
+});
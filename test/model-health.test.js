@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./load-script');
+
+
+function openCircuit(run, model) {
+    for (let i = 0; i < run('CIRCUIT_BREAKER_CONFIG.failureThreshold'); i++) {
+        run(`modelHealth.recordFailure('${model}', 500, 'Server error')`);
+    }
+}
+
+
+function expireCoolDown(run, model) {
+    run(`modelHealth.get('${model}').openedAt = Date.now() - modelHealth.get('${model}').coolDownMs - 1`);
+}
+
+
+test('a model opens after the failure threshold and is skipped while cooling down', () => {
+    const run = loadScript();
+    
+    openCircuit(run, 'gpt-a');
+    
+    assert.strictEqual(run(`modelHealth.get('gpt-a').state`), 'open');
+    assert.strictEqual(run(`modelHealth.acquire('gpt-a')`), false);
+    assert.deepStrictEqual(
+        run(`modelHealth.orderChain([{ model: 'gpt-a' }, { model: 'gpt-b' }]).map(entry => entry.model)`),
+        ['gpt-b']
+    );
+});
+
+
+test('only one half-open probe is let through after the cool-down', () => {
+    const run = loadScript();
+    
+    openCircuit(run, 'gpt-a');
+    expireCoolDown(run, 'gpt-a');
+    
+    assert.strictEqual(run(`modelHealth.acquire('gpt-a')`), true);
+    assert.strictEqual(run(`modelHealth.get('gpt-a').state`), 'half-open');
+    assert.strictEqual(run(`modelHealth.acquire('gpt-a')`), false);
+});
+
+
+test('a successful probe closes the circuit', () => {
+    const run = loadScript();
+    
+    openCircuit(run, 'gpt-a');
+    expireCoolDown(run, 'gpt-a');
+    run(`modelHealth.acquire('gpt-a')`);
+    run(`modelHealth.recordSuccess('gpt-a', 200)`);
+    
+    assert.strictEqual(run(`modelHealth.get('gpt-a').state`), 'closed');
+    assert.strictEqual(run(`modelHealth.get('gpt-a').consecutiveFailures`), 0);
+});
+
+
+test('a failed probe reopens the circuit with a longer cool-down', () => {
+    const run = loadScript();
+    
+    openCircuit(run, 'gpt-a');
+    expireCoolDown(run, 'gpt-a');
+    run(`modelHealth.acquire('gpt-a')`);
+    run(`modelHealth.recordFailure('gpt-a', 503, 'Unavailable')`);
+    
+    assert.strictEqual(run(`modelHealth.get('gpt-a').state`), 'open');
+    assert.strictEqual(run(`modelHealth.get('gpt-a').coolDownMs`), run('CIRCUIT_BREAKER_CONFIG.coolDownMs') * 2);
+});
+
+
+test('a probe that fails with an ignored status code frees the model for the next probe', () => {
+    const run = loadScript();
+    
+    openCircuit(run, 'gpt-a');
+    expireCoolDown(run, 'gpt-a');
+    run(`modelHealth.acquire('gpt-a')`);
+    run(`modelHealth.recordFailure('gpt-a', 400, 'Bad request')`);
+    
+    assert.strictEqual(run(`modelHealth.get('gpt-a').state`), 'half-open');
+    assert.strictEqual(run(`modelHealth.get('gpt-a').probeInFlight`), false);
+    assert.deepStrictEqual(
+        run(`modelHealth.orderChain([{ model: 'gpt-a' }, { model: 'gpt-b' }]).map(entry => entry.model)`),
+        ['gpt-a', 'gpt-b']
+    );
+    assert.strictEqual(run(`modelHealth.acquire('gpt-a')`), true);
+});
+
+
+test('ignored status codes do not count towards opening the circuit', () => {
+    const run = loadScript();
+    
+    for (let i = 0; i < 5; i++) {
+        run(`modelHealth.recordFailure('gpt-a', 401, 'Unauthorized')`);
+    }
+    
+    assert.strictEqual(run(`modelHealth.get('gpt-a').state`), 'closed');
+    assert.strictEqual(run(`modelHealth.get('gpt-a').consecutiveFailures`), 0);
+});
+
+
+test('rate-limit responses do not open the circuit', () => {
+    const run = loadScript();
+    
+    for (let i = 0; i < 5; i++) {
+        run(`modelHealth.recordFailure('gpt-a', 429, 'Rate limit exceeded')`);
+    }
+    
+    assert.strictEqual(run(`modelHealth.get('gpt-a').state`), 'closed');
+    assert.strictEqual(run(`modelHealth.get('gpt-a').failures`), 0);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./load-script');
+
+
+function buildStreamBody(run, provider) {
+    const request = { model: 'gpt-4o', messages: [{ role: 'user', content: 'Hello' }], maxTokens: 100, stream: true };
+    return run(`JSON.parse(LLM_PROVIDERS.${provider}.buildChatRequest(${JSON.stringify(request)}, LLM_PROVIDER_CONFIG.${provider}).body)`);
+}
+
+
+test('streamed requests ask OpenAI-style providers for a usage block', () => {
+    const run = loadScript();
+    
+    for (const provider of ['proxy', 'openai', 'azure']) {
+        assert.deepStrictEqual(buildStreamBody(run, provider).stream_options, { include_usage: true }, provider);
+    }
+});
+
+
+test('streamed requests to a local server leave out stream_options', () => {
+    const run = loadScript();
+    
+    const body = buildStreamBody(run, 'local');
+    
+    assert.strictEqual(body.stream, true);
+    assert.strictEqual('stream_options' in body, false);
+});
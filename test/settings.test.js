@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./load-script');
+
+
+function loadSettings() {
+    const run = loadScript();
+    run('appSettings.initialize()');
+    return run;
+}
+
+
+function validate(run, input) {
+    return run(`validateSettings(${JSON.stringify(input)}, appSettings.defaults)`);
+}
+
+
+test('missing values take the defaults', () => {
+    const run = loadSettings();
+    
+    const { settings, errors } = validate(run, {});
+    
+    assert.deepStrictEqual(errors, {});
+    assert.deepStrictEqual(settings, run('appSettings.defaults'));
+});
+
+
+test('valid values are normalised', () => {
+    const run = loadSettings();
+    
+    const { settings, errors } = validate(run, {
+        api: { fallbackModels: ' gpt-4o , gpt-4o-mini', retryDelay: '2000' },
+        temperatures: { SUMMARY: '0.5' },
+        transcription: { language: 'DE ' }
+    });
+    
+    assert.deepStrictEqual(errors, {});
+    assert.deepStrictEqual(settings.api.fallbackModels, ['gpt-4o', 'gpt-4o-mini']);
+    assert.strictEqual(settings.api.retryDelay, 2000);
+    assert.strictEqual(settings.temperatures.SUMMARY, 0.5);
+    assert.strictEqual(settings.transcription.language, 'de');
+});
+
+
+test('invalid values are reported and replaced by the defaults', () => {
+    const run = loadSettings();
+    const defaults = run('appSettings.defaults');
+    
+    const { settings, errors } = validate(run, {
+        models: { DIAGNOSIS: 'gpt 4' },
+        temperatures: { DIAGNOSIS: '3' },
+        conversation: { maxHistoryTurns: 2.5 },
+        api: { fallbackModels: 'a, b, a' },
+        transcription: { language: 'english' }
+    });
+    
+    assert.deepStrictEqual(Object.keys(errors).sort(), [
+        'api.fallbackModels',
+        'conversation.maxHistoryTurns',
+        'models.DIAGNOSIS',
+        'temperatures.DIAGNOSIS',
+        'transcription.language'
+    ]);
+    assert.strictEqual(errors['temperatures.DIAGNOSIS'], 'Must be between 0 and 2.');
+    assert.strictEqual(settings.models.DIAGNOSIS, defaults.models.DIAGNOSIS);
+    assert.strictEqual(settings.temperatures.DIAGNOSIS, defaults.temperatures.DIAGNOSIS);
+    assert.deepStrictEqual(settings.api.fallbackModels, defaults.api.fallbackModels);
+});
+
+
+test('the longest retry delay cannot be shorter than the first one', () => {
+    const run = loadSettings();
+    
+    const { settings, errors } = validate(run, { api: { retryDelay: 5000, maxRetryDelay: 1000 } });
+    
+    assert.strictEqual(errors['api.maxRetryDelay'], 'Must be at least the first retry delay.');
+    assert.strictEqual(settings.api.retryDelay, 5000);
+    assert.strictEqual(settings.api.maxRetryDelay, run('appSettings.defaults.api.maxRetryDelay'));
+});
+
+
+test('anything other than an object is rejected as a whole', () => {
+    const run = loadSettings();
+    
+    for (const input of [null, [], 'settings']) {
+        const { settings, errors } = validate(run, input);
+        
+        assert.deepStrictEqual(errors, { '': 'Settings must be a JSON object.' });
+        assert.deepStrictEqual(settings, run('appSettings.defaults'));
+    }
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./load-script');
+
+const STREAMED_MARKDOWN = [
+    '# Title',
+    '',
+    'Intro paragraph',
+    'still intro',
+    '',
+    '1. one',
+    '2. two',
+    '',
+    '   continued',
+    '',
+    '- a',
+    '  - b',
+    '',
+    '```js',
+    'const x = 1;',
+    '',
+    'const y = 2;',
+    '```',
+    '',
+    '> quote',
+    '> more',
+    '',
+    '| A | B |',
+    '| --- | --- |',
+    '| 1 | 2 |',
+    '',
+    '## Next',
+    'Text after heading'
+].join('\n');
+
+
+function findBoundary(run, lines) {
+    return run(`findMarkdownBlockBoundary(${JSON.stringify(lines)})`);
+}
+
+
+test('the last line is treated as unfinished', () => {
+    const run = loadScript();
+    
+    assert.strictEqual(findBoundary(run, ['para']), 0);
+    assert.strictEqual(findBoundary(run, ['para one', '', 'para two', 'partial']), 2);
+});
+
+
+test('no cut falls inside a code fence', () => {
+    const run = loadScript();
+    
+    assert.strictEqual(findBoundary(run, ['```', 'code', '', 'more', 'partial']), 0);
+    assert.strictEqual(findBoundary(run, ['```', 'code', '```', '', 'next', 'partial']), 4);
+});
+
+
+test('a blank line followed by another list item does not end the list', () => {
+    const run = loadScript();
+    
+    assert.strictEqual(findBoundary(run, ['- a', '', '- b', 'partial']), 0);
+});
+
+
+test('unindented headings are cut on both sides', () => {
+    const run = loadScript();
+    
+    assert.strictEqual(findBoundary(run, ['# Title', 'text', 'partial']), 1);
+    assert.strictEqual(findBoundary(run, ['text', '## Heading', 'partial']), 2);
+    assert.strictEqual(findBoundary(run, ['| # | a |', 'text', 'partial']), 0);
+});
+
+
+test('rendering both sides of the cut matches a full render at every point of a stream', () => {
+    const run = loadScript();
+    
+    const mismatches = run(`(() => {
+        const markdown = ${JSON.stringify(STREAMED_MARKDOWN)};
+        const mismatches = [];
+        for (let length = 1; length <= markdown.length; length++) {
+            const lines = markdown.slice(0, length).split('\\n');
+            const cut = findMarkdownBlockBoundary(lines);
+            const split = renderMarkdownBlocks(lines.slice(0, cut)) + renderMarkdownBlocks(lines.slice(cut));
+            if (split !== renderMarkdownBlocks(lines)) mismatches.push(length);
+        }
+        return mismatches;
+    })()`);
+    
+    assert.deepStrictEqual(mismatches, []);
+});